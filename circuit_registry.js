@@ -0,0 +1,70 @@
+/**
+ * Circuit Registry Module
+ * Loads circuit profiles (lap count, pit-lane loss, typical lap time, fuel per lap,
+ * tyre severity, cliff overrides, climate and optional lap time model overrides: fuelEffectPerKg,
+ * trackEvolution) from circuits/*.json or any profile file on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CIRCUITS_DIR = path.join(__dirname, 'circuits');
+const DEFAULT_CIRCUIT = 'spa';
+
+const REQUIRED_FIELDS = {
+  laps: 'race distance in laps',
+  lengthKm: 'lap length (km)',
+  typicalLapTime: 'clean-air lap on Mediums (s)',
+  pitLaneLengthKm: 'pit lane length (km)',
+  pitStopDuration: 'stationary time plus pit lane speed-limit loss (s)',
+  fuelPerLap: 'average fuel burn (kg/lap)',
+  tyreSeverity: 'wear multiplier against Spa (1.0)'
+};
+
+const cache = new Map();
+
+function listCircuits() {
+  return fs.readdirSync(CIRCUITS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+function validateCircuit(profile, source) {
+  const problems = Object.entries(REQUIRED_FIELDS)
+    .filter(([field]) => !(typeof profile[field] === 'number' && profile[field] > 0))
+    .map(([field, description]) => `${field} (${description})`);
+
+  if (problems.length > 0) {
+    throw new Error(`Circuit profile ${source} needs positive numbers for: ${problems.join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * Circuit profile by id ('spa'), by path to a profile JSON file, or passed through if already a profile
+ */
+function loadCircuit(circuit = DEFAULT_CIRCUIT) {
+  if (circuit && typeof circuit === 'object') return circuit;
+
+  const key = String(circuit);
+  if (cache.has(key)) return cache.get(key);
+
+  const file = key.endsWith('.json') ? path.resolve(key) : path.join(CIRCUITS_DIR, `${key.toLowerCase()}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown circuit "${key}". Available: ${listCircuits().join(', ')} (or a path to a profile .json)`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const profile = validateCircuit({
+    id: path.basename(file, '.json'),
+    name: key,
+    cliff: {},
+    ...raw
+  }, file);
+
+  cache.set(key, profile);
+  return profile;
+}
+
+module.exports = { loadCircuit, listCircuits, DEFAULT_CIRCUIT };
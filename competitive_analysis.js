@@ -1,15 +1,33 @@
 /**
  * Competitive Analysis Module
- * Analyzes competitor strategies and provides competitive advantage analysis
+ * Analyzes competitor strategies and provides competitive advantage analysis.
+ * Tracks each car's interval to the car ahead lap by lap to spot DRS range, battles and how
+ * much of a threat the cars either side of us are, and infers every car's strategy (stop count,
+ * next stop, next compound) with RivalStrategy.
  */
 
+const DRS_RANGE = 1.0;       // s - interval at the detection point that opens DRS
+const BATTLE_LAPS = 3;       // consecutive laps in DRS range of the same car that make a battle
+const TREND_LAPS = 3;        // laps the closing rate is measured over
+const THREAT_HORIZON = 5;    // laps ahead a closing car counts as a threat before it reaches DRS range
+const INTERVAL_HISTORY = 10; // laps of intervals kept per car
+const THREAT_LEVELS = ['NONE', 'LOW', 'MEDIUM', 'HIGH'];
+
+const UNDERCUT_WARNING_LAPS = 2; // a nearby car expected to box within this many laps is an undercut threat / chance
+const UNDERCUT_POSITIONS = 2;     // places either side of us that can undercut or be undercut
+
 class CompetitiveAnalysis {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rivalStrategy] - RivalStrategy that fills in each car's `strategy`; without one it stays null
+   */
+  constructor({ rivalStrategy = null } = {}) {
     this.driverStrategies = new Map();
     this.gridPositions = new Map();
+    this.rivalStrategy = rivalStrategy;
   }
 
-  updateCompetitor(driverCode, position, currentLap, tireCompound, laptimes = []) {
+  updateCompetitor(driverCode, position, currentLap, tireCompound, laptimes = [], gapToLeader = null, interval = null, tireAge = null) {
     if (!this.driverStrategies.has(driverCode)) {
       this.driverStrategies.set(driverCode, {
         code: driverCode,
@@ -19,7 +37,11 @@ class CompetitiveAnalysis {
         pitstops: 0,
         avgLapTime: 0,
         gapToLeader: 0,
-        strategy: 'UNKNOWN'
+        interval: null,      // s to the car ahead (null for the leader)
+        intervalHistory: [], // [{ lap, ahead, interval }], newest last
+        tireAge: 0,
+        compoundsUsed: [],
+        strategy: null       // RivalStrategy.infer() estimate, once inferStrategies() has run
       });
     }
 
@@ -27,7 +49,27 @@ class CompetitiveAnalysis {
     driverData.position = position;
     driverData.currentLap = currentLap;
     driverData.tireCompound = tireCompound;
-    
+    if (!driverData.compoundsUsed.includes(tireCompound)) {
+      driverData.compoundsUsed.push(tireCompound);
+    }
+    if (tireAge !== null) {
+      driverData.tireAge = tireAge;
+    }
+
+    if (gapToLeader !== null) {
+      driverData.gapToLeader = gapToLeader;
+    }
+
+    if (interval !== null) {
+      // Positions are published front to back, so the place ahead already holds this lap's car
+      const ahead = position > 1 ? this.gridPositions.get(position - 1) || null : null;
+      driverData.interval = position > 1 ? interval : null;
+      const history = driverData.intervalHistory;
+      if (history.length > 0 && history[history.length - 1].lap === currentLap) history.pop();
+      history.push({ lap: currentLap, ahead, interval: driverData.interval });
+      if (history.length > INTERVAL_HISTORY) history.shift();
+    }
+
     if (laptimes && laptimes.length > 0) {
       driverData.avgLapTime = this.calculateAvgLapTime(laptimes);
     }
@@ -37,10 +79,61 @@ class CompetitiveAnalysis {
 
   recordPitStop(driverCode) {
     if (this.driverStrategies.has(driverCode)) {
-      this.driverStrategies.get(driverCode).pitstops++;
+      const driverData = this.driverStrategies.get(driverCode);
+      driverData.pitstops++;
+      // The record still holds the set coming off - its stint teaches the inference how long stints run
+      if (this.rivalStrategy) {
+        this.rivalStrategy.recordStint(driverCode, driverData.tireCompound, driverData.tireAge);
+      }
     }
   }
 
+  /**
+   * Re-estimate every car's strategy after lap `lap` on a track this wet (see RivalStrategy.infer)
+   */
+  inferStrategies(lap, wetness = 0) {
+    if (!this.rivalStrategy) return;
+    for (const [code, data] of this.driverStrategies) {
+      data.strategy = this.rivalStrategy.infer({
+        code,
+        compound: data.tireCompound,
+        tireAge: data.tireAge,
+        pitstops: data.pitstops,
+        compoundsUsed: data.compoundsUsed
+      }, lap, wetness);
+    }
+  }
+
+  /**
+   * Inferred strategies of the cars within `range` places of `myDriver`, in position order:
+   * [{ driver, position, gap, compound, tireAge, pitstops, ...strategy, undercutThreat, undercutChance }]
+   * gap is negative for a car ahead; undercutThreat flags a car just behind expected to box within
+   * UNDERCUT_WARNING_LAPS laps (it could jump us), undercutChance a car just ahead doing the same
+   */
+  getRivalStrategies(myDriver, range = 3) {
+    const me = this.driverStrategies.get(myDriver);
+    if (!me) return [];
+
+    const rivals = [];
+    for (const [code, data] of this.driverStrategies) {
+      const positionDiff = data.position - me.position;
+      if (code === myDriver || Math.abs(positionDiff) > range || !data.strategy) continue;
+      const boxingSoon = data.strategy.nextPitLap !== null && data.strategy.nextPitLap - me.currentLap <= UNDERCUT_WARNING_LAPS;
+      rivals.push({
+        driver: code,
+        position: data.position,
+        gap: data.gapToLeader - me.gapToLeader,
+        compound: data.tireCompound,
+        tireAge: data.tireAge,
+        pitstops: data.pitstops,
+        ...data.strategy,
+        undercutThreat: boxingSoon && positionDiff > 0 && positionDiff <= UNDERCUT_POSITIONS,
+        undercutChance: boxingSoon && positionDiff < 0 && -positionDiff <= UNDERCUT_POSITIONS
+      });
+    }
+    return rivals.sort((a, b) => a.position - b.position);
+  }
+
   analyzeCompetitiveAdvantage(myDriver, allCompetitors = []) {
     const myStrat = this.driverStrategies.get(myDriver);
     if (!myStrat) return null;
@@ -65,8 +158,10 @@ class CompetitiveAnalysis {
             driver: code,
             position: data.position,
             positionDiff: data.position - myStrat.position,
+            gap: data.gapToLeader - myStrat.gapToLeader, // negative = ahead of us
             tireCompound: data.tireCompound,
             pitstops: data.pitstops,
+            strategy: data.strategy,
             lapDiff: data.currentLap - myStrat.currentLap
           };
 
@@ -77,16 +172,121 @@ class CompetitiveAnalysis {
             analysis.opportunities.push(`${code} on SOFT, degrades faster`);
           }
 
-          if (data.pitstops > myStrat.pitstops + 1) {
+          if (data.strategy && myStrat.strategy) {
+            if (data.strategy.totalStops !== myStrat.strategy.totalStops) {
+              analysis.risks.push(`${code} looks like a ${data.strategy.label} against our ${myStrat.strategy.label}`);
+            }
+          } else if (data.pitstops > myStrat.pitstops + 1) {
             analysis.risks.push(`${code} may have different strategy (${data.pitstops} stops)`);
           }
         }
       }
     }
 
+    // Nearby cars about to box: one behind can undercut us, one ahead can be undercut
+    this.getRivalStrategies(myDriver, UNDERCUT_POSITIONS).forEach(rival => {
+      if (rival.undercutThreat) {
+        analysis.risks.unshift(`${rival.driver} (P${rival.position}) expected to box around L${rival.nextPitLap} - undercut threat`);
+      } else if (rival.undercutChance) {
+        analysis.opportunities.unshift(`${rival.driver} (P${rival.position}) expected to box around L${rival.nextPitLap} - box first to undercut`);
+      }
+    });
+
+    analysis.competitorComparison.sort((a, b) => a.position - b.position);
+
     return analysis;
   }
 
+  /**
+   * The fight around `myDriver`: interval, DRS range and trend to the cars directly ahead and
+   * behind, attack/defend threat levels and every battle in the field.
+   * Pass drsEnabled: false under the SC/VSC - the intervals are still reported, nobody is in DRS range.
+   * @returns {{ ahead, behind, attack, defend, battles, drsEnabled, drsRange }}
+   *          ahead/behind: { driver, position, interval, inDrs, closingRate, lapsInRange, battle, lapsToDrs } or null;
+   *          closingRate is s/lap the gap shrinks by (positive = the car behind is closing);
+   *          battles: [{ attacker, defender, position, interval, laps }] for every pair in a battle
+   */
+  analyzeBattles(myDriver, { drsEnabled = true } = {}) {
+    const me = this.driverStrategies.get(myDriver);
+    if (!me) return null;
+
+    const aheadCode = this.gridPositions.get(me.position - 1);
+    const behindCode = this.gridPositions.get(me.position + 1);
+    const ahead = aheadCode
+      ? { driver: aheadCode, position: me.position - 1, ...this.describeInterval(me, aheadCode, drsEnabled) }
+      : null;
+    const behind = behindCode
+      ? { driver: behindCode, position: me.position + 1, ...this.describeInterval(this.driverStrategies.get(behindCode), myDriver, drsEnabled) }
+      : null;
+
+    const battles = [];
+    for (const [code, data] of this.driverStrategies) {
+      const defender = this.gridPositions.get(data.position - 1);
+      if (!defender || data.interval === null) continue;
+      const fight = this.describeInterval(data, defender, drsEnabled);
+      if (fight.battle) {
+        battles.push({ attacker: code, defender, position: data.position, interval: fight.interval, laps: fight.lapsInRange });
+      }
+    }
+    battles.sort((a, b) => a.position - b.position);
+
+    return {
+      ahead,
+      behind,
+      attack: ahead ? this.threatLevel(ahead) : 'NONE',
+      defend: behind ? this.threatLevel(behind) : 'NONE',
+      battles,
+      drsEnabled,
+      drsRange: DRS_RANGE
+    };
+  }
+
+  /**
+   * `follower`'s interval to `leaderCode`, the car directly ahead of it:
+   * { interval, inDrs, closingRate, lapsInRange, battle, lapsToDrs }
+   */
+  describeInterval(follower, leaderCode, drsEnabled) {
+    // Only the laps spent behind this same car count towards the trend and the battle
+    const history = [];
+    for (let i = follower.intervalHistory.length - 1; i >= 0 && follower.intervalHistory[i].ahead === leaderCode; i--) {
+      history.unshift(follower.intervalHistory[i]);
+    }
+
+    const interval = follower.interval !== null ? follower.interval : 0;
+    const inDrs = drsEnabled && interval < DRS_RANGE;
+    let lapsInRange = 0;
+    for (let i = history.length - 1; i >= 0 && history[i].interval < DRS_RANGE; i--) lapsInRange++;
+
+    const reference = history[Math.max(0, history.length - 1 - TREND_LAPS)];
+    const trendLaps = reference ? history[history.length - 1].lap - reference.lap : 0;
+    const closingRate = trendLaps > 0 ? (reference.interval - interval) / trendLaps : 0;
+
+    return {
+      interval,
+      inDrs,
+      closingRate,
+      lapsInRange: drsEnabled ? lapsInRange : 0,
+      battle: drsEnabled && lapsInRange >= BATTLE_LAPS,
+      lapsToDrs: interval < DRS_RANGE ? 0 : closingRate > 0 ? (interval - DRS_RANGE) / closingRate : null
+    };
+  }
+
+  /**
+   * NONE / LOW / MEDIUM / HIGH for one side of us. In DRS range is at least MEDIUM, and HIGH
+   * once it is a battle or still closing; a car reaching DRS range within THREAT_HORIZON laps is MEDIUM.
+   */
+  threatLevel(fight) {
+    let level = 0;
+    if (fight.inDrs) {
+      level = fight.battle || fight.closingRate > 0 ? 3 : 2;
+    } else if (fight.lapsToDrs !== null && fight.lapsToDrs <= THREAT_HORIZON) {
+      level = 2;
+    } else if (fight.interval < 2 * DRS_RANGE) {
+      level = 1;
+    }
+    return THREAT_LEVELS[level];
+  }
+
   getGridSummary() {
     const gridSummary = [];
     
@@ -99,7 +299,9 @@ class CompetitiveAnalysis {
           driver: driverCode,
           tireCompound: data.tireCompound,
           pitstops: data.pitstops,
-          gaps: data.gapToLeader
+          gaps: data.gapToLeader,
+          interval: data.interval,
+          strategy: data.strategy
         });
       }
     }
@@ -1,70 +1,59 @@
 require('dotenv').config();
-const fs = require('fs');
-const csv = require('csv-parser');
 const blessed = require('blessed');
 const contrib = require('blessed-contrib');
-const { Mistral } = require('@mistralai/mistralai');
-
-// Import strategy modules
-const WeatherAnalyzer = require('./weather_analyzer');
-const TireStrategy = require('./tire_strategy');
-const CompetitiveAnalysis = require('./competitive_analysis');
-const FuelStrategy = require('./fuel_strategy');
-const PitStopAnalyzer = require('./pit_stop_analyzer');
-
-// Check Mistral AI Key
-const apiKey = process.env.MISTRAL_API_KEY;
-if (!apiKey) {
-    console.error("MISTRAL_API_KEY not found in .env. Please set it and run again.");
+
+// Import the race engine
+const RaceSimulator = require('./race_simulator');
+const RaceReport = require('./race_report');
+const DecisionAuditLog = require('./decision_audit_log');
+const SeededRandom = require('./seeded_random');
+const { getOption, getAdvisorType, getSeed, getCircuit, getTrackEvents, getWeatherForecast, getAuditLogPath, prepareAdvisor } = require('./race_options');
+const { loadKalmanEngine } = require('./kalman_engine');
+const { loadTelemetry, DEFAULT_TELEMETRY_FILE } = require('./telemetry_loader');
+
+// Pick the strategy advisor: --advisor=<mistral|rules|mock|replay> or STRATEGY_ADVISOR
+// --replay=<audit log> answers from a recorded race instead of calling the API
+// Without a Mistral key we default to the offline rule-based advisor
+const advisorType = getAdvisorType();
+
+if (advisorType === 'mistral' && !process.env.MISTRAL_API_KEY) {
+    console.error("MISTRAL_API_KEY not found in .env. Please set it, or run with --advisor=rules or --advisor=mock.");
     process.exit(1);
 }
 
-const client = new Mistral({ apiKey });
-
-// Import C++ math engine
+// Kalman math engine: compiled C++ addon when built, pure-JS port otherwise (--kalman=<auto|native|js>)
 let kalmanMath;
+let kalmanEngineName;
 try {
-    kalmanMath = require('./build/Release/kalman_math.node');
+    ({ engine: kalmanMath, name: kalmanEngineName } = loadKalmanEngine(getOption('kalman', 'KALMAN_ENGINE') || 'auto'));
 } catch (err) {
-    console.error("Could not load native module `kalman_math.node`: " + err.message);
+    console.error(err.message);
     process.exit(1);
 }
 
-// Randomize starting grid position (P1-P20) with uniform distribution
-// Using ceil ensures we get exactly 1-20 with equal probability
-const startingPosition = Math.ceil(Math.random() * 20);
-
-// Initialize strategy modules
-const weatherAnalyzer = new WeatherAnalyzer();
-const tireStrategy = new TireStrategy('HAM', null, startingPosition); // Random tire + position
-const competitiveAnalysis = new CompetitiveAnalysis();
-const fuelStrategy = new FuelStrategy(110, 44); // 110kg fuel, 44 lap race
-const pitStopAnalyzer = new PitStopAnalyzer(7.0);
-
-// Initial Kalman Filter State
-let state = {
-    x: 0.0,
-    P: 1.0,
-    Q: 0.002,
-    R: 1.5,
-    wear_rate: 0.045
-};
-
-// Simulation state for track and weather conditions
-let raceState = {
-    currentPosition: startingPosition,
-    gapToLeader: startingPosition === 1 ? 0.0 : (startingPosition - 1) * 0.5 + (Math.random() * 2), // Gap increases with position
-    trackTemp: 25,
-    airTemp: 20,
-    humidity: 65,
-    rainfall: 0,
-    enduranceMultiplier: 1.0
-};
+// Circuit profile: --circuit=<spa|monza|monaco|silverstone|path.json> or RACE_CIRCUIT
+// One seeded RNG drives every random choice in the race: --seed=<n> or RACE_SEED
+// Same seed + same advisor responses = identical race (replays default to the recorded circuit and seed)
+// Safety car periods: --safety-car=<SC:12-15,VSC:30,random> or SAFETY_CAR
+// Weather forecast: --forecast=<file.json> or WEATHER_FORECAST, generated from the seed otherwise
+let circuit;
+let rng;
+let trackEvents;
+let forecast;
+try {
+    circuit = getCircuit();
+    rng = new SeededRandom(getSeed());
+    trackEvents = getTrackEvents();
+    forecast = getWeatherForecast();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
 
 // UI SETUP (Blessed) - Enhanced Grid
 const screen = blessed.screen({
     smartCSR: true,
-    title: 'F1 Pit Wall Strategist Dashboard - Enhanced'
+    title: `F1 Pit Wall Strategist Dashboard - ${circuit.name} (Seed ${rng.seed})`
 });
 
 const grid = new contrib.grid({ rows: 20, cols: 16, screen: screen });
@@ -106,7 +95,7 @@ const weatherBox = grid.set(8, 8, 2, 8, contrib.log, {
 });
 
 // Window 2 (Bottom Left): Line Chart for Tire Degradation and Cliff Prob
-const lineChart = grid.set(10, 0, 10, 8, contrib.line, {
+const lineChart = grid.set(10, 0, 5, 8, contrib.line, {
     label: 'Tire State vs Laps',
     showLegend: true,
     legend: { width: 14 },
@@ -121,6 +110,22 @@ const lineChart = grid.set(10, 0, 10, 8, contrib.line, {
     numStyle: 'yellow'
 });
 
+// Window 2b: the telemetry lap time split into fuel load, track evolution and tyre degradation
+const lapTimeChart = grid.set(15, 0, 5, 8, contrib.line, {
+    label: 'Lap Time Components vs Laps',
+    showLegend: true,
+    legend: { width: 16 },
+    style: {
+        line: 'red',
+        text: 'white',
+        baseline: 'black'
+    },
+    xLabelPadding: 3,
+    xPadding: 5,
+    showNumb: true,
+    numStyle: 'yellow'
+});
+
 // Window 6: Fuel & Track Position
 const fuelPosBox = grid.set(10, 8, 5, 8, contrib.log, {
     fg: 'blue',
@@ -156,6 +161,36 @@ const cliffSeries = {
     style: { line: 'magenta' }
 };
 
+// Learned degradation rate from the two-state Kalman filter, in ms/lap (0.045s/lap plots as 45)
+const rateSeries = {
+    title: 'Rate (ms/lap)',
+    x: [],
+    y: [],
+    style: { line: 'cyan' }
+};
+
+// Lap time components in seconds. Track evolution makes the lap faster, so it is plotted as the time gained.
+const fuelEffectSeries = {
+    title: 'Fuel (s)',
+    x: [],
+    y: [],
+    style: { line: 'blue' }
+};
+
+const trackGainSeries = {
+    title: 'Track gain (s)',
+    x: [],
+    y: [],
+    style: { line: 'green' }
+};
+
+const tyreDegSeries = {
+    title: 'Tyre (s)',
+    x: [],
+    y: [],
+    style: { line: 'red' }
+};
+
 // Key binding to quit
 screen.key(['escape', 'q', 'C-c'], function (ch, key) {
     return process.exit(0);
@@ -163,19 +198,14 @@ screen.key(['escape', 'q', 'C-c'], function (ch, key) {
 
 screen.render();
 
-const CSV_FILE = 'belgian_gp_HAM_telemetry.csv';
+// Telemetry file: --telemetry=<path> or TELEMETRY_FILE (CSV, JSON Lines or a JSON array)
+const TELEMETRY_FILE = getOption('telemetry', 'TELEMETRY_FILE') || DEFAULT_TELEMETRY_FILE;
+
+// Post-race debrief (Markdown, HTML, JSON): --report-dir=<dir> or REPORT_DIR
+const REPORT_DIR = getOption('report-dir', 'REPORT_DIR') || 'reports';
 
-// State variables for tracking
-let isAgentThinking = false;
-let lastDecisionLap = -5; // prevent immediate double trigger
-let currentLap = 0;
-let executePitStop = false;
-let pitStopCount = 0;
-let currentTireCompound = tireStrategy.currentStint.tireCompound; // Use actual starting compound!
-let previousTireCompound = tireStrategy.currentStint.tireCompound;
-let startingTireCompound = tireStrategy.currentStint.tireCompound;
-let positionBeforePit = 1;
-let lapsSinceLastPit = 0;
+// The race engine - created once telemetry is loaded
+let sim;
 
 function wrapAndLog(terminal, text, maxWidth = 45) {
     if (!text) return;
@@ -195,14 +225,15 @@ function wrapAndLog(terminal, text, maxWidth = 45) {
     }
 }
 
-function updateStrategyDisplay(lap) {
+function updateStrategyDisplay() {
+    const { tireStrategy } = sim;
     const stintInfo = tireStrategy.getStintSummary('current');
     const allStints = tireStrategy.getAllStintsSummary();
 
     strategyBox.setContent('');
     strategyBox.log(`\x1b[36m=== TIRE STRATEGY ===\x1b[0m`);
     strategyBox.log(`Strategy: ${tireStrategy.assessStrategy()}`);
-    strategyBox.log(`Total Pit Stops: ${pitStopCount}`);
+    strategyBox.log(`Total Pit Stops: ${sim.pitStopCount} | Seed: ${rng.seed}`);
     strategyBox.log(``);
     strategyBox.log(`\x1b[33mCurrent Stint:\x1b[0m`);
     if (stintInfo) {
@@ -210,6 +241,9 @@ function updateStrategyDisplay(lap) {
         strategyBox.log(`  Laps Done: ${stintInfo.laps}`);
         strategyBox.log(`  Started P${stintInfo.startPos} (${stintInfo.weather})`);
     }
+    const mode = sim.driverMode;
+    strategyBox.log(`  Mode: ${mode.label} (${mode.source}${mode.lapsRemaining > 0 ? `, ${mode.lapsRemaining} more laps` : ''})`);
+    strategyBox.log(`  Tyre life used: ${sim.tyreLife.toFixed(1)}/${tireStrategy.getMaxLaps(sim.currentTireCompound)} laps`);
 
     if (allStints.length > 0) {
         strategyBox.log(``);
@@ -220,34 +254,46 @@ function updateStrategyDisplay(lap) {
     }
 }
 
-function updateWeatherDisplay() {
+function updateWeatherDisplay(currentLap = 0) {
     weatherBox.setContent('');
-    const weather = weatherAnalyzer.analyzeWeatherImpact(
-        raceState.trackTemp,
-        raceState.airTemp,
-        raceState.humidity,
-        raceState.rainfall
-    );
+    const weather = sim.getWeather();
+    const outlook = sim.getWeatherOutlook(currentLap);
+    const rainChance = outlook.timeline.slice(0, 6).map(entry => `${Math.round(entry.rainProbability * 100)}%`).join(' ');
 
     weatherBox.log(`\x1b[35m=== WEATHER CONDITIONS ===\x1b[0m`);
-    weatherBox.log(`${weather.condition} | Grip: ${weather.gripLevel}`);
-    weatherBox.log(`Track: ${weather.trackTemp}°C | Air: ${weather.airTemp}°C | RH: ${weather.humidity}%`);
+    weatherBox.log(`${weather.condition} | Grip: ${weather.gripLevel} | Rain odds next laps: ${rainChance}`);
+    weatherBox.log(`${outlook.rainArrival || outlook.rainStop ? '🌧️ ' : '☀️ '} ${outlook.summary}`);
+    weatherBox.log(`Track: ${weather.trackTemp}°C | Air: ${weather.airTemp}°C | RH: ${weather.humidity}% | Wetness: ${Math.round(weather.wetness * 100)}%`);
     if (weather.riskFactors.length > 0) {
         weatherBox.log(`⚠️  ${weather.riskFactors.join(', ')}`);
     }
+
+    const track = sim.trackStatus.getStatus();
+    if (track.status === 'GREEN') {
+        weatherBox.log(`Race control: 🟢 GREEN`);
+    } else {
+        weatherBox.log(`Race control: \x1b[33m🟡 ${track.label}\x1b[0m until lap ${track.endLap} - pit loss x${track.pitLossFactor}`);
+    }
 }
 
 function updateFuelDisplay(currentLap = 0) {
-    const fuelStatus = fuelStrategy.getFuelStatus();
-    const lapsRemaining = fuelStrategy.getLapsRemaining(currentLap);
+    const fuelStatus = sim.fuelStrategy.getFuelStatus();
+    const lapsRemaining = sim.fuelStrategy.getLapsRemaining(currentLap);
 
     fuelPosBox.setContent('');
     fuelPosBox.log(`\x1b[36m=== FUEL & POSITION ===\x1b[0m`);
-    fuelPosBox.log(`Position: P${raceState.currentPosition}`);
-    fuelPosBox.log(`Gap to Leader: ${raceState.gapToLeader.toFixed(3)}s`);
+    fuelPosBox.log(`Position: P${sim.raceState.currentPosition}`);
+    fuelPosBox.log(`Gap to Leader: ${sim.raceState.gapToLeader.toFixed(3)}s`);
     fuelPosBox.log(``);
-    fuelPosBox.log(`Fuel: ${fuelStatus.currentFuel}kg (${fuelStatus.percentage}%)`);
-    fuelPosBox.log(`Laps Remaining: ${lapsRemaining}`);
+    const plan = sim.fuelStrategy.recommendFuelSave(sim.raceLength - currentLap, currentLap);
+
+    fuelPosBox.log(`Fuel: ${fuelStatus.currentFuel}kg (${fuelStatus.percentage}%) | Started: ${sim.fuelStrategy.startingFuel.toFixed(1)}kg`);
+    fuelPosBox.log(`Laps Remaining: ${lapsRemaining} | Target: max ${plan.requiredConsumption}kg/lap (avg ${plan.currentAvgConsumption})`);
+    if (plan.needToSave) {
+        fuelPosBox.log(`\x1b[33m⛽ Lift & coast: save ${plan.savingRequired}kg/lap (~${plan.liftAndCoast.timeCostPerLap.toFixed(2)}s/lap)\x1b[0m`);
+    } else {
+        fuelPosBox.log(`Spare at the flag: ${plan.margin}kg over the ${plan.reserve}kg reserve`);
+    }
 
     if (fuelStatus.critical) {
         fuelPosBox.log(`\x1b[31m🚨 CRITICAL FUEL\x1b[0m`);
@@ -258,18 +304,39 @@ function updateFuelDisplay(currentLap = 0) {
 
 function updateCompetitiveDisplay() {
     compAnalysisBox.setContent('');
-    const analysis = competitiveAnalysis.analyzeCompetitiveAdvantage('HAM');
+    const analysis = sim.competitiveAnalysis.analyzeCompetitiveAdvantage(sim.driverCode);
 
     compAnalysisBox.log(`\x1b[37m=== COMPETITIVE ANALYSIS ===\x1b[0m`);
     if (analysis) {
         compAnalysisBox.log(`Your Position: P${analysis.myPosition}`);
+        const battle = sim.getBattleStatus();
+        const threatColor = { NONE: '37', LOW: '32', MEDIUM: '33', HIGH: '31' };
+        const fightLine = (label, fight, threat) => {
+            if (!fight) return `${label}: -`;
+            const drs = fight.inDrs ? ' \x1b[32mDRS\x1b[0m' : '';
+            const trend = fight.closingRate >= 0.05 ? ` ▲${fight.closingRate.toFixed(2)}` : fight.closingRate <= -0.05 ? ` ▼${(-fight.closingRate).toFixed(2)}` : '';
+            return `${label}: ${fight.driver} ${fight.interval.toFixed(2)}s${drs}${trend} | \x1b[${threatColor[threat]}m${threat}\x1b[0m${fight.battle ? ` (battle ${fight.lapsInRange}L)` : ''}`;
+        };
+        compAnalysisBox.log(fightLine('Attack', battle.ahead, battle.attack));
+        compAnalysisBox.log(fightLine('Defend', battle.behind, battle.defend));
+        if (battle.battles.length > 0) {
+            compAnalysisBox.log(`Battles: ${battle.battles.slice(0, 3).map(b => `P${b.position} ${b.attacker}>${b.defender}`).join(', ')}`);
+        }
         compAnalysisBox.log(``);
 
         if (analysis.competitorComparison.length > 0) {
             compAnalysisBox.log(`\x1b[33mNearby Competitors:\x1b[0m`);
-            analysis.competitorComparison.forEach(comp => {
+            // The four closest places, so the attack/defend lines stay on screen
+            const nearest = [...analysis.competitorComparison]
+                .sort((a, b) => Math.abs(a.positionDiff) - Math.abs(b.positionDiff))
+                .slice(0, 4)
+                .sort((a, b) => a.position - b.position);
+            nearest.forEach(comp => {
                 const posStr = comp.positionDiff > 0 ? `+${comp.positionDiff}` : `${comp.positionDiff}`;
-                compAnalysisBox.log(`  ${comp.driver}: P${comp.position} (${posStr}) | Stops: ${comp.pitstops}`);
+                const plan = comp.strategy
+                    ? ` | ${comp.strategy.label}${comp.strategy.nextPitLap !== null ? ` next L${comp.strategy.nextPitLap} ${comp.strategy.nextCompound}` : ''}`
+                    : '';
+                compAnalysisBox.log(`  ${comp.driver}: P${comp.position} (${posStr}) ${comp.gap >= 0 ? '+' : ''}${comp.gap.toFixed(1)}s | Stops: ${comp.pitstops}${plan}`);
             });
         }
 
@@ -287,454 +354,237 @@ function updateCompetitiveDisplay() {
     }
 }
 
-function handleAiDecision(lap, dropObj, currentP, currentCliff) {
-    if (isAgentThinking) return;
-
-    // ============================================
-    // MANDATORY PIT STOP CHECK - ONLY FOR CRITICAL TIRE FAILURE
-    // ============================================
-    const isMandatoryPit = tireStrategy.isPitStopMandatory(lapsSinceLastPit, currentTireCompound);
-    if (isMandatoryPit) {
-        agentTerminal.log(`\n[Lap ${lap}] 🚨 CRITICAL TIRE FAILURE - Immediate pit required for ${currentTireCompound} (age ${lapsSinceLastPit}/${tireStrategy.getMaxLaps(currentTireCompound)})`);
-        executePitStop = true;
-        positionBeforePit = raceState.currentPosition;
-        return;
+function logPitStop(pit) {
+    // Log pit stop with detailed analysis - showing ACTUAL tire change
+    telemetryLog.log('');
+    telemetryLog.log(`\x1b[33m╔════════════════════════════════════════╗\x1b[0m`);
+    telemetryLog.log(`\x1b[33m║   PIT STOP #${pit.pitStopNumber} (Lap ${pit.lap})                    ║\x1b[0m`);
+    telemetryLog.log(`\x1b[33m╠════════════════════════════════════════╣\x1b[0m`);
+    telemetryLog.log(`\x1b[33m║ Position: P${pit.positionBefore} → P${pit.positionAfter} (-${pit.positionsLost} pos)  \x1b[0m`);
+    telemetryLog.log(`\x1b[33m║ Time Loss: ${pit.timeLossSeconds}s${pit.trackStatus !== 'GREEN' ? ` (under ${pit.trackStatus})` : ''}                    \x1b[0m`);
+    telemetryLog.log(`\x1b[33m║ Tires: ${pit.fromCompound.padEnd(8)} → ${pit.toCompound.padEnd(8)}        \x1b[0m`);
+    telemetryLog.log(`\x1b[33m║ Tyre Call: ${pit.compoundSource.padEnd(10)}                  \x1b[0m`);
+    if (pit.refuelled > 0) {
+        telemetryLog.log(`\x1b[33m║ Refuelled: ${pit.refuelled}kg                     \x1b[0m`);
+    }
+    telemetryLog.log(`\x1b[33m║ Set: ${pit.tyreSet.id || 'new'} ${pit.tyreSet.laps > 0 ? `(used, ${pit.tyreSet.laps} laps)` : '(new)'}          \x1b[0m`);
+    if (pit.rejectedCompound) {
+        telemetryLog.log(`\x1b[33m║ ⚠️  Refused ${pit.rejectedCompound.compound}: ${pit.rejectedCompound.reason}\x1b[0m`);
     }
+    telemetryLog.log(`\x1b[33m║ Weather: ${pit.weather.condition.padEnd(12)} (${pit.weather.gripLevel})   \x1b[0m`);
+    telemetryLog.log(`\x1b[33m║ Rainfall: ${pit.weather.rainfall}mm                    \x1b[0m`);
+    telemetryLog.log(`\x1b[33m╚════════════════════════════════════════╝\x1b[0m`);
+    telemetryLog.log('');
+}
 
-    // ============================================
-    // STANDARD STRATEGY CHECK
-    // ============================================
-
-    // Use pit stop analyzer to determine if pit is strategically needed
-    const pitAnalysis = pitStopAnalyzer.analyzePitStrategy({
-        lap,
-        currentPosition: raceState.currentPosition,
-        gapToLeader: raceState.gapToLeader,
-        cliffProb: currentCliff,
-        fuel: parseFloat(fuelStrategy.getFuelStatus().currentFuel),
-        fuelPerLap: fuelStrategy.getAverageConsumption(),
-        weather: weatherAnalyzer.analyzeWeatherImpact(raceState.trackTemp, raceState.airTemp, raceState.humidity, raceState.rainfall).condition,
-        lapsSincePit: lapsSinceLastPit,
-        tireAge: lapsSinceLastPit,
-        maxTireAge: tireStrategy.getMaxLaps(currentTireCompound)
-    });
+function logLap(lap) {
+    // Log to telemetry window with pit stop relevant info
+    const lapNumStr = lap.lap.toString().padStart(2, '0');
+    const lapDisplay = `L${lapNumStr}${lap.trackStatus !== 'GREEN' ? ` ${lap.trackStatus}` : ''}`;
+    const tireDisplay = `${lap.compound}(L${lap.tireAge})`;
+    const wearDisplay = `${lap.x.toFixed(3)}s`;
+    const rateDisplay = `${(lap.rate * 1000).toFixed(0)}±${(Math.sqrt(lap.rateVariance) * 1000).toFixed(0)}ms`;
+    const cliffDisplay = `${(lap.cliffProb * 100).toFixed(0)}%`.padStart(4);
+    const paceDisplay = `${lap.paceDelta >= 0 ? '+' : ''}${lap.paceDelta.toFixed(2)}`;
+
+    const modeDisplay = lap.driverMode.mode !== 'NORMAL' ? ` | ${lap.driverMode.label}` : '';
+
+    telemetryLog.log(`${lapDisplay} | ${tireDisplay.padEnd(11)} | Pace:${paceDisplay.padStart(6)} | Wear:${wearDisplay} | Rate:${rateDisplay} | Cliff:${cliffDisplay}${modeDisplay}`);
+
+    // Update Chart Data
+    wearSeries.x.push(lapNumStr);
+    wearSeries.y.push(lap.x * 100);
+
+    cliffSeries.x.push(lapNumStr);
+    cliffSeries.y.push(lap.cliffProb * 100);
+
+    rateSeries.x.push(lapNumStr);
+    rateSeries.y.push(lap.rate * 1000);
+
+    if (wearSeries.x.length > 20) {
+        wearSeries.x.shift();
+        wearSeries.y.shift();
+        cliffSeries.x.shift();
+        cliffSeries.y.shift();
+        rateSeries.x.shift();
+        rateSeries.y.shift();
+    }
 
-    // Only trigger AI decision if pit is strategically important or cliff is critical
-    const shouldDecide = currentCliff > 0.40 || (lap > 0 && lap % 4 === 0) || pitAnalysis.shouldPit;
-
-    if (shouldDecide) {
-        if (lap - lastDecisionLap < 2) return;
-
-        lastDecisionLap = lap;
-        isAgentThinking = true;
-        agentTerminal.log(`\n[Lap ${lap}] 🚨 Strategy check (Cliff: ${(currentCliff * 100).toFixed(1)}%, Urgency: ${pitAnalysis.totalUrgency}/10)`);
-        screen.render();
-
-        const weatherData = weatherAnalyzer.analyzeWeatherImpact(
-            raceState.trackTemp,
-            raceState.airTemp,
-            raceState.humidity,
-            raceState.rainfall
-        );
-
-        const fuelStatus = fuelStrategy.getFuelStatus();
-        const competitive = competitiveAnalysis.analyzeCompetitiveAdvantage('HAM');
-
-        // Calculate pit stop impact
-        const pitImpact = pitStopAnalyzer.estimatePositionLoss(raceState.currentPosition, lap);
-        const timeLossStr = `${pitImpact.timeLossSeconds}s (~${pitImpact.positionsLost} positions)`;
-
-        // Get tire wear status
-        const tireWearStatus = tireStrategy.getTireWearStatus(lapsSinceLastPit, currentTireCompound);
-        const maxLapsForCompound = tireStrategy.getMaxLaps(currentTireCompound);
-        const degradationMultiplier = tireStrategy.getDegradationCurveMultiplier(lapsSinceLastPit, currentTireCompound);
-
-        const prompt = `You are the lead race strategist for F1 Hamilton's team. Analyze race data and decide whether to box or stay out. Return JSON: {"decision": "BOX" or "STAY", "confidence": 0.0-1.0, "reasoning": "explanation", "tireRecommendation": "SOFT/MEDIUM/HARD/WET"}.
-
-CRITICAL F1 GAME THEORY (UNDERCUT & CROSSOVER) & STRATEGY RULES:
-- THE UNDERCUT: Pitting earlier than rivals (before tires completely fail) gives you faster fresh tires for a few laps. If the gap to the leader is small and Cliff > 45-55%, boxing EARLY is a powerful attacking move to jump ahead of competitors when they pit later.
-- DO NOT WAIT FOR COMPLETE FAILURE. If wear is rising, you are already losing 1-2 seconds per lap. Waiting until 80%+ cliff means you have already bled 10+ seconds of race time. Pitting earlier is often better to lock in a fast stint on fresh rubber.
-- PIT (BOX) if: (Cliff > 45-55% AND Undercut opportunity exists), OR Cliff Prob > 65% (preventing heavy time loss), OR degradation multiplier > 2.0, OR fuel critical.
-- STAY OUT if: Tire is FRESH (Cliff < 40%) and fuel adequate. Don't waste stops if tires aren't dropping off yet.
-- TIRE AGE MAX: Softs 18 laps, Mediums 28 laps, Hards 40 laps. Aim to pit around 60-75% of max lifespan for optimal pace.
-- Avoid pit stops if only a few laps are remaining in the race.
-
-EXAMPLES (FEW-SHOT CoT):
-Scenario 1: Laps on Mediums 16/28. Cliff 55%. Pos P2. Gap to Leader: 2.5s. Pit Impact: 24s.
-Reasoning: Tires aren't fully dead, but at 55% cliff they are bleeding time. The gap to the leader is only 2.5s. By pitting NOW for the Undercut, we get 2-3 seconds per lap advantage on fresh tires. When the leader pits in 2 laps, we will have jumped them. Do not wait for complete failure.
-Decision: {"decision": "BOX", "confidence": 0.95, "reasoning": "Cliff is 55% and we are close to the leader. Boxing early for the undercut will provide a massive pace advantage on fresh tires to jump P1.", "tireRecommendation": "HARD"}
-
-Scenario 2: Laps on Hards 10/40. Cliff 30%. Pos P4. Laps left 20. Pit Impact: 24s.
-Reasoning: Tires are extremely fresh. Pitting now wastes too much race time and sacrifices track position unnecessarily.
-Decision: {"decision": "STAY", "confidence": 0.90, "reasoning": "Tires are very fresh (30% cliff) and well within their lifespan. Staying out to maintain track position and optimal strategy.", "tireRecommendation": "HARD"}
-
-Scenario 3: Laps on Softs 14/18. Cliff 70%. Pos P1. Laps left 15. Pit Impact: 24s.
-Reasoning: Softs are degrading heavily and near max age. We are losing over 1s a lap. Waiting any longer will bleed too much time. Pit now before the time loss exceeds the 24s pit penalty.
-Decision: {"decision": "BOX", "confidence": 0.92, "reasoning": "Soft tires are dying (70% cliff). Pitting to stop the massive time bleed and switch to a more durable compound to finish the race strongly.", "tireRecommendation": "MEDIUM"}
-
-TELEMETRY (Lap ${lap} / 44):
-- Race Progress: ${Math.round((lap / 44) * 100)}% complete (${44 - lap} laps remaining)
-- Current Tires: ${currentTireCompound}
-- Laps on Current Tires: ${lapsSinceLastPit}/${maxLapsForCompound} (${Math.round((lapsSinceLastPit / maxLapsForCompound) * 100)}% of lifespan)
-- Tire Wear Status: ${tireWearStatus}
-- Degradation Curve Multiplier: ${degradationMultiplier.toFixed(2)}x (1.0=normal, 4.0+=critical cliff)
-- Cliff Probability: ${(currentCliff * 100).toFixed(1)}% (CRITICAL if >75%)
-- True Tire Wear: ${dropObj.toFixed(3)}s
-- Pit Stops Made: ${pitStopCount}
-
-POSITION & GAP:
-- Current Position: P${raceState.currentPosition} ${raceState.currentPosition <= 3 ? '🏆 PODIUM POSITION - PROTECT!' : ''}
-- Gap to Leader: ${raceState.gapToLeader.toFixed(3)}s
-- PIT IMPACT: Lose ${timeLossStr} → P${pitImpact.newPosition}
-
-FUEL SITUATION:
-- Fuel: ${fuelStatus.currentFuel}kg (${fuelStatus.percentage}%)
-- Laps Remaining: ${fuelStrategy.getLapsRemaining(lap)}
-- Avg Consumption: ${fuelStatus.avgConsumption}kg/lap
-${fuelStatus.critical ? '⚠️  CRITICAL LOW FUEL' : fuelStatus.warning ? '⚠️  LOW FUEL' : '✓ Fuel OK'}
-
-WEATHER:
-- Current: ${weatherData.condition}
-- Grip: ${weatherData.gripLevel}
-- Recommended Compound: ${weatherData.recommendedTireCompound}
-${weatherData.riskFactors.length > 0 ? '- Risks: ' + weatherData.riskFactors.join(', ') : ''}
-
-STRATEGY ANALYSIS:
-- Total Pit Urgency: ${pitAnalysis.totalUrgency}/10
-- Reasons: ${pitAnalysis.reason.slice(0, 2).join('; ')}`;
-
-        const makeApiRequest = async (retries = 2) => {
-            for (let i = 0; i <= retries; i++) {
-                try {
-                    const res = await client.chat.complete({
-                        model: 'mistral-large-latest',
-                        messages: [{ role: 'system', content: prompt }],
-                        responseFormat: { type: 'json_object' }
-                    });
-                    return res;
-                } catch (err) {
-                    if (i === retries) throw err;
-                    // Wait a moment before retrying if fetch failed
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
-            }
-        };
+    lineChart.setData([wearSeries, cliffSeries, rateSeries]);
 
-        makeApiRequest().then(res => {
-            try {
-                const responseContent = res.choices[0].message.content;
-                const parsed = JSON.parse(responseContent);
-                const reasoning = parsed.reasoning || parsed.Reasoning || "No reasoning provided by agent.";
-                const tireRec = parsed.tireRecommendation || 'MEDIUM';
-
-                agentTerminal.log(``);
-                agentTerminal.log(`\x1b[4m>>> STRATEGY DECISION (Lap ${lap}) <<<\x1b[0m`);
-                agentTerminal.log(`Urgency: ${pitAnalysis.totalUrgency}/10 | Cliff: ${(currentCliff * 100).toFixed(1)}%`);
-                agentTerminal.log(`Decision:   \x1b[35m${parsed.decision}\x1b[0m`);
-                agentTerminal.log(`Confidence: \x1b[36m${(parsed.confidence * 100).toFixed(1)}%\x1b[0m`);
-
-                agentTerminal.log(`Pit Impact: ${timeLossStr}`);
-                agentTerminal.log(`Tire Choice: ${tireRec}`);
-                agentTerminal.log(`Reasoning:`);
-                wrapAndLog(agentTerminal, reasoning, 45);
-                agentTerminal.log(`-----------------------------`);
-
-                // Trust AI decisions: if it says BOX with reasonable confidence, execute pit stop
-                if (parsed.decision === 'BOX' && parsed.confidence >= 0.65) {
-                    executePitStop = true;
-                    positionBeforePit = raceState.currentPosition;
-                    agentTerminal.log(`✅ Executing pit stop (Confidence: ${(parsed.confidence * 100).toFixed(0)}%)`);
-                } else if (parsed.decision === 'BOX' && parsed.confidence < 0.65 && pitAnalysis.totalUrgency > 5) {
-                    // Execute pit if urgency is genuinely high, even with lower confidence
-                    executePitStop = true;
-                    positionBeforePit = raceState.currentPosition;
-                    agentTerminal.log(`✅ Forced pit (Urgency critical: ${pitAnalysis.totalUrgency}/10)`);
-                } else if (parsed.decision === 'BOX' && parsed.confidence < 0.65) {
-                    agentTerminal.log(`⏳ BOX recommended but confidence low (${(parsed.confidence * 100).toFixed(0)}%) - STAYING OUT`);
-                }
-            } catch (err) {
-                try {
-                    const extractJson = responseContent.match(/\{[\s\S]*\}/)[0];
-                    const parsedFallback = JSON.parse(extractJson);
-                    const reasoningFallback = parsedFallback.reasoning || "No reasoning";
-
-                    agentTerminal.log(``);
-                    agentTerminal.log(`\x1b[4m>>> STRATEGY DECISION (Lap ${lap}) <<<\x1b[0m`);
-                    agentTerminal.log(`Decision:   \x1b[35m${parsedFallback.decision}\x1b[0m`);
-                    agentTerminal.log(`Confidence: \x1b[36m${(parsedFallback.confidence * 100).toFixed(1)}%\x1b[0m`);
-                    agentTerminal.log(`Reasoning:`);
-                    wrapAndLog(agentTerminal, reasoningFallback, 45);
-                    agentTerminal.log(`-----------------------------`);
-
-                    // Trust AI decisions in fallback too
-                    if (parsedFallback.decision === 'BOX' && parsedFallback.confidence >= 0.65) {
-                        executePitStop = true;
-                        positionBeforePit = raceState.currentPosition;
-                        agentTerminal.log(`✅ [FALLBACK] Executing pit stop (Confidence: ${(parsedFallback.confidence * 100).toFixed(0)}%)`);
-                    } else if (parsedFallback.decision === 'BOX' && pitAnalysis.totalUrgency > 5) {
-                        executePitStop = true;
-                        positionBeforePit = raceState.currentPosition;
-                    }
-                } catch (fallbackErr) {
-                    agentTerminal.log(`[Error parsing API response]: ${err.message}`);
-                }
-            }
-            screen.render();
-        }).catch(err => {
-            agentTerminal.log(`[Mistral API Error]: ${err.message}`);
-            screen.render();
-        }).finally(() => {
-            isAgentThinking = false;
+    const { fuelEffect, trackEvolution, tyreDegradation } = lap.decomposition;
+    fuelEffectSeries.x.push(lapNumStr);
+    fuelEffectSeries.y.push(fuelEffect);
+
+    trackGainSeries.x.push(lapNumStr);
+    trackGainSeries.y.push(-trackEvolution);
+
+    tyreDegSeries.x.push(lapNumStr);
+    tyreDegSeries.y.push(tyreDegradation);
+
+    if (fuelEffectSeries.x.length > 20) {
+        [fuelEffectSeries, trackGainSeries, tyreDegSeries].forEach(series => {
+            series.x.shift();
+            series.y.shift();
         });
     }
+
+    lapTimeChart.setData([fuelEffectSeries, trackGainSeries, tyreDegSeries]);
+
+    // Update all info displays
+    updateStrategyDisplay();
+    updateWeatherDisplay(lap.lap);
+    updateFuelDisplay(lap.lap);
+    updateCompetitiveDisplay();
+}
+
+function logTrackStatus(track) {
+    if (track.status === 'GREEN') {
+        telemetryLog.log(`\x1b[32m🟢 Lap ${track.lap}: GREEN FLAG - ${track.previous} period over, racing resumes\x1b[0m`);
+    } else {
+        telemetryLog.log(`\x1b[33m🟡 Lap ${track.lap}: ${track.label} DEPLOYED (laps ${track.startLap}-${track.endLap}) - cheap pit stop window\x1b[0m`);
+    }
 }
 
-function startRaceSimulation() {
-    const telemetryStream = [];
+function logDecision(decision) {
+    const { lap } = decision;
 
-    if (!fs.existsSync(CSV_FILE)) {
-        console.error("CSV File not found: " + CSV_FILE);
-        process.exit(1);
+    if (decision.type === 'mandatory') {
+        agentTerminal.log(`\n[Lap ${lap}] 🚨 CRITICAL TIRE FAILURE - ${decision.reasoning}`);
+        return;
     }
 
-    fs.createReadStream(CSV_FILE)
-        .pipe(csv())
-        .on('data', (row) => telemetryStream.push(row))
-        .on('end', () => {
-            telemetryLog.log('--- Telemetry Loaded. Starting Live Race Simulation ---');
-            telemetryLog.log(`Starting Position: P${startingPosition}`);
-            telemetryLog.log(`Starting Tire Compound: ${startingTireCompound}`);
-            screen.render();
+    if (decision.type === 'no-tyres') {
+        agentTerminal.log(`\n[Lap ${lap}] ⚠️  ${decision.reasoning}`);
+        return;
+    }
 
-            const interval = setInterval(() => {
-                if (currentLap >= telemetryStream.length) {
-                    clearInterval(interval);
-                    telemetryLog.log('--- Race Finished ---');
-                    telemetryLog.log(`Final Pit Stops: ${pitStopCount}`);
-                    telemetryLog.log(`Final Position: P${raceState.currentPosition}`);
-                    telemetryLog.log('Press [ESC], [Q], or [CTRL-C] to exit.');
-                    screen.render();
-                    return;
-                }
+    agentTerminal.log(`\n[Lap ${lap}] 🚨 Strategy check (Cliff: ${(decision.cliffProb * 100).toFixed(1)}%, Urgency: ${decision.pitAnalysis.totalUrgency}/10)`);
 
-                const rawData = telemetryStream[currentLap];
-                const actualLap = Math.round(parseFloat(rawData.LapNumber));
-                const lapNumStr = actualLap.toString().padStart(2, '0');
-                const degradationDelta = parseFloat(rawData.Degradation_Delta);
-
-                // Simulate dynamic weather (changes every 5 laps)
-                if (actualLap % 5 === 1) {
-                    raceState.trackTemp = 20 + Math.random() * 40;
-                    raceState.airTemp = 15 + Math.random() * 25;
-                    raceState.humidity = 40 + Math.random() * 60;
-                    // Only 15% chance of rain (less aggressive than before)
-                    raceState.rainfall = Math.random() < 0.15 ? Math.random() * 3 : 0;
-                }
+    if (decision.type === 'error') {
+        agentTerminal.log(`[${decision.advisor} advisor error]: ${decision.error}`);
+        return;
+    }
 
-                // Simulate position changes (±1 position randomly)
-                if (Math.random() < 0.1) {
-                    const posChange = Math.random() < 0.5 ? -1 : 1;
-                    raceState.currentPosition = Math.max(1, Math.min(20, raceState.currentPosition + posChange));
-                }
+    if (decision.replayDiverged) {
+        agentTerminal.log(`⚠️  Replay diverged: this lap's prompt differs from the recording`);
+    }
 
-                // Simulate gap development
-                raceState.gapToLeader += (Math.random() - 0.4) * 0.3;
-                raceState.gapToLeader = Math.max(0, raceState.gapToLeader);
-
-                // Update tire strategy info
-                tireStrategy.updateCurrentStint(actualLap, state.x, raceState.currentPosition, `${raceState.trackTemp.toFixed(0)}°C`);
-                lapsSinceLastPit++;
-
-                // Handle pit stop and tire change
-                if (executePitStop) {
-                    pitStopCount++;
-                    positionBeforePit = raceState.currentPosition;
-                    previousTireCompound = currentTireCompound; // Save what we're coming off
-
-                    // Calculate realistic position change from pit stop
-                    const pitImpact = pitStopAnalyzer.estimatePositionLoss(raceState.currentPosition, actualLap);
-                    const newPosition = pitImpact.newPosition;
-
-                    // Intelligently choose next tire compound based on weather
-                    const weather = weatherAnalyzer.analyzeWeatherImpact(
-                        raceState.trackTemp, raceState.airTemp, raceState.humidity, raceState.rainfall
-                    );
-
-                    const tireChoices = {
-                        'DRY': ['MEDIUM', 'HARD', 'SOFT'],
-                        'INTERMEDIATE': ['INTERMEDIATE'],
-                        'WET': ['WET', 'INTERMEDIATE'],
-                        'EXTREME_WET': ['EXTREME_WET']
-                    };
-
-                    // Select new compound intelligently
-                    let availableCompounds = tireChoices[weather.condition] || ['MEDIUM'];
-
-                    // If previous stint was SOFT, prefer harder compounds next
-                    if (previousTireCompound === 'SOFT' && weather.condition === 'DRY') {
-                        availableCompounds = ['MEDIUM', 'HARD']; // Harder after SOFT
-                    } else if (previousTireCompound === 'HARD' && weather.condition === 'DRY' && lapsSinceLastPit > 25) {
-                        availableCompounds = ['SOFT', 'MEDIUM']; // Softer for grip if stint was long
-                    }
-
-                    // CRITICAL: Never pick the same compound (no point in changing tires to same compound)
-                    availableCompounds = availableCompounds.filter(c => c !== previousTireCompound);
-                    // If all options filtered out, fall back to preferred options excluding previous
-                    if (availableCompounds.length === 0) {
-                        availableCompounds = tireChoices[weather.condition].filter(c => c !== previousTireCompound) || ['HARD'];
-                    }
-
-                    const newCompound = availableCompounds[Math.floor(Math.random() * availableCompounds.length)];
-
-                    // Record pit and update tire strategy
-                    tireStrategy.pitAndChangeCompound(
-                        actualLap,
-                        newCompound,
-                        newPosition,
-                        state.x,
-                        weather.condition
-                    );
-
-                    // Update position to post-pit position
-                    raceState.currentPosition = newPosition;
-
-                    // Reset tire degradation state after pit
-                    state.x = 0.0;
-                    state.P = 1.0;
-
-                    // Update tire compound AFTER logging previous one
-                    currentTireCompound = newCompound;
-
-                    // Reset laps counter for new stint
-                    lapsSinceLastPit = 0;
-
-                    // Log pit stop with detailed analysis - showing ACTUAL tire change
-                    telemetryLog.log('');
-                    telemetryLog.log(`\x1b[33m╔════════════════════════════════════════╗\x1b[0m`);
-                    telemetryLog.log(`\x1b[33m║   PIT STOP #${pitStopCount} (Lap ${actualLap})                    ║\x1b[0m`);
-                    telemetryLog.log(`\x1b[33m╠════════════════════════════════════════╣\x1b[0m`);
-                    telemetryLog.log(`\x1b[33m║ Position: P${positionBeforePit} → P${newPosition} (-${pitImpact.positionsLost} pos)  \x1b[0m`);
-                    telemetryLog.log(`\x1b[33m║ Time Loss: ${pitImpact.timeLossSeconds}s                    \x1b[0m`);
-                    telemetryLog.log(`\x1b[33m║ Tires: ${previousTireCompound.padEnd(8)} → ${newCompound.padEnd(8)}        \x1b[0m`);
-                    telemetryLog.log(`\x1b[33m║ Weather: ${weather.condition.padEnd(12)} (${weather.gripLevel})   \x1b[0m`);
-                    telemetryLog.log(`\x1b[33m║ Rainfall: ${weather.rainfall}mm                    \x1b[0m`);
-                    telemetryLog.log(`\x1b[33m╚════════════════════════════════════════╝\x1b[0m`);
-                    telemetryLog.log('');
-
-
-                    executePitStop = false;
-                }
+    decision.overrides.forEach(o => {
+        agentTerminal.log(`🛡️  Guardrail ${o.rule}: ${o.field} ${o.from} -> ${o.to} (${o.reason})`);
+    });
 
-                // Process Kalman filter with degradation
-                if (!isNaN(degradationDelta)) {
-                    // Apply tire age degradation multiplier
-                    // Tires degrade faster as they age (cliff effect)
-                    const degradationMultiplier = tireStrategy.getDegradationCurveMultiplier(lapsSinceLastPit, currentTireCompound);
-                    const adjustedDegradationDelta = degradationDelta * degradationMultiplier;
-
-                    // C++ Update with age-adjusted degradation
-                    const result = kalmanMath.updateState(
-                        state.x, state.P, state.Q, state.R, state.wear_rate, adjustedDegradationDelta
-                    );
-
-                    state.x = result.x;
-                    state.P = result.P;
-
-                    // ==========================================
-                    // REALISTIC POSITION DYNAMICS (based on tire condition)
-                    // ==========================================
-                    const tireAgePercent = lapsSinceLastPit / tireStrategy.getMaxLaps(currentTireCompound);
-
-                    // Calculate position change based on tire condition and cliff probability
-                    let positionChange = 0;
-                    if (tireAgePercent < 0.4) {
-                        // Fresh tires: GAIN 1 position every 5-8 laps (better chance to overtake)
-                        if (result.cliffProb < 0.6 && Math.random() < 0.20) {
-                            positionChange = -1; // -1 = better position (lower number)
-                        }
-                    } else if (tireAgePercent > 0.8) {
-                        // Degraded tires: Lose 1 position only in critical cliff (fair chance to defend)
-                        if (result.cliffProb > 0.75 && Math.random() < 0.15) {
-                            positionChange = 1; // +1 = worse position (higher number)
-                        }
-                    } else {
-                        // Normal operation: balanced - gain if catching up, lose only in critical situations
-                        if (raceState.gapToLeader < 0.5 && Math.random() < 0.12) {
-                            positionChange = -1; // Catching up leader - gain position
-                        } else if (result.cliffProb > 0.80 && Math.random() < 0.08) {
-                            positionChange = 1; // Only lose in critical cliff (> 80%)
-                        }
-                    }
-
-                    // Apply realistic position change
-                    if (positionChange !== 0) {
-                        raceState.currentPosition = Math.max(1, Math.min(20, raceState.currentPosition + positionChange));
-                    }
-
-                    // ==========================================
-                    // REALISTIC GAP DEVELOPMENT
-                    // ==========================================
-                    // Gap should naturally decrease (we catch up) unless tires are critical
-                    const baseGapChange = -0.03; // Natural gain (catching up)
-                    const cliffPenalty = Math.max(0, (result.cliffProb - 0.65) * 0.15); // Only penalize if cliff > 65%
-                    const tireAdvantage = tireAgePercent < 0.35 ? -0.08 : 0; // Fresh tires help close gap
-                    const degradationPenalty = tireAgePercent > 0.90 ? 0.10 : 0; // Only late in stint (>90%)
-
-                    raceState.gapToLeader += baseGapChange + cliffPenalty + tireAdvantage + degradationPenalty;
-                    raceState.gapToLeader = Math.max(0, raceState.gapToLeader);
-
-                    // Simulate driving intensity and fuel consumption
-                    const drivingIntensity = result.cliffProb > 0.5 ? 'AGGRESSIVE' : 'NORMAL';
-                    const fuelInfo = fuelStrategy.updateFuelLevel(actualLap, result.x, drivingIntensity);
-
-                    // Log to telemetry window with pit stop relevant info
-                    const lapDisplay = `L${lapNumStr}`;
-                    const tireDisplay = `${currentTireCompound}(L${lapsSinceLastPit})`;
-                    const wearDisplay = `${result.x.toFixed(3)}s`;
-                    const cliffDisplay = `${(result.cliffProb * 100).toFixed(0)}%`.padStart(4);
-
-                    const currentPaceDelta = baseGapChange + cliffPenalty + tireAdvantage + degradationPenalty;
-                    const paceDisplay = `${currentPaceDelta >= 0 ? '+' : ''}${currentPaceDelta.toFixed(2)}`;
-
-                    telemetryLog.log(`${lapDisplay} | ${tireDisplay.padEnd(11)} | Pace:${paceDisplay.padStart(6)} | Wear:${wearDisplay} | Cliff:${cliffDisplay}`);
-
-                    // Update Chart Data
-                    wearSeries.x.push(lapNumStr);
-                    wearSeries.y.push(result.x * 100);
-
-                    cliffSeries.x.push(lapNumStr);
-                    cliffSeries.y.push(result.cliffProb * 100);
-
-                    if (wearSeries.x.length > 20) {
-                        wearSeries.x.shift();
-                        wearSeries.y.shift();
-                        cliffSeries.x.shift();
-                        cliffSeries.y.shift();
-                    }
-
-                    lineChart.setData([wearSeries, cliffSeries]);
-
-                    // Trigger AI decision
-                    handleAiDecision(actualLap, result.x, result.P, result.cliffProb);
-
-                    // Update all info displays
-                    updateStrategyDisplay(actualLap);
-                    updateWeatherDisplay();
-                    updateFuelDisplay(actualLap);
-                    updateCompetitiveDisplay();
-
-                    // Update competitors
-                    competitiveAnalysis.updateCompetitor('HAM', raceState.currentPosition, actualLap, currentTireCompound);
-
-                    screen.render();
+    const { pitImpact, pitAnalysis } = decision;
+    const timeLossStr = `${pitImpact.timeLossSeconds}s (~${pitImpact.positionsLost} positions)`;
+
+    agentTerminal.log(``);
+    agentTerminal.log(`\x1b[4m>>> STRATEGY DECISION (Lap ${lap}) <<<\x1b[0m`);
+    agentTerminal.log(`Urgency: ${pitAnalysis.totalUrgency}/10 | Cliff: ${(decision.cliffProb * 100).toFixed(1)}%`);
+    agentTerminal.log(`Decision:   \x1b[35m${decision.decision}\x1b[0m`);
+    agentTerminal.log(`Confidence: \x1b[36m${(decision.confidence * 100).toFixed(1)}%\x1b[0m`);
+
+    agentTerminal.log(`Pit Impact: ${timeLossStr}`);
+    agentTerminal.log(`Tire Choice: ${decision.tireRecommendation}`);
+    if (decision.driverMode) {
+        agentTerminal.log(`Driver Mode: ${decision.driverMode} for ${decision.modeLaps} laps`);
+    }
+    agentTerminal.log(`Reasoning:`);
+    wrapAndLog(agentTerminal, decision.reasoning, 45);
+    agentTerminal.log(`-----------------------------`);
+
+    if (decision.action === 'EXECUTED') {
+        agentTerminal.log(`✅ Executing pit stop (Confidence: ${(decision.confidence * 100).toFixed(0)}%)`);
+    } else if (decision.action === 'FORCED') {
+        agentTerminal.log(`✅ Forced pit (Urgency critical: ${pitAnalysis.totalUrgency}/10)`);
+    } else if (decision.action === 'LOW_CONFIDENCE') {
+        agentTerminal.log(`⏳ BOX recommended but confidence low (${(decision.confidence * 100).toFixed(0)}%) - STAYING OUT`);
+    }
+}
+
+function startRaceSimulation(advisor) {
+    loadTelemetry(TELEMETRY_FILE)
+        .then((telemetryStream) => {
+            sim = new RaceSimulator({ telemetry: telemetryStream, kalmanMath, advisor, rng, circuit, trackEvents, forecast });
+            const report = new RaceReport(sim);
+            const auditLog = new DecisionAuditLog(getAuditLogPath(rng.seed, circuit, advisor.name)).attach(sim);
+            agentTerminal.log(`Decision audit log: ${auditLog.file}`);
+
+            sim.on('lap', (lap) => {
+                logLap(lap);
+                screen.render();
+            });
+            sim.on('track', (track) => {
+                logTrackStatus(track);
+                screen.render();
+            });
+            sim.on('pit', (pit) => {
+                logPitStop(pit);
+                screen.render();
+            });
+            sim.on('decision', (decision) => {
+                logDecision(decision);
+                screen.render();
+            });
+            sim.on('finish', (summary) => {
+                telemetryLog.log('--- Race Finished ---');
+                telemetryLog.log(`Final Pit Stops: ${summary.pitStopCount}`);
+                telemetryLog.log(`Final Position: P${summary.finalPosition}`);
+                telemetryLog.log(`Race Seed: ${summary.seed}`);
+                if (summary.regulations.legal) {
+                    telemetryLog.log('✅ Tyre regulations respected');
+                } else {
+                    summary.regulations.violations.forEach(v => telemetryLog.log(`⚠️  ILLEGAL STRATEGY: ${v}`));
+                }
+                try {
+                    const files = report.write(REPORT_DIR);
+                    telemetryLog.log(`📄 Race report: ${files.markdown} | ${files.html} | ${files.json}`);
+                } catch (err) {
+                    telemetryLog.log(`Could not write race report: ${err.message}`);
                 }
-                currentLap++;
+                telemetryLog.log('Press [ESC], [Q], or [CTRL-C] to exit.');
+                screen.render();
+            });
+
+            telemetryLog.log(`--- Telemetry Loaded (${telemetryStream.length} laps). Starting Live Race Simulation ---`);
+            telemetryLog.log(`Circuit: ${circuit.name} (${circuit.laps} laps)`);
+            telemetryLog.log(`Starting Position: P${sim.startingPosition}`);
+            telemetryLog.log(`Starting Tire Compound: ${sim.startingTireCompound}`);
+            telemetryLog.log(`Race Seed: ${rng.seed} (replay with --seed=${rng.seed})`);
+            screen.render();
+
+            // One lap per second. A lap that is still waiting on the strategist holds
+            // the next one back, so decisions always land on the following lap.
+            let stepping = false;
+            const interval = setInterval(() => {
+                if (stepping) return;
+                if (sim.isFinished()) clearInterval(interval);
+
+                stepping = true;
+                sim.step().catch((err) => {
+                    clearInterval(interval);
+                    screen.destroy();
+                    console.error(`Race engine failed: ${err.stack || err.message}`);
+                    process.exit(1);
+                }).finally(() => {
+                    stepping = false;
+                });
             }, 1000); // 1 sec stream
         })
-        .on('error', (err) => {
-            console.error("Error reading CSV:", err);
+        .catch((err) => {
+            screen.destroy();
+            console.error(err.message);
             process.exit(1);
         });
 }
 
-startRaceSimulation();
+// The strategist draws from its own stream of the race seed, so it never shifts the race's draws
+prepareAdvisor(advisorType, { circuit, rng: new SeededRandom(rng.seed) }).then(advisor => {
+    agentTerminal.log(`Strategy advisor: ${advisor.name}`);
+    agentTerminal.log(`Kalman engine: ${kalmanEngineName}`);
+    screen.render();
+    startRaceSimulation(advisor);
+}).catch(err => {
+    screen.destroy();
+    console.error(`Could not start strategy advisor: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Decision Audit Log Module
+ * Appends every strategist call of a race to an NDJSON file: the prompt, the raw response,
+ * the parsed decision and the action the engine actually took. The ReplayAdvisor reads it back.
+ *
+ * Record kinds, one JSON object per line:
+ *   race      { seed, circuit, driver, advisor, telemetryLaps, trackEvents, forecast, recordedAt }
+ *             forecast is the forecast file the race ran with, or 'generated'
+ *   decision  { lap, type, advisor, action, decision, confidence, reasoning, tireRecommendation, driverMode, modeLaps,
+ *               prompt, response, error, overrides, cliffProb, urgency }
+ *   finish    { pitStopCount, finalPosition }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class DecisionAuditLog {
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Start a fresh log for `sim` and record its decisions as they happen
+   */
+  attach(sim) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, '');
+
+    this.append({
+      kind: 'race',
+      seed: sim.rng.seed,
+      circuit: sim.circuit.id,
+      driver: sim.driverCode,
+      advisor: sim.advisor ? sim.advisor.name : null,
+      telemetryLaps: sim.telemetry.length,
+      trackEvents: { schedule: sim.trackStatus.schedule, random: sim.trackStatus.random },
+      forecast: sim.weatherForecast.source,
+      recordedAt: new Date().toISOString()
+    });
+
+    sim.on('decision', decision => this.append(DecisionAuditLog.toRecord(decision)));
+    sim.on('finish', summary => this.append({
+      kind: 'finish',
+      pitStopCount: summary.pitStopCount,
+      finalPosition: summary.finalPosition
+    }));
+    return this;
+  }
+
+  append(record) {
+    // Synchronous so the log survives a crash mid-race
+    fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+  }
+
+  static toRecord(decision) {
+    return {
+      kind: 'decision',
+      lap: decision.lap,
+      type: decision.type,
+      advisor: decision.advisor || null,
+      action: decision.action,
+      decision: decision.decision || null,
+      confidence: decision.confidence !== undefined ? decision.confidence : null,
+      reasoning: decision.reasoning || null,
+      tireRecommendation: decision.tireRecommendation || null,
+      driverMode: decision.driverMode || null,
+      modeLaps: decision.modeLaps || null,
+      prompt: decision.prompt || null,
+      response: decision.raw !== undefined ? decision.raw : null,
+      error: decision.error || null,
+      overrides: decision.overrides || [],
+      cliffProb: decision.cliffProb,
+      urgency: decision.pitAnalysis ? decision.pitAnalysis.totalUrgency : null
+    };
+  }
+
+  /**
+   * Parse a log back into { race, decisions, finish }
+   */
+  static read(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Audit log not found: ${file}`);
+    }
+
+    const log = { race: null, decisions: [], finish: null };
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Audit log ${file} line ${index + 1} is not valid JSON: ${err.message}`);
+      }
+      if (record.kind === 'race') log.race = record;
+      else if (record.kind === 'decision') log.decisions.push(record);
+      else if (record.kind === 'finish') log.finish = record;
+    });
+    return log;
+  }
+}
+
+module.exports = DecisionAuditLog;
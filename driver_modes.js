@@ -0,0 +1,61 @@
+/**
+ * Driver Modes Module
+ * How hard the driver is pushing. Each mode scales the fuel burn, the tyre wear rate and the
+ * lap time; the strategist can hold a mode for a number of laps (e.g. manage tyres for 5 laps
+ * to stretch a stint), otherwise the engine picks one lap by lap.
+ */
+
+const DRIVER_MODES = {
+  AGGRESSIVE: { label: 'Push', fuelFactor: 1.3, wearFactor: 1.4, pace: -0.35 },
+  NORMAL: { label: 'Normal', fuelFactor: 1.0, wearFactor: 1.0, pace: 0.0 },
+  TYRE_SAVE: { label: 'Manage tyres', fuelFactor: 0.95, wearFactor: 0.65, pace: 0.6 },
+  FUEL_SAVE: { label: 'Save fuel', fuelFactor: 0.75, wearFactor: 0.8, pace: 1.2 }
+};
+
+const MAX_MODE_LAPS = 15; // Longest a strategist mode call holds before it has to be renewed
+
+class DriverModes {
+  constructor() {
+    this.command = null; // { mode, fromLap, untilLap } while a strategist call is in force
+  }
+
+  /**
+   * Hold `mode` for `laps` laps from the lap after `lap`. Returns the command, or null for an unknown mode.
+   */
+  setMode(mode, laps, lap) {
+    if (!DRIVER_MODES[mode]) return null;
+    const held = Math.max(1, Math.min(MAX_MODE_LAPS, Math.round(laps) || 1));
+    this.command = { mode, fromLap: lap + 1, untilLap: lap + held };
+    return this.command;
+  }
+
+  /**
+   * Mode for `lap`: the strategist's from the lap after the call until it runs out, otherwise `engineMode`.
+   * Race control overrides both - everyone saves fuel behind the SC/VSC.
+   * @returns {{ mode, label, fuelFactor, wearFactor, pace, source: 'strategist' | 'engine' | 'race control', lapsRemaining }}
+   */
+  modeFor(lap, engineMode = 'NORMAL', neutralised = false) {
+    if (this.command && lap > this.command.untilLap) {
+      this.command = null;
+    }
+
+    let mode = engineMode;
+    let source = 'engine';
+    if (neutralised) {
+      mode = 'FUEL_SAVE';
+      source = 'race control';
+    } else if (this.command && lap >= this.command.fromLap) {
+      mode = this.command.mode;
+      source = 'strategist';
+    }
+
+    return {
+      mode,
+      ...DRIVER_MODES[mode],
+      source,
+      lapsRemaining: this.command ? this.command.untilLap - lap : 0
+    };
+  }
+}
+
+module.exports = { DriverModes, DRIVER_MODES, MAX_MODE_LAPS };
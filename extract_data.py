@@ -44,6 +44,8 @@ extracted_features = pd.DataFrame({
 
 # 7. Calculate the "Degradation Delta" (How much time is lost compared to the fastest lap of the stint)
 # This is the 'noisy_measurement' (z_k) that we will feed into the C++ Kalman Filter
+# Note: it still includes fuel burn-off and track evolution - the race engine takes both out of
+# LapTime_Sec before the Kalman update (see lap_time_model.js)
 extracted_features['Degradation_Delta'] = extracted_features.groupby('Stint')['LapTime_Sec'].transform(lambda x: x - x.min())
 
 # 8. Export to CSV
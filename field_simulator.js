@@ -0,0 +1,297 @@
+/**
+ * Field Simulator Module
+ * Simulates the full 20-car field: every rival has its own tire strategy, Kalman degradation
+ * state, pace offset and pit decisions. Positions and gaps come from cumulative race time.
+ */
+
+const TireStrategy = require('./tire_strategy');
+const { loadCircuit } = require('./circuit_registry');
+const { TRACK_STATUS_EFFECTS } = require('./track_status');
+const { compoundPace, wetnessCondition } = require('./track_wetness');
+
+// 2024 Belgian GP entry, roughly in order of race pace
+const DEFAULT_DRIVERS = [
+  'VER', 'NOR', 'LEC', 'PIA', 'SAI', 'HAM', 'RUS', 'PER', 'ALO', 'OCO',
+  'GAS', 'ALB', 'STR', 'RIC', 'TSU', 'HUL', 'MAG', 'BOT', 'ZHO', 'SAR'
+];
+
+const GRID_SPACING = 0.25;    // seconds between grid slots after the standing start
+const PACE_STEP = 0.08;       // seconds per lap between consecutive cars in the pace order
+const LAP_TIME_NOISE = 0.3;   // seconds std-dev per lap
+const MEASUREMENT_NOISE = 0.3; // seconds std-dev on the rivals' degradation readings
+const NEUTRALISED_NOISE = 0.2; // fraction of the lap-time noise left while everyone follows the SC/VSC delta
+const SC_MIN_GAP = 0.8;       // seconds - how close the queue behind the safety car gets
+const SC_GAP_RETENTION = 0.35; // fraction of each interval left after a lap behind the safety car
+const GREEN = { status: 'GREEN', ...TRACK_STATUS_EFFECTS.GREEN };
+const RIVAL_COMPOUNDS = ['SOFT', 'MEDIUM', 'HARD', 'INTERMEDIATE', 'WET', 'EXTREME_WET'];
+const WET_WEATHER_COMPOUNDS = ['INTERMEDIATE', 'WET', 'EXTREME_WET'];
+
+class FieldSimulator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.kalmanMath - engine exposing updateRateState(x, rate, P00, P01, P11, Q, Q_rate, R, measurement, cliffThreshold, cliffSteepness)
+   * @param {Object} options.pitStopAnalyzer - shared analyzer (pit loss and rival pit windows)
+   * @param {Object} options.competitiveAnalysis - receives every car's position, gap, interval, tyre age and stops each lap
+   * @param {Object} options.rng - shared seeded RNG
+   * @param {string} options.ourDriver - the car driven by the RaceSimulator
+   * @param {Object} options.circuit - circuit profile: race length, lap time and tyre severity
+   * @param {number} options.wearRate - true wear per lap (s) the rivals' filters have to learn
+   */
+  constructor({
+    kalmanMath,
+    pitStopAnalyzer,
+    competitiveAnalysis,
+    rng,
+    ourDriver = 'HAM',
+    ourStartingPosition = 1,
+    ourCompound = 'MEDIUM',
+    circuit = loadCircuit(),
+    raceLength = circuit.laps,
+    baseLapTime = circuit.typicalLapTime,
+    wearRate = 0.045 * circuit.tyreSeverity,
+    kalman = { x: 0.0, rate: 0.045, P00: 1.0, P01: 0.0, P11: 0.0004, Q: 0.002, Q_rate: 0.00001, R: 1.5 },
+    drivers = DEFAULT_DRIVERS
+  }) {
+    this.kalmanMath = kalmanMath;
+    this.pitStopAnalyzer = pitStopAnalyzer;
+    this.competitiveAnalysis = competitiveAnalysis;
+    this.rng = rng;
+    this.ourDriver = ourDriver;
+    this.raceLength = raceLength;
+    this.baseLapTime = baseLapTime;
+    this.wearRate = wearRate;
+    this.kalman = kalman;
+    this.tireModel = new TireStrategy('FIELD', 'MEDIUM', 1, null, circuit); // Compound tables for our car
+
+    const entry = drivers.includes(ourDriver) ? drivers : [...drivers.slice(0, drivers.length - 1), ourDriver];
+    const rivals = entry.filter(code => code !== ourDriver);
+
+    // Our car takes its random grid slot; rivals fill the rest in pace order
+    const gridOrder = [...rivals];
+    gridOrder.splice(ourStartingPosition - 1, 0, ourDriver);
+
+    this.cars = gridOrder.map((code, index) => {
+      const gridPosition = index + 1;
+      const isOurs = code === ourDriver;
+      const tireStrategy = isOurs ? null : new TireStrategy(code, null, gridPosition, rng, circuit);
+
+      return {
+        code,
+        isOurs,
+        gridPosition,
+        position: gridPosition,
+        paceOffset: entry.indexOf(code) * PACE_STEP + (isOurs ? 0 : rng.gaussian(0, 0.1)),
+        wearFactor: isOurs ? 1 : 1 + rng.gaussian(0, 0.1),
+        tireStrategy,
+        compound: isOurs ? ourCompound : tireStrategy.currentStint.tireCompound,
+        tireAge: 0,
+        trueWear: 0,
+        state: { ...kalman },
+        cliffProb: 0,
+        pitstops: 0,
+        compoundsUsed: new Set([isOurs ? ourCompound : tireStrategy.currentStint.tireCompound]),
+        pitNextLap: false,
+        raceTime: index * GRID_SPACING,
+        lastLapTime: 0,
+        gapToLeader: index * GRID_SPACING,
+        interval: index === 0 ? 0 : GRID_SPACING
+      };
+    });
+
+    this.byCode = new Map(this.cars.map(car => [car.code, car]));
+    this.publishStandings(0);
+  }
+
+  getCar(code) {
+    return this.byCode.get(code);
+  }
+
+  getOurCar() {
+    return this.byCode.get(this.ourDriver);
+  }
+
+  pitLoss() {
+    return this.pitStopAnalyzer.calculateTimeLoss(this.baseLapTime) + this.rng.gaussian(0, 0.8);
+  }
+
+  /**
+   * Next compound for a rival: the fastest wet-weather tyre on a wet track,
+   * otherwise the softest other dry compound that reaches the flag
+   */
+  chooseRivalCompound(car, lapsToGo, wetness = 0) {
+    if (wetnessCondition(wetness) !== 'DRY') {
+      return [...WET_WEATHER_COMPOUNDS].sort((a, b) => compoundPace(a, wetness) - compoundPace(b, wetness))[0];
+    }
+    const candidates = ['SOFT', 'MEDIUM', 'HARD'].filter(c => c !== car.compound);
+    const canFinish = candidates.find(c => car.tireStrategy.getMaxLaps(c) * 0.9 >= lapsToGo);
+    return canFinish || candidates[candidates.length - 1];
+  }
+
+  /**
+   * Rival pit call from its own Kalman cliff estimate, tire age and the slick/wet crossover
+   */
+  decideRivalPit(car, lap, track = GREEN, wetness = 0) {
+    const lapsToGo = this.raceLength - lap;
+    const maxLaps = car.tireStrategy.getMaxLaps(car.compound);
+    const window = this.pitStopAnalyzer.determineOptimalPitWindow(lap, car.cliffProb, car.tireAge, car.tireAge, maxLaps);
+
+    if (window.recommendation === 'PIT_IMMEDIATELY') return true;
+    if (lapsToGo <= 2) return false;
+    if (this.pitStopAnalyzer.analyzeCrossover({ compound: car.compound, wetness, candidates: RIVAL_COMPOUNDS, lapsToGo }).paysOff) return true;
+    if (window.recommendation === 'PIT_SOON') return this.rng.random() < 0.5;
+
+    // Cheap stop under the SC/VSC for anyone past half tyre life who still has laps to use the new set
+    if (track.status !== 'GREEN' && car.tireAge >= maxLaps * 0.5 && lapsToGo > 5) return true;
+
+    // Dry race rule: a car still on its starting compound has to stop before the flag
+    return car.compoundsUsed.size < 2 && lapsToGo <= 8;
+  }
+
+  advanceRival(car, lap, track = GREEN, wetness = 0) {
+    let lapTime = 0;
+
+    if (car.pitNextLap) {
+      const newCompound = this.chooseRivalCompound(car, this.raceLength - lap + 1, wetness);
+      car.tireStrategy.pitAndChangeCompound(lap, newCompound, car.position, car.state.x, wetnessCondition(wetness));
+      car.compound = newCompound;
+      car.compoundsUsed.add(newCompound);
+      car.tireAge = 0;
+      car.trueWear = 0;
+      car.state = { ...this.kalman };
+      car.pitstops++;
+      car.pitNextLap = false;
+      this.competitiveAnalysis.recordPitStop(car.code);
+      lapTime += this.pitLoss();
+    }
+
+    car.tireAge++;
+    car.trueWear += this.wearRate * car.wearFactor * track.wearFactor * car.tireStrategy.getDegradationCurveMultiplier(car.tireAge, car.compound);
+
+    // Rivals run the same filter we do on their noisy degradation readings
+    const measurement = car.trueWear + this.rng.gaussian(0, MEASUREMENT_NOISE);
+    const { state } = car;
+    const cliff = car.tireStrategy.currentStint.cliffModel;
+    const result = this.kalmanMath.updateRateState(
+      state.x, state.rate, state.P00, state.P01, state.P11, state.Q, state.Q_rate, state.R, measurement,
+      cliff.threshold, cliff.steepness
+    );
+    Object.assign(state, { x: result.x, rate: result.rate, P00: result.P00, P01: result.P01, P11: result.P11 });
+    car.cliffProb = result.cliffProb;
+
+    lapTime += this.lapTime(car.paceOffset + car.tireStrategy.getCompoundPaceAdvantage(car.compound, wetness) + car.trueWear, track);
+
+    car.pitNextLap = this.decideRivalPit(car, lap, track, wetness);
+    return lapTime;
+  }
+
+  /**
+   * Green laps: base lap plus the car's pace, tyre and wear deltas.
+   * Under the SC/VSC every car laps at the neutralised pace and the deltas disappear.
+   */
+  lapTime(carDelta, track) {
+    const noise = this.rng.gaussian(0, LAP_TIME_NOISE);
+    if (track.status === 'GREEN') {
+      return this.baseLapTime + carDelta + noise;
+    }
+    return this.baseLapTime * track.lapTimeFactor + noise * NEUTRALISED_NOISE;
+  }
+
+  /**
+   * Close the field up behind the safety car: every interval shrinks towards SC_MIN_GAP, order is kept
+   */
+  bunchField() {
+    const ordered = [...this.cars].sort((a, b) => a.raceTime - b.raceTime);
+    for (let i = 1; i < ordered.length; i++) {
+      const gap = ordered[i].raceTime - ordered[i - 1].raceTime;
+      if (gap > SC_MIN_GAP) {
+        ordered[i].raceTime = ordered[i - 1].raceTime + Math.max(SC_MIN_GAP, gap * SC_GAP_RETENTION);
+      }
+    }
+  }
+
+  /**
+   * Advance every car by one lap.
+   * `ours` describes our car's lap: { compound, tireAge, wear, rate, cliffProb, pitted, liftAndCoast, modePace }
+   * (liftAndCoast: seconds lost saving fuel this lap; modePace: seconds the driver mode adds, negative when pushing)
+   * Our lap time uses the same model as the rivals, with the Kalman wear estimate as wear.
+   * `track` is the race-control status for the lap (see track_status.js), `wetness` the water on
+   * the track (see track_wetness.js) - every car's compound pace depends on it.
+   */
+  advanceLap(lap, ours, track = GREEN, wetness = 0) {
+    const our = this.getOurCar();
+
+    this.cars.forEach(car => {
+      let lapTime;
+      if (car.isOurs) {
+        if (ours.pitted) {
+          car.pitstops++;
+          car.compoundsUsed.add(ours.compound);
+          this.competitiveAnalysis.recordPitStop(car.code);
+        }
+        car.compound = ours.compound;
+        car.tireAge = ours.tireAge;
+        car.cliffProb = ours.cliffProb;
+        car.state.x = ours.wear;
+        car.state.rate = ours.rate;
+        lapTime = (ours.pitted ? this.pitLoss() : 0) + (ours.liftAndCoast || 0) + (ours.modePace || 0)
+          + this.lapTime(car.paceOffset + this.tireModel.getCompoundPaceAdvantage(ours.compound, wetness) + ours.wear, track);
+      } else {
+        lapTime = this.advanceRival(car, lap, track, wetness);
+      }
+
+      car.lastLapTime = lapTime;
+      car.raceTime += lapTime;
+    });
+
+    if (track.status === 'SC') this.bunchField();
+
+    this.publishStandings(lap);
+    return this.getStandings(our);
+  }
+
+  /**
+   * Order by cumulative race time and push positions, gaps, intervals and tyre ages into CompetitiveAnalysis
+   */
+  publishStandings(lap) {
+    const ordered = [...this.cars].sort((a, b) => a.raceTime - b.raceTime);
+    const leaderTime = ordered[0].raceTime;
+
+    ordered.forEach((car, index) => {
+      car.position = index + 1;
+      car.gapToLeader = car.raceTime - leaderTime;
+      car.interval = index === 0 ? 0 : car.raceTime - ordered[index - 1].raceTime;
+      this.competitiveAnalysis.updateCompetitor(car.code, car.position, lap, car.compound, [], car.gapToLeader, car.interval, car.tireAge);
+    });
+  }
+
+  /**
+   * Position we would rejoin in if we lost `timeLoss` seconds in the pit lane right now
+   */
+  projectRejoinPosition(timeLoss) {
+    const rejoinTime = this.getOurCar().raceTime + timeLoss;
+    return 1 + this.cars.filter(car => !car.isOurs && car.raceTime < rejoinTime).length;
+  }
+
+  getStandings(car = this.getOurCar()) {
+    return {
+      position: car.position,
+      gapToLeader: car.gapToLeader,
+      interval: car.interval,
+      lastLapTime: car.lastLapTime,
+      order: [...this.cars].sort((a, b) => a.position - b.position).map(c => ({
+        position: c.position,
+        code: c.code,
+        compound: c.compound,
+        tireAge: c.tireAge,
+        pitstops: c.pitstops,
+        gapToLeader: c.gapToLeader,
+        interval: c.interval,
+        cliffProb: c.cliffProb,
+        wear: c.state.x,
+        wearRate: c.state.rate
+      }))
+    };
+  }
+}
+
+module.exports = FieldSimulator;
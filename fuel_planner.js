@@ -0,0 +1,137 @@
+/**
+ * Fuel Planner Module
+ * Per-lap fuel targets that reach the flag with a minimum reserve, the lap time lift-and-coast
+ * costs when the car is short, and the starting load that balances carrying extra weight
+ * against the lift-and-coast an under-fuelled car would need.
+ */
+
+const DEFAULT_RESERVE = 1.0;     // kg left in the car at the flag (fuel sample)
+const BURN_UNCERTAINTY = 0.05;   // standard deviation of the race burn, as a share of the expected burn
+const LIFT_COAST_LINEAR = 1.5;   // s lost per kg saved by lifting and coasting
+const LIFT_COAST_QUADRATIC = 12; // s per (kg/lap)^2 per lap - each extra kg saved on a lap costs more
+const MAX_SAVING_SHARE = 0.25;   // most of a lap's burn lifting and coasting can save (FUEL_SAVE mode)
+const RUN_DRY_PENALTY = 300;     // s charged for running out before the flag when choosing the load
+const LOAD_STEP = 0.5;           // kg resolution of the starting load search
+
+// Standard normal quadrature for the burn uncertainty: z from -4 to 4
+const QUADRATURE = (() => {
+  const points = [];
+  for (let z = -4; z <= 4 + 1e-9; z += 0.25) points.push({ z, weight: Math.exp(-z * z / 2) });
+  const total = points.reduce((sum, p) => sum + p.weight, 0);
+  return points.map(p => ({ z: p.z, weight: p.weight / total }));
+})();
+
+class FuelPlanner {
+  /**
+   * @param {Object} options
+   * @param {number} options.fuelPerLap - expected burn (kg/lap)
+   * @param {number} options.fuelEffectPerKg - lap time per kg on board (s/lap, see lap_time_model.js)
+   * @param {number} [options.capacity] - tank capacity (kg)
+   * @param {number} [options.reserve] - kg that must be left at the flag
+   */
+  constructor({ fuelPerLap, fuelEffectPerKg, capacity = 110, reserve = DEFAULT_RESERVE }) {
+    this.fuelPerLap = fuelPerLap;
+    this.fuelEffectPerKg = fuelEffectPerKg;
+    this.capacity = capacity;
+    this.reserve = reserve;
+  }
+
+  /**
+   * Lap time lost saving `fuelToSave` kg spread evenly over `laps` laps burning `burnPerLap`
+   * @returns {{ fuelToSave, savingPerLap, maxSavingPerLap, laps, feasible, timeCostPerLap, timeCost }}
+   *          feasible is false when even full lift-and-coast (maxSavingPerLap) can't save that much
+   */
+  liftAndCoastCost(fuelToSave, laps, burnPerLap = this.fuelPerLap) {
+    const savingPerLap = laps > 0 ? Math.max(0, fuelToSave) / laps : 0;
+    const maxSavingPerLap = MAX_SAVING_SHARE * burnPerLap;
+    const timeCostPerLap = LIFT_COAST_LINEAR * savingPerLap + LIFT_COAST_QUADRATIC * savingPerLap * savingPerLap;
+    return {
+      fuelToSave: Math.max(0, fuelToSave),
+      savingPerLap,
+      maxSavingPerLap,
+      laps,
+      feasible: savingPerLap <= maxSavingPerLap + 1e-9,
+      timeCostPerLap,
+      timeCost: timeCostPerLap * laps
+    };
+  }
+
+  /**
+   * Fuel targets for the rest of the race
+   * @param {Object} state
+   * @param {number} state.lap - last completed lap
+   * @param {number} state.fuel - fuel on board now (kg)
+   * @param {number} state.lapsToGo - laps still to run
+   * @param {number} [state.burnPerLap] - current burn (kg/lap)
+   * @returns {{ targetBurn, burnPerLap, margin, needToSave, liftAndCoast, targets }}
+   *          targetBurn is the most the car can burn per lap and still finish with the reserve;
+   *          margin the spare fuel at the flag at the current burn (negative = short);
+   *          targets the fuel that should be left at the end of each lap: [{ lap, fuel }]
+   */
+  planTargets({ lap, fuel, lapsToGo, burnPerLap = this.fuelPerLap }) {
+    const usable = fuel - this.reserve;
+    const targetBurn = lapsToGo > 0 ? usable / lapsToGo : 0;
+    const margin = usable - burnPerLap * lapsToGo;
+    const targets = [];
+    for (let i = 1; i <= lapsToGo; i++) {
+      targets.push({ lap: lap + i, fuel: fuel - targetBurn * i });
+    }
+
+    return {
+      targetBurn,
+      burnPerLap,
+      margin,
+      needToSave: margin < 0,
+      liftAndCoast: this.liftAndCoastCost(-margin, lapsToGo, burnPerLap),
+      targets
+    };
+  }
+
+  /**
+   * Expected time cost of starting a `raceLaps` race with `load` kg: the weight carried
+   * against the lightest load that finishes on average, plus the expected lift-and-coast
+   * (or a retirement) when the burn comes out higher than planned.
+   */
+  expectedCost(load, raceLaps) {
+    const expectedBurn = this.fuelPerLap * raceLaps;
+    const weightCost = this.fuelEffectPerKg * (load - expectedBurn - this.reserve) * raceLaps;
+
+    const liftAndCoastCost = QUADRATURE.reduce((sum, { z, weight }) => {
+      const burn = expectedBurn * (1 + BURN_UNCERTAINTY * z);
+      const shortfall = burn + this.reserve - load;
+      if (shortfall <= 0) return sum;
+      const lift = this.liftAndCoastCost(shortfall, raceLaps, burn / raceLaps);
+      return sum + weight * (lift.feasible ? lift.timeCost : RUN_DRY_PENALTY);
+    }, 0);
+
+    return { weightCost, liftAndCoastCost, totalCost: weightCost + liftAndCoastCost };
+  }
+
+  /**
+   * Starting load with the lowest expected cost, searched in LOAD_STEP kg steps up to the capacity
+   * @returns {{ load, expectedBurn, margin, weightCost, liftAndCoastCost, totalCost }}
+   *          margin is the load above the expected burn plus the reserve
+   */
+  optimiseStartingLoad(raceLaps) {
+    const expectedBurn = this.fuelPerLap * raceLaps;
+    const lightest = expectedBurn + this.reserve;
+    const spread = expectedBurn * BURN_UNCERTAINTY;
+
+    let best = null;
+    const first = Math.ceil(Math.max(this.reserve, lightest - 2 * spread) / LOAD_STEP) * LOAD_STEP;
+    for (let load = first; load <= Math.min(this.capacity, lightest + 4 * spread) + 1e-9; load += LOAD_STEP) {
+      const cost = this.expectedCost(load, raceLaps);
+      if (!best || cost.totalCost < best.totalCost) {
+        best = { load, ...cost };
+      }
+    }
+    if (!best) {
+      // The race needs more than the tank holds - start full
+      best = { load: this.capacity, ...this.expectedCost(this.capacity, raceLaps) };
+    }
+
+    return { ...best, expectedBurn, margin: best.load - lightest };
+  }
+}
+
+module.exports = { FuelPlanner, DEFAULT_RESERVE };
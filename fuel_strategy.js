@@ -3,34 +3,56 @@
  * Manages fuel consumption and determines fuel-based pit strategy
  */
 
+const { loadCircuit, DEFAULT_CIRCUIT } = require('./circuit_registry');
+const { FuelPlanner, DEFAULT_RESERVE } = require('./fuel_planner');
+const LapTimeModel = require('./lap_time_model');
+const { DRIVER_MODES } = require('./driver_modes');
+
 class FuelStrategy {
-  constructor(totalFuelCapacity = 110, raceLength = 44) {
+  /**
+   * @param {number} [totalFuelCapacity] - tank capacity (kg)
+   * @param {string|Object} [circuit] - circuit id, profile path or profile
+   * @param {Object} [options]
+   * @param {boolean} [options.refuelling] - whether the ruleset allows refuelling at a stop
+   * @param {number} [options.reserve] - kg that must be left at the flag
+   * @param {number} [options.startingFuel] - starting load (kg); the planner's optimum when omitted
+   */
+  constructor(totalFuelCapacity = 110, circuit = DEFAULT_CIRCUIT, { refuelling = false, reserve = DEFAULT_RESERVE, startingFuel = null } = {}) {
+    const profile = loadCircuit(circuit);
     this.totalFuel = totalFuelCapacity; // F1 max fuel is 110kg
-    this.currentFuel = totalFuelCapacity;
-    this.fuelConsumptionPerLap = 1.2; // kg/lap average
-    this.raceLength = raceLength; // Total race laps
+    this.fuelConsumptionPerLap = profile.fuelPerLap; // kg/lap average for the circuit
+    this.raceLength = profile.laps; // Total race laps
+    this.refuelling = refuelling;
+    this.planner = new FuelPlanner({
+      fuelPerLap: this.fuelConsumptionPerLap,
+      fuelEffectPerKg: LapTimeModel.fuelEffectPerKg(profile),
+      capacity: totalFuelCapacity,
+      reserve
+    });
+    // Weight carried against expected lift-and-coast (see FuelPlanner.optimiseStartingLoad)
+    this.startingLoad = this.planner.optimiseStartingLoad(this.raceLength);
+    this.startingFuel = startingFuel !== null ? Math.min(totalFuelCapacity, startingFuel) : this.startingLoad.load;
+    this.currentFuel = this.startingFuel;
     this.fuelHistory = [];
     this.consumptionAdjustment = 1.0; // multiplier based on driving style
   }
 
-  updateFuelLevel(lap, currentDegradation, drivingIntensity = 'NORMAL') {
-    // Adjust consumption based on driving intensity
-    const intensityMultiplier = {
-      AGGRESSIVE: 1.3,
-      NORMAL: 1.0,
-      FUEL_SAVE: 0.75
-    };
-
-    const multiplier = intensityMultiplier[drivingIntensity] || 1.0;
-    const consumption = (this.fuelConsumptionPerLap * multiplier) * (1 + currentDegradation / 100);
+  /**
+   * Burn a lap of fuel. `liftAndCoastSaving` (kg) comes off the lap's burn - see getLiftAndCoast()
+   */
+  updateFuelLevel(lap, currentDegradation, drivingIntensity = 'NORMAL', liftAndCoastSaving = 0) {
+    // Adjust consumption based on the driver mode (see driver_modes.js)
+    const multiplier = DRIVER_MODES[drivingIntensity] ? DRIVER_MODES[drivingIntensity].fuelFactor : 1.0;
+    const consumption = Math.max(0, (this.fuelConsumptionPerLap * multiplier) * (1 + currentDegradation / 100) - liftAndCoastSaving);
 
     this.currentFuel -= consumption;
-    
+    const intensity = liftAndCoastSaving > 0 ? 'LIFT_AND_COAST' : drivingIntensity;
+
     this.fuelHistory.push({
       lap,
       consumption,
       remaining: this.currentFuel,
-      intensity: drivingIntensity
+      intensity
     });
 
     return {
@@ -38,38 +60,100 @@ class FuelStrategy {
       fuelRemaining: ((Math.max(0, this.currentFuel) / this.totalFuel) * 100).toFixed(1),
       consumption: consumption.toFixed(3),
       lapsUntilEmpty: (Math.max(0, this.currentFuel) / this.fuelConsumptionPerLap).toFixed(1),
-      critical: this.currentFuel < 5,
-      intensityMode: drivingIntensity
+      critical: this.isFuelCritical(),
+      intensityMode: intensity
     };
   }
 
+  /**
+   * Lift-and-coast for the coming lap when the car is short of the flag: the shortfall at the
+   * current burn spread evenly over the `lapsToGo` laps (capped at what lifting can save on one lap).
+   * `lap` is the last completed lap. Returns { saving (kg), timeCost (s) } - both 0 when on target.
+   */
+  getLiftAndCoast(lapsToGo, lap) {
+    const { needToSave, liftAndCoast } = this.recommendFuelSave(lapsToGo, lap);
+    if (!needToSave) return { saving: 0, timeCost: 0 };
+
+    const saving = Math.min(liftAndCoast.savingPerLap, liftAndCoast.maxSavingPerLap);
+    return { saving, timeCost: this.planner.liftAndCoastCost(saving, 1, this.getAverageConsumption()).timeCost };
+  }
+
   canFinishRace(lapsRemaining) {
     const fuelNeeded = lapsRemaining * this.fuelConsumptionPerLap * 1.1; // 1.1 safety factor
     return this.currentFuel >= fuelNeeded;
   }
 
-  recommendFuelSave(targetLaps) {
-    const requiredConsumption = this.currentFuel / targetLaps;
+  /**
+   * Fuel plan for the last `targetLaps` laps: per-lap targets to finish with the reserve and,
+   * when the car is short at the current burn, the lift-and-coast needed and what it costs
+   * (see FuelPlanner.planTargets). `lap` is the last completed lap.
+   */
+  recommendFuelSave(targetLaps, lap = this.raceLength - targetLaps) {
     const currentAvgConsumption = this.getAverageConsumption();
+    const plan = this.planner.planTargets({
+      lap,
+      fuel: Math.max(0, this.currentFuel),
+      lapsToGo: targetLaps,
+      burnPerLap: currentAvgConsumption
+    });
+    const { liftAndCoast } = plan;
+
+    let recommendation = 'NORMAL_PACE';
+    if (plan.needToSave) {
+      recommendation = liftAndCoast.feasible ? 'FUEL_SAVE_MODE' : this.refuelling ? 'REFUEL' : 'CANNOT_FINISH';
+    }
 
     return {
       targetLaps,
       currentFuel: this.currentFuel.toFixed(2),
-      requiredConsumption: requiredConsumption.toFixed(3),
+      reserve: this.planner.reserve,
+      requiredConsumption: plan.targetBurn.toFixed(3),
       currentAvgConsumption: currentAvgConsumption.toFixed(3),
-      needToSave: requiredConsumption < currentAvgConsumption,
-      savingRequired: (currentAvgConsumption - requiredConsumption).toFixed(3),
-      recommendation: requiredConsumption < currentAvgConsumption ? 'FUEL_SAVE_MODE' : 'NORMAL_PACE'
+      margin: plan.margin.toFixed(2),
+      needToSave: plan.needToSave,
+      savingRequired: liftAndCoast.savingPerLap.toFixed(3),
+      liftAndCoast,
+      targets: plan.targets,
+      recommendation
     };
   }
 
+  /**
+   * Fuel on board at the start of `lap` (kg), from the fuel load history
+   */
+  getFuelLoad(lap) {
+    if (!this.fuelHistory.some(entry => entry.lap >= lap)) {
+      return Math.max(0, this.currentFuel); // The lap about to be run
+    }
+    const before = this.fuelHistory.filter(entry => entry.lap < lap);
+    return before.length > 0 ? Math.max(0, before[before.length - 1].remaining) : this.startingFuel;
+  }
+
+  /**
+   * Top the car up at a stop so it reaches the flag in `lapsToGo` laps with the reserve.
+   * Returns the kg added (0 when the ruleset bans refuelling or the car already has enough).
+   */
+  refuelForLaps(lapsToGo) {
+    if (!this.refuelling) return 0;
+    const needed = this.getAverageConsumption() * lapsToGo + this.planner.reserve - Math.max(0, this.currentFuel);
+    const amount = Math.max(0, Math.min(needed, this.totalFuel - this.currentFuel));
+    if (amount > 0) this.refuel(amount);
+    return amount;
+  }
+
   getAverageConsumption() {
     if (this.fuelHistory.length === 0) return this.fuelConsumptionPerLap;
     const sum = this.fuelHistory.reduce((acc, entry) => acc + entry.consumption, 0);
     return sum / this.fuelHistory.length;
   }
 
+  /**
+   * Add fuel at a stop - only when the ruleset allows refuelling
+   */
   refuel(amount) {
+    if (!this.refuelling) {
+      throw new Error('Refuelling is not allowed under the current ruleset');
+    }
     this.currentFuel = Math.min(this.totalFuel, this.currentFuel + amount);
     return {
       currentFuel: this.currentFuel.toFixed(2),
@@ -83,11 +167,27 @@ class FuelStrategy {
       currentFuel: Math.max(0, this.currentFuel).toFixed(2),
       percentage: ((Math.max(0, this.currentFuel) / this.totalFuel) * 100).toFixed(1),
       avgConsumption: this.getAverageConsumption().toFixed(3),
-      critical: this.currentFuel < 5,
-      warning: this.currentFuel < 15
+      critical: this.isFuelCritical(),
+      warning: this.planFromLastLap().needToSave
     };
   }
 
+  /**
+   * Fuel plan from the last lap run to the flag
+   */
+  planFromLastLap() {
+    const lap = this.fuelHistory.length > 0 ? this.fuelHistory[this.fuelHistory.length - 1].lap : 0;
+    return this.recommendFuelSave(Math.max(0, this.raceLength - lap), lap);
+  }
+
+  /**
+   * Not even full lift-and-coast gets the car to the flag with the reserve
+   */
+  isFuelCritical() {
+    const plan = this.planFromLastLap();
+    return plan.needToSave && !plan.liftAndCoast.feasible;
+  }
+
   getLapsRemaining(currentLap = 0) {
     // Calculate ACTUAL laps remaining based on race distance
     // Not theoretical laps the car could do on fuel alone
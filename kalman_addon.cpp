@@ -1,6 +1,17 @@
 #include <napi.h>
 #include <cmath>
 
+// Default cliff model - callers pass per-compound values from cliff_model.json
+const double DEFAULT_CLIFF_THRESHOLD = 0.60; // Delta where tires fall off
+const double DEFAULT_CLIFF_STEEPNESS = 15.0;
+
+static double OptionalNumber(const Napi::CallbackInfo& info, size_t index, double fallback) {
+    if (info.Length() > index && info[index].IsNumber()) {
+        return info[index].As<Napi::Number>().DoubleValue();
+    }
+    return fallback;
+}
+
 // This function receives the current state and the new noisy measurement from Node.js
 Napi::Value UpdateState(const Napi::CallbackInfo& info) {
     Napi::Env env = info.Env();
@@ -13,6 +24,10 @@ Napi::Value UpdateState(const Napi::CallbackInfo& info) {
     double wear_rate = info[4].As<Napi::Number>().DoubleValue();
     double measurement = info[5].As<Napi::Number>().DoubleValue();
 
+    // Optional per-compound cliff model (defaults match the original MEDIUM tuning)
+    double cliff_threshold = OptionalNumber(info, 6, DEFAULT_CLIFF_THRESHOLD);
+    double steepness = OptionalNumber(info, 7, DEFAULT_CLIFF_STEEPNESS);
+
     // 2. The Predict Step
     double x_pred = x + wear_rate;
     double P_pred = P + Q;
@@ -23,8 +38,6 @@ Napi::Value UpdateState(const Napi::CallbackInfo& info) {
     double new_P = (1.0 - K) * P_pred;
 
     // 4. Calculate Cliff Probability
-    double cliff_threshold = 0.60; // Delta where tires fall off
-    double steepness = 15.0;
     double cliff_prob = 1.0 / (1.0 + std::exp(-steepness * (new_x - cliff_threshold)));
 
     // 5. Package the results back into a JavaScript Object
@@ -36,9 +49,62 @@ Napi::Value UpdateState(const Napi::CallbackInfo& info) {
     return result;
 }
 
-// Initialize the addon and export the function
+// Two-state filter: state is [degradation, degradation rate] with a 2x2 covariance,
+// so the wear rate is learned from the stint instead of being supplied by the caller
+Napi::Value UpdateRateState(const Napi::CallbackInfo& info) {
+    Napi::Env env = info.Env();
+
+    // 1. Extract variables passed from JavaScript
+    double x = info[0].As<Napi::Number>().DoubleValue();           // Degradation (s)
+    double rate = info[1].As<Napi::Number>().DoubleValue();        // Degradation rate (s/lap)
+    double P00 = info[2].As<Napi::Number>().DoubleValue();         // Covariance [x,x]
+    double P01 = info[3].As<Napi::Number>().DoubleValue();         // Covariance [x,rate]
+    double P11 = info[4].As<Napi::Number>().DoubleValue();         // Covariance [rate,rate]
+    double Q_x = info[5].As<Napi::Number>().DoubleValue();         // Process noise on degradation
+    double Q_rate = info[6].As<Napi::Number>().DoubleValue();      // Process noise on the rate
+    double R = info[7].As<Napi::Number>().DoubleValue();           // Measurement noise
+    double measurement = info[8].As<Napi::Number>().DoubleValue();
+    double cliff_threshold = OptionalNumber(info, 9, DEFAULT_CLIFF_THRESHOLD);
+    double steepness = OptionalNumber(info, 10, DEFAULT_CLIFF_STEEPNESS);
+
+    // 2. The Predict Step: F = [[1, 1], [0, 1]], P = F P F^T + Q
+    double x_pred = x + rate;
+    double rate_pred = rate;
+    double P00_pred = P00 + 2.0 * P01 + P11 + Q_x;
+    double P01_pred = P01 + P11;
+    double P11_pred = P11 + Q_rate;
+
+    // 3. The Update Step: we only measure degradation, H = [1, 0]
+    double S = P00_pred + R;
+    double K0 = P00_pred / S;
+    double K1 = P01_pred / S;
+    double innovation = measurement - x_pred;
+
+    double new_x = x_pred + K0 * innovation;
+    double new_rate = rate_pred + K1 * innovation;
+    double new_P00 = (1.0 - K0) * P00_pred;
+    double new_P01 = (1.0 - K0) * P01_pred;
+    double new_P11 = P11_pred - K1 * P01_pred;
+
+    // 4. Calculate Cliff Probability
+    double cliff_prob = 1.0 / (1.0 + std::exp(-steepness * (new_x - cliff_threshold)));
+
+    // 5. Package the results back into a JavaScript Object
+    Napi::Object result = Napi::Object::New(env);
+    result.Set("x", new_x);
+    result.Set("rate", new_rate);
+    result.Set("P00", new_P00);
+    result.Set("P01", new_P01);
+    result.Set("P11", new_P11);
+    result.Set("cliffProb", cliff_prob);
+
+    return result;
+}
+
+// Initialize the addon and export the functions
 Napi::Object Init(Napi::Env env, Napi::Object exports) {
     exports.Set(Napi::String::New(env, "updateState"), Napi::Function::New(env, UpdateState));
+    exports.Set(Napi::String::New(env, "updateRateState"), Napi::Function::New(env, UpdateRateState));
     return exports;
 }
 
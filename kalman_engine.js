@@ -0,0 +1,99 @@
+/**
+ * Kalman Engine Module
+ * Pure-JavaScript port of the predict/update and cliff-sigmoid math in kalman_addon.cpp,
+ * plus a loader that prefers the compiled addon and falls back to this port when it isn't built.
+ */
+
+const NATIVE_MODULE_PATH = './build/Release/kalman_math.node';
+
+// Must match kalman_addon.cpp - callers pass per-compound values from cliff_model.json
+const DEFAULT_CLIFF_THRESHOLD = 0.60; // Delta where tires fall off
+const DEFAULT_CLIFF_STEEPNESS = 15.0;
+
+function cliffProbability(x, threshold = DEFAULT_CLIFF_THRESHOLD, steepness = DEFAULT_CLIFF_STEEPNESS) {
+  return 1.0 / (1.0 + Math.exp(-steepness * (x - threshold)));
+}
+
+/**
+ * Scalar filter with a caller-supplied wear rate (same signature as the native updateState)
+ */
+function updateState(x, P, Q, R, wear_rate, measurement, cliffThreshold, cliffSteepness) {
+  // Predict
+  const x_pred = x + wear_rate;
+  const P_pred = P + Q;
+
+  // Update
+  const K = P_pred / (P_pred + R);
+  const new_x = x_pred + K * (measurement - x_pred);
+  const new_P = (1.0 - K) * P_pred;
+
+  return { x: new_x, P: new_P, cliffProb: cliffProbability(new_x, cliffThreshold, cliffSteepness) };
+}
+
+/**
+ * Two-state [degradation, rate] filter (same signature as the native updateRateState)
+ */
+function updateRateState(x, rate, P00, P01, P11, Q_x, Q_rate, R, measurement, cliffThreshold, cliffSteepness) {
+  // Predict: F = [[1, 1], [0, 1]]
+  const x_pred = x + rate;
+  const rate_pred = rate;
+  const P00_pred = P00 + 2.0 * P01 + P11 + Q_x;
+  const P01_pred = P01 + P11;
+  const P11_pred = P11 + Q_rate;
+
+  // Update: H = [1, 0]
+  const S = P00_pred + R;
+  const K0 = P00_pred / S;
+  const K1 = P01_pred / S;
+  const innovation = measurement - x_pred;
+
+  const new_x = x_pred + K0 * innovation;
+
+  return {
+    x: new_x,
+    rate: rate_pred + K1 * innovation,
+    P00: (1.0 - K0) * P00_pred,
+    P01: (1.0 - K0) * P01_pred,
+    P11: P11_pred - K1 * P01_pred,
+    cliffProb: cliffProbability(new_x, cliffThreshold, cliffSteepness)
+  };
+}
+
+const jsEngine = { updateState, updateRateState };
+
+/**
+ * The compiled addon, or null when it hasn't been built, doesn't load on this platform or is a
+ * stale build without the two-state filter (updateRateState)
+ */
+function loadNativeEngine() {
+  let native;
+  try {
+    native = require(NATIVE_MODULE_PATH);
+  } catch (err) {
+    return null;
+  }
+  return typeof native.updateRateState === 'function' ? native : null;
+}
+
+/**
+ * Pick the engine: 'native', 'js' or 'auto' (native when available, otherwise JavaScript)
+ * Returns { name, engine } so callers can report which one is running.
+ */
+function loadKalmanEngine(preference = 'auto') {
+  if (preference === 'js') return { name: 'javascript', engine: jsEngine };
+
+  const native = loadNativeEngine();
+  if (native) return { name: 'native', engine: native };
+
+  if (preference === 'native') {
+    throw new Error(`Native module \`kalman_math.node\` is not built or is out of date - run \`npx node-gyp rebuild\` or use --kalman=js`);
+  }
+  return { name: 'javascript', engine: jsEngine };
+}
+
+module.exports = {
+  jsEngine,
+  loadNativeEngine,
+  loadKalmanEngine,
+  cliffProbability
+};
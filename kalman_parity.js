@@ -0,0 +1,104 @@
+/**
+ * Kalman Parity Check
+ * Runs the native addon and the pure-JS engine over the race telemetry with identical inputs
+ * (including each stint's compound cliff model) and reports every output that differs by more than the tolerance.
+ *
+ * Usage: node kalman_parity.js [--tolerance=1e-9] [--telemetry=belgian_gp_HAM_telemetry.csv]
+ * Exits non-zero when the engines disagree or the native addon isn't built.
+ */
+
+const { jsEngine, loadNativeEngine } = require('./kalman_engine');
+const TireStrategy = require('./tire_strategy');
+const { loadTelemetry, DEFAULT_TELEMETRY_FILE } = require('./telemetry_loader');
+const { getOption } = require('./race_options');
+
+// Same filter settings the race engine uses
+const SCALAR = { x: 0.0, P: 1.0, Q: 0.002, R: 1.5, wear_rate: 0.045 };
+const RATE = { x: 0.0, rate: 0.045, P00: 1.0, P01: 0.0, P11: 0.0004, Q: 0.002, Q_rate: 0.00001, R: 1.5 };
+
+/**
+ * Feed every lap through both engines, resetting the filters at each new stint like a pit stop does.
+ * Each engine carries its own state forward, so drift accumulates the way it would in a race.
+ */
+function compareEngines(rows, native, tolerance, tireModel = new TireStrategy('PARITY', 'MEDIUM')) {
+  const mismatches = [];
+  const maxDiff = {};
+  const states = {
+    native: { scalar: { ...SCALAR }, rate: { ...RATE } },
+    js: { scalar: { ...SCALAR }, rate: { ...RATE } }
+  };
+  let stint = null;
+
+  const check = (lap, filter, a, b) => {
+    Object.keys(a).forEach(key => {
+      const diff = Math.abs(a[key] - b[key]);
+      const label = `${filter}.${key}`;
+      maxDiff[label] = Math.max(maxDiff[label] || 0, diff);
+      if (!(diff <= tolerance)) mismatches.push({ lap, field: label, native: a[key], js: b[key], diff });
+    });
+  };
+
+  rows.forEach(row => {
+    const lap = row.LapNumber;
+    const measurement = row.Degradation_Delta;
+    const cliff = tireModel.getCliffModel(row.Compound);
+
+    if (row.Stint !== stint) {
+      stint = row.Stint;
+      ['native', 'js'].forEach(name => {
+        states[name].scalar = { ...SCALAR };
+        states[name].rate = { ...RATE };
+      });
+    }
+
+    const results = {};
+    [['native', native], ['js', jsEngine]].forEach(([name, engine]) => {
+      const s = states[name].scalar;
+      const r = states[name].rate;
+      const scalar = engine.updateState(s.x, s.P, s.Q, s.R, s.wear_rate, measurement, cliff.threshold, cliff.steepness);
+      const rate = engine.updateRateState(r.x, r.rate, r.P00, r.P01, r.P11, r.Q, r.Q_rate, r.R, measurement, cliff.threshold, cliff.steepness);
+      Object.assign(s, { x: scalar.x, P: scalar.P });
+      Object.assign(r, { x: rate.x, rate: rate.rate, P00: rate.P00, P01: rate.P01, P11: rate.P11 });
+      results[name] = { scalar, rate };
+    });
+
+    check(lap, 'updateState', results.native.scalar, results.js.scalar);
+    check(lap, 'updateRateState', results.native.rate, results.js.rate);
+  });
+
+  return { mismatches, maxDiff };
+}
+
+if (require.main === module) {
+  const tolerance = parseFloat(getOption('tolerance') || '1e-9');
+  const file = getOption('telemetry', 'TELEMETRY_FILE') || DEFAULT_TELEMETRY_FILE;
+
+  const native = loadNativeEngine();
+  if (!native) {
+    console.error('Native module `kalman_math.node` is not built - run `npx node-gyp rebuild` first.');
+    process.exit(1);
+  }
+
+  loadTelemetry(file).then(rows => {
+    const { mismatches, maxDiff } = compareEngines(rows, native, tolerance);
+
+    console.log(`=== KALMAN PARITY: native vs javascript (${rows.length} laps, tolerance ${tolerance}) ===`);
+    Object.entries(maxDiff).forEach(([field, diff]) => {
+      console.log(`${field.padEnd(26)} max |diff| ${diff.toExponential(2)}`);
+    });
+
+    if (mismatches.length > 0) {
+      console.log(`\n❌ ${mismatches.length} value(s) outside tolerance:`);
+      mismatches.slice(0, 20).forEach(m => {
+        console.log(`  Lap ${m.lap} ${m.field}: native ${m.native} vs js ${m.js} (diff ${m.diff.toExponential(2)})`);
+      });
+      process.exit(1);
+    }
+    console.log('\n✅ Engines agree');
+  }).catch(err => {
+    console.error(`Parity check failed: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { compareEngines };
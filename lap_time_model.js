@@ -0,0 +1,73 @@
+/**
+ * Lap Time Model Module
+ * Splits a lap time into fuel load, track evolution and tyre degradation so the Kalman filter
+ * only sees the tyre. Degradation_Delta (lap time minus the stint best) credits the tyre with
+ * the fuel burnt off and the rubber laid down during the stint.
+ *
+ *   lapTime = reference + fuelEffect + trackEvolution + tyreDegradation
+ *
+ * The reference is the best fuel- and evolution-corrected lap since the current tyres went on.
+ */
+
+const FUEL_EFFECT_PER_KG_KM = 0.0058; // s/lap per kg on board, per km of lap (~0.04 s/kg at Spa)
+const TRACK_EVOLUTION = 0.8;           // s/lap a fully rubbered-in track is faster than a green one
+const RUBBERING_LAPS = 12;             // laps of running that lay down ~63% of the rubber
+const RAIN_WASH = 0.3;                 // share of the rubber a fully wet track washes away each lap
+
+class LapTimeModel {
+  /**
+   * @param {Object} circuit - circuit profile; optional fuelEffectPerKg (s/lap per kg) and
+   *                           trackEvolution (s/lap) override the defaults
+   */
+  constructor(circuit) {
+    this.fuelEffectPerKg = LapTimeModel.fuelEffectPerKg(circuit);
+    this.trackEvolution = circuit.trackEvolution !== undefined ? circuit.trackEvolution : TRACK_EVOLUTION;
+    this.rubber = 0;       // 0 = green track, 1 = fully rubbered in
+    this.reference = null; // best corrected lap of the current tyres
+    this.stint = null;
+  }
+
+  /**
+   * Lap time each kg on board costs at this circuit (s/lap)
+   */
+  static fuelEffectPerKg(circuit) {
+    return circuit.fuelEffectPerKg || FUEL_EFFECT_PER_KG_KM * circuit.lengthKm;
+  }
+
+  /**
+   * Decompose one lap
+   * @param {Object} lap
+   * @param {number} lap.lapTime - measured lap time (s)
+   * @param {number} lap.fuelLoad - fuel on board at the start of the lap (kg)
+   * @param {number} [lap.wetness] - track wetness (0-1); rain washes the rubber off
+   * @param {*} [lap.stint] - telemetry stint; a new one starts a new reference
+   * @param {boolean} [lap.newTyres] - a new set was fitted this lap; starts a new reference
+   * @returns {{ lapTime, fuelLoad, fuelEffect, trackEvolution, correctedLapTime, reference, tyreDegradation }}
+   *          fuelEffect and trackEvolution are what each adds to the lap (evolution is negative once rubber is down)
+   */
+  decompose({ lapTime, fuelLoad, wetness = 0, stint = null, newTyres = false }) {
+    this.rubber = (this.rubber + (1 - this.rubber) / RUBBERING_LAPS) * (1 - RAIN_WASH * wetness);
+
+    const fuelEffect = this.fuelEffectPerKg * fuelLoad;
+    const trackEvolution = -this.trackEvolution * this.rubber;
+    const correctedLapTime = lapTime - fuelEffect - trackEvolution;
+
+    if (this.reference === null || newTyres || stint !== this.stint) {
+      this.reference = correctedLapTime;
+      this.stint = stint;
+    }
+    this.reference = Math.min(this.reference, correctedLapTime);
+
+    return {
+      lapTime,
+      fuelLoad,
+      fuelEffect,
+      trackEvolution,
+      correctedLapTime,
+      reference: this.reference,
+      tyreDegradation: correctedLapTime - this.reference
+    };
+  }
+}
+
+module.exports = LapTimeModel;
@@ -0,0 +1,134 @@
+/**
+ * Mock Mistral Server
+ * Local HTTP server that speaks the Mistral chat completions API.
+ * Decisions come from the rule-based advisor, fed with values parsed back out of the prompt.
+ *
+ * Usage: node mock_mistral_server.js [port]
+ */
+
+const express = require('express');
+const WeatherAnalyzer = require('./weather_analyzer');
+const { RuleBasedAdvisor } = require('./strategy_advisor');
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Rebuild a decision context from the telemetry section of a strategist prompt
+ * Anything that can't be found falls back to a neutral value
+ */
+function parsePromptContext(prompt, weatherAnalyzer = new WeatherAnalyzer()) {
+  const read = (regex, fallback) => {
+    const match = prompt.match(regex);
+    return match ? match.slice(1) : fallback;
+  };
+
+  const [lap, totalLaps] = read(/TELEMETRY \(Lap (\d+) \/ (\d+)\)/, ['0', '44']).map(Number);
+  const [tireAge, maxTireAge] = read(/Laps on Current Tires: (\d+)\/(\d+)/, ['0', '28']).map(Number);
+  const [tyreLife] = read(/Laps on Current Tires: \d+\/\d+, ([\d.]+) laps of wear/, [null]);
+  const [tireCompound] = read(/Current Tires: (\w+)/, ['MEDIUM']);
+  const [cliffPct] = read(/Cliff Probability: ([\d.]+)%/, ['0']);
+  const [position] = read(/Current Position: P(\d+)/, ['1']);
+  const [gapToLeader] = read(/Gap to Leader: ([\d.]+)s/, ['0']);
+  const [currentFuel] = read(/Fuel: ([\d.]+)kg/, ['110']);
+  const [avgConsumption] = read(/Avg Consumption: ([\d.]+)kg\/lap/, ['1.2']);
+  const [condition] = read(/WEATHER:\s*\n- Current: (\w+)/, ['DRY']);
+  const [legalCompounds] = read(/LEGAL TYRES: ([\w, ]+?) \(/, [null]);
+  const [compoundRule] = read(/Two dry compounds rule: (met|waived|NOT MET)/, ['met']);
+  const [trackStatus] = read(/TRACK STATUS: (GREEN|VSC|SC)\b/, ['GREEN']);
+  const threat = read(/UNDERCUT THREAT: (\w+) \(P(\d+), ([\d.]+)s behind\) is expected to box on lap (\d+) - stopping first would put them ([\d.]+)s ahead; boxing before them leaves us ([\d.]+)s (ahead|behind)/, null);
+  const crossover = read(/CROSSOVER: (\w+) is ([\d.]+)s\/lap faster than (\w+) at (\d+)% wetness - switching pays back the stop in (\d+) laps/, null);
+
+  return {
+    lap,
+    totalLaps,
+    tireCompound,
+    tireAge,
+    tyreLife: tyreLife !== null ? parseFloat(tyreLife) : tireAge,
+    maxTireAge,
+    cliffProb: parseFloat(cliffPct) / 100,
+    position: parseInt(position, 10),
+    gapToLeader: parseFloat(gapToLeader),
+    fuelStatus: { currentFuel, avgConsumption },
+    weather: { condition, recommendedTireCompound: weatherAnalyzer.getTireRecommendation(condition) },
+    regulations: legalCompounds ? { legalCompounds: legalCompounds.split(', '), satisfied: compoundRule !== 'NOT MET' } : null,
+    trackStatus: { status: trackStatus },
+    undercutThreat: threat
+      ? {
+        driver: threat[0],
+        position: parseInt(threat[1], 10),
+        gap: parseFloat(threat[2]),
+        nextPitLap: parseInt(threat[3], 10),
+        overcutMargin: -parseFloat(threat[4]),
+        undercutMargin: parseFloat(threat[5]) * (threat[6] === 'behind' ? -1 : 1)
+      }
+      : null,
+    crossover: crossover
+      ? {
+        paysOff: true,
+        bestCompound: crossover[0],
+        gainPerLap: parseFloat(crossover[1]),
+        compound: crossover[2],
+        wetness: parseInt(crossover[3], 10) / 100,
+        lapsToPayBack: parseInt(crossover[4], 10)
+      }
+      : null
+  };
+}
+
+function createMockMistralApp({ advisor = new RuleBasedAdvisor() } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.post('/v1/chat/completions', async (req, res) => {
+    const { model = 'mistral-large-latest', messages } = req.body || {};
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(422).json({ object: 'error', type: 'invalid_request_error', message: 'messages must be a non-empty array' });
+    }
+
+    const prompt = messages.map(m => m.content).join('\n');
+    const decision = await advisor.decide(parsePromptContext(prompt));
+    const content = decision.raw;
+
+    res.json({
+      id: `mock-${Date.now()}`,
+      object: 'chat.completion',
+      model,
+      created: Math.floor(Date.now() / 1000),
+      usage: {
+        prompt_tokens: Math.ceil(prompt.length / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+        total_tokens: Math.ceil((prompt.length + content.length) / 4)
+      },
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }]
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock on `port` (0 picks a free port). Resolves with the http.Server.
+ */
+function startMockMistralServer(port = DEFAULT_PORT, options = {}) {
+  return new Promise((resolve, reject) => {
+    const server = createMockMistralApp(options).listen(port, '127.0.0.1');
+    server.once('listening', () => resolve(server));
+    server.once('error', reject);
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_MISTRAL_PORT || DEFAULT_PORT, 10);
+  startMockMistralServer(port).then(server => {
+    console.log(`Mock Mistral API listening on http://127.0.0.1:${server.address().port}`);
+  }).catch(err => {
+    console.error(`Could not start mock Mistral API on port ${port}: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createMockMistralApp, startMockMistralServer, parsePromptContext };
@@ -3,27 +3,51 @@
  * Calculates realistic pit stop timing and position changes
  */
 
+const { loadCircuit, DEFAULT_CIRCUIT } = require('./circuit_registry');
+const { TRACK_STATUS_EFFECTS } = require('./track_status');
+const { compoundPace, findCrossover, CATEGORY } = require('./track_wetness');
+
+const OUT_LAP_PENALTY = 1.0; // seconds lost bringing a cold set up to temperature on the out-lap
+const RESPONSE_WINDOW = 3;   // laps the car that stops second can stay out before its tyres give up
+const NEARBY_RIVALS = 2;     // rivals considered on each side of us
+const CROSSOVER_HORIZON = 10; // laps a tyre-category change has to pay back in before the track is likely to change again
+
 class PitStopAnalyzer {
-  constructor(trackLength = 7.0) {
-    this.trackLength = trackLength; // km (Belgian GP ~7km)
-    this.pitLaneLength = 0.400; // km (typical pit lane ~400m)
-    this.avgLapTime = 190; // seconds (typical F1 lap)
-    this.pitStopDuration = 24; // seconds (modern F1 pit stop: tires + fuel + adjustments)
+  /**
+   * @param {string|Object} [circuit] - circuit id, profile path or profile (see circuit_registry.js)
+   * @param {SeededRandom} rng - anything with random(); required so position estimates replay from the seed
+   */
+  constructor(circuit = DEFAULT_CIRCUIT, rng = null) {
+    if (!rng) {
+      throw new Error('PitStopAnalyzer needs an rng (a SeededRandom)');
+    }
+    this.circuit = loadCircuit(circuit); // Circuit profile (id, path or profile object)
+    this.rng = rng; // Anything with random() - a SeededRandom for reproducible races
+    this.trackLength = this.circuit.lengthKm; // km (Spa ~7km)
+    this.pitLaneLength = this.circuit.pitLaneLengthKm; // km (typical pit lane ~400m)
+    this.avgLapTime = this.circuit.typicalLapTime; // seconds (clean-air lap on Mediums)
+    this.pitStopDuration = this.circuit.pitStopDuration; // seconds (stationary time + pit lane speed limit)
+    this.trackStatus = 'GREEN'; // 'GREEN' | 'VSC' | 'SC' - a neutralised field makes the stop cheaper
+  }
+
+  setTrackStatus(status) {
+    this.trackStatus = status;
   }
 
   /**
    * Calculate realistic pit stop time loss
-   * Based on lap time and pit stop duration
+   * Based on lap time and pit stop duration, cut while the SC or VSC slows the field
    */
-  calculateTimeLoss(avgLapTime = this.avgLapTime) {
-    return this.pitStopDuration + (this.pitLaneLength / this.trackLength) * avgLapTime;
+  calculateTimeLoss(avgLapTime = this.avgLapTime, trackStatus = this.trackStatus) {
+    const loss = this.pitStopDuration + (this.pitLaneLength / this.trackLength) * avgLapTime;
+    return loss * TRACK_STATUS_EFFECTS[trackStatus].pitLossFactor;
   }
 
   /**
    * Estimate positions lost due to pit stop
    * Considers current position and field compression
    */
-  estimatePositionLoss(currentPosition, lap, raceLength = 300) {
+  estimatePositionLoss(currentPosition, lap, raceLength = this.circuit.laps) {
     // Earlier in race = positions spread out = more position loss
     // Later in race = positions compressed = less position loss
     const raceProgress = lap / raceLength;
@@ -40,11 +64,11 @@ class PitStopAnalyzer {
     positionsLost = Math.max(0, Math.min(positionsLost, currentPosition - 1));
 
     // 40% chance of a "free pit stop" (e.g., maintaining position due to large gap behind)
-    if (Math.random() < 0.4) {
+    if (this.rng.random() < 0.4) {
       positionsLost = 0;
     } else {
       // Add variance (±1 positions)
-      const variance = Math.round((Math.random() - 0.5) * 2);
+      const variance = Math.round((this.rng.random() - 0.5) * 2);
       positionsLost = Math.max(0, positionsLost + variance);
     }
 
@@ -143,6 +167,129 @@ class PitStopAnalyzer {
     };
   }
 
+  /**
+   * Undercut and overcut against the rivals around us.
+   * The swap is modelled lap by lap from each car's Kalman wear: on lap i of the window a worn car
+   * runs compoundPace + wear + rate * i, a fresh set freshPace + rate * i (plus the out-lap penalty
+   * on lap 1). Both cars pay the pit loss, so it cancels out of the swap - it decides which rivals
+   * are in play (within one stop of us) and how far behind them we rejoin.
+   *
+   * @param {Object} params
+   * @param {Object} params.ours - { compound, tireAge, maxTireAge, wear, rate, compoundPace }
+   * @param {Object[]} params.rivals - [{ code, position, gap, compound, tireAge, maxTireAge, wear, rate, compoundPace }]
+   *        gap: seconds the rival is ahead of us (negative when behind)
+   * @param {string} params.freshCompound - compound both cars are assumed to fit
+   * @param {number} params.freshPace - pace of that compound (s/lap relative to Mediums)
+   * @param {number} params.lapsToGo
+   * @param {number} [params.pitLoss]
+   * @returns {Object[]} one entry per nearby rival, nearest first:
+   *          { code, position, gap, compound, tireAge, rejoinGap,
+   *            undercut: { works, margin, laps, lapsNeeded, gainPerLap },   we stop now, the rival responds `laps` later
+   *            overcut:  { works, margin, laps, lapsNeeded, gainPerLap } }  the rival stops now, we stay out `laps` more
+   *          margin is our lead over the rival once both have stopped (negative = behind),
+   *          lapsNeeded the first lap of the window that leaves us ahead (null if none)
+   */
+  analyzeUndercut({ ours, rivals, freshCompound, freshPace, lapsToGo, pitLoss = this.calculateTimeLoss() }) {
+    const inPlay = rivals.filter(r => Math.abs(r.gap) <= pitLoss);
+    const ahead = inPlay.filter(r => r.gap > 0).sort((a, b) => a.gap - b.gap).slice(0, NEARBY_RIVALS);
+    const behind = inPlay.filter(r => r.gap <= 0).sort((a, b) => b.gap - a.gap).slice(0, NEARBY_RIVALS);
+
+    return [...ahead, ...behind]
+      .sort((a, b) => Math.abs(a.gap) - Math.abs(b.gap))
+      .map(rival => {
+        // Undercut: we run fresh tyres while the rival stays out on its worn set
+        const undercutLaps = this.swapWindow(rival, lapsToGo);
+        const undercutGains = this.swapGains({ ...ours, freshPace }, rival, undercutLaps);
+        // Overcut: the rival runs fresh tyres while we stay out on ours
+        const overcutLaps = this.swapWindow(ours, lapsToGo);
+        const overcutGains = this.swapGains({ ...rival, freshPace }, ours, overcutLaps).map(g => -g);
+
+        return {
+          code: rival.code,
+          position: rival.position,
+          gap: rival.gap,
+          compound: rival.compound,
+          tireAge: rival.tireAge,
+          freshCompound,
+          rejoinGap: rival.gap + pitLoss,
+          undercut: this.swapResult(undercutGains, rival.gap),
+          overcut: this.swapResult(overcutGains, rival.gap)
+        };
+      });
+  }
+
+  /**
+   * Laps the car staying out can realistically run before it has to respond
+   */
+  swapWindow(car, lapsToGo) {
+    const tyreLife = Math.max(1, car.maxTireAge - car.tireAge);
+    return Math.max(1, Math.min(RESPONSE_WINDOW, tyreLife, lapsToGo - 1));
+  }
+
+  /**
+   * Cumulative time the first car to stop gains on the car staying out, lap by lap
+   */
+  swapGains(fresh, worn, laps) {
+    const gains = [];
+    let total = 0;
+    for (let i = 1; i <= laps; i++) {
+      const wornLap = worn.compoundPace + worn.wear + worn.rate * i;
+      const freshLap = fresh.freshPace + fresh.rate * i + (i === 1 ? OUT_LAP_PENALTY : 0);
+      total += wornLap - freshLap;
+      gains.push(total);
+    }
+    return gains;
+  }
+
+  swapResult(gains, gap) {
+    const margins = gains.map(gain => gain - gap);
+    const margin = margins[margins.length - 1];
+    const firstAhead = margins.findIndex(m => m > 0);
+    return {
+      works: margin > 0,
+      margin: Number(margin.toFixed(2)),
+      laps: gains.length,
+      lapsNeeded: firstAhead === -1 ? null : firstAhead + 1,
+      gainPerLap: Number((gains[gains.length - 1] / gains.length).toFixed(2))
+    };
+  }
+
+  /**
+   * Slick / intermediate / wet crossover: is another tyre category faster on a track this wet,
+   * and does the gain pay back the stop within CROSSOVER_HORIZON laps (or before the flag)?
+   * @param {Object} params
+   * @param {string} params.compound - tyre on the car
+   * @param {number} params.wetness - 0 (dry) to 1 (standing water), see track_wetness.js
+   * @param {string[]} params.candidates - compounds that could be fitted
+   * @param {number} params.lapsToGo
+   * @param {number} [params.pitLoss]
+   * @returns {{ wetness, compound, bestCompound, gainPerLap, lapsToPayBack, paysOff, crossoverWetness }}
+   *          bestCompound is null while the fitted tyre category is still the fastest;
+   *          crossoverWetness is where the two compounds' lap times cross
+   */
+  analyzeCrossover({ compound, wetness, candidates, lapsToGo, pitLoss = this.calculateTimeLoss() }) {
+    const [best] = candidates
+      .filter(c => CATEGORY[c] !== CATEGORY[compound])
+      .map(c => ({ compound: c, pace: compoundPace(c, wetness) }))
+      .sort((a, b) => a.pace - b.pace);
+    const gainPerLap = best ? compoundPace(compound, wetness) - best.pace : 0;
+
+    if (gainPerLap <= 0) {
+      return { wetness, compound, bestCompound: null, gainPerLap: 0, lapsToPayBack: null, paysOff: false, crossoverWetness: null };
+    }
+
+    const lapsToPayBack = Math.ceil(pitLoss / gainPerLap);
+    return {
+      wetness,
+      compound,
+      bestCompound: best.compound,
+      gainPerLap: Number(gainPerLap.toFixed(2)),
+      lapsToPayBack,
+      paysOff: lapsToPayBack <= Math.min(CROSSOVER_HORIZON, lapsToGo),
+      crossoverWetness: findCrossover(compound, best.compound)
+    };
+  }
+
   /**
    * Strategic pit window analysis
    * Consider fuel, weather, position relative to field, and TIRE AGE
@@ -158,7 +305,10 @@ class PitStopAnalyzer {
       weather,
       lapsSincePit,
       tireAge = 0,        // New: current tire age in laps
-      maxTireAge = 25     // New: max lifespan for current compound
+      maxTireAge = 25,    // New: max lifespan for current compound
+      trackStatus = this.trackStatus,
+      crossover = null,   // analyzeCrossover() result for the current tyre and track wetness
+      refuelling = false  // Only a ruleset that allows refuelling makes a stop fix a fuel shortage
     } = currentState;
 
     const analysis = {
@@ -202,15 +352,16 @@ class PitStopAnalyzer {
       analysis.reason.push('MEDIUM: Tires wearing');
     }
 
-    // FUEL URGENCY (0-10)
-    const lapsRemaining = Math.ceil(fuel / fuelPerLap);
-    if (lapsRemaining < 5) {
+    // FUEL URGENCY (0-10) - laps of fuel against laps to the flag. Without refuelling a stop
+    // can't fix a shortage, the driver has to lift and coast
+    const spareLaps = fuel / fuelPerLap - (this.circuit.laps - lap);
+    if (spareLaps < -2) {
       analysis.fuelUrgency = 10;
-      analysis.reason.push('CRITICAL: Fuel critically low');
-      analysis.shouldPit = true;
-    } else if (lapsRemaining < 10) {
+      analysis.reason.push(refuelling ? 'CRITICAL: Fuel critically low' : 'CRITICAL: Fuel critically low - lift and coast (no refuelling)');
+      analysis.shouldPit = analysis.shouldPit || refuelling;
+    } else if (spareLaps < 0) {
       analysis.fuelUrgency = 6;
-      analysis.reason.push('HIGH: Must pit for fuel soon');
+      analysis.reason.push(refuelling ? 'HIGH: Must pit for fuel soon' : 'HIGH: Fuel short of the flag - save fuel (no refuelling)');
     } else {
       analysis.fuelUrgency = 1;
     }
@@ -226,6 +377,20 @@ class PitStopAnalyzer {
       analysis.strategyUrgency = 1;
     }
 
+    // SC/VSC: the stop costs a fraction of the usual time - take it if the tyres are past half life
+    if (trackStatus !== 'GREEN' && tireAgePercent >= 0.5) {
+      analysis.strategyUrgency = Math.max(analysis.strategyUrgency, 8);
+      analysis.reason.push(`OPPORTUNITY: ${TRACK_STATUS_EFFECTS[trackStatus].label} - cheap pit stop (~${this.calculateTimeLoss(this.avgLapTime, trackStatus).toFixed(0)}s)`);
+      analysis.shouldPit = true;
+    }
+
+    // Crossover: another tyre category is faster on this track and the gain pays back the stop
+    if (crossover && crossover.paysOff) {
+      analysis.strategyUrgency = Math.max(analysis.strategyUrgency, 9);
+      analysis.reason.push(`CROSSOVER: ${crossover.bestCompound} ${crossover.gainPerLap.toFixed(1)}s/lap faster than ${crossover.compound} - pays back the stop in ${crossover.lapsToPayBack} laps`);
+      analysis.shouldPit = true;
+    }
+
     // Combined urgency - weighted more toward tire age now
     const totalUrgency = (analysis.tireUrgency * 1.5 + analysis.fuelUrgency + analysis.strategyUrgency) / 3.5;
 
@@ -0,0 +1,126 @@
+/**
+ * Race Options Module
+ * Command-line / environment options shared by the dashboard, the server and batch tools
+ */
+
+const path = require('path');
+const { createAdvisor } = require('./strategy_advisor');
+const { startMockMistralServer } = require('./mock_mistral_server');
+const { loadCircuit, DEFAULT_CIRCUIT } = require('./circuit_registry');
+const DecisionAuditLog = require('./decision_audit_log');
+const { parseSchedule } = require('./track_status');
+const { WeatherForecast } = require('./weather_forecast');
+
+/**
+ * Read `--name=value` from argv, falling back to an environment variable
+ */
+function getOption(name, envName, argv = process.argv) {
+  const prefix = `--${name}=`;
+  const arg = argv.find(a => a.startsWith(prefix));
+  if (arg) return arg.slice(prefix.length);
+  return envName ? process.env[envName] : undefined;
+}
+
+/**
+ * Audit log to replay from --replay / REPLAY_LOG
+ */
+function getReplayLog(argv = process.argv) {
+  return getOption('replay', 'REPLAY_LOG', argv);
+}
+
+/**
+ * The race header of the replay log, if we are replaying
+ */
+function getReplayRace(argv = process.argv) {
+  const file = getReplayLog(argv);
+  return file ? DecisionAuditLog.read(file).race || {} : {};
+}
+
+/**
+ * Advisor type from --advisor / STRATEGY_ADVISOR.
+ * --replay=<log> alone selects the replay advisor.
+ * Without a Mistral key we default to the offline rule-based advisor.
+ */
+function getAdvisorType(argv = process.argv) {
+  return getOption('advisor', 'STRATEGY_ADVISOR', argv)
+    || (getReplayLog(argv) ? 'replay' : null)
+    || (process.env.MISTRAL_API_KEY ? 'mistral' : 'rules');
+}
+
+/**
+ * Race seed from --seed / RACE_SEED, or the recorded seed when replaying an audit log
+ */
+function getSeed(argv = process.argv) {
+  return getOption('seed', 'RACE_SEED', argv) || getReplayRace(argv).seed;
+}
+
+/**
+ * Circuit profile from --circuit / RACE_CIRCUIT: an id from circuits/ or a path to a profile .json.
+ * Replays default to the recorded circuit.
+ */
+function getCircuit(argv = process.argv) {
+  return loadCircuit(getOption('circuit', 'RACE_CIRCUIT', argv) || getReplayRace(argv).circuit || DEFAULT_CIRCUIT);
+}
+
+/**
+ * Safety car periods from --safety-car / SAFETY_CAR, e.g. "SC:12-15,VSC:30" or "random".
+ * Replays default to the recorded periods.
+ */
+function getTrackEvents(argv = process.argv) {
+  const text = getOption('safety-car', 'SAFETY_CAR', argv);
+  return text ? parseSchedule(text) : getReplayRace(argv).trackEvents || {};
+}
+
+/**
+ * Weather forecast file from --forecast / WEATHER_FORECAST (JSON, see weather_forecast.js).
+ * Null means the race generates its own from the seed; replays default to the recorded file.
+ */
+function getWeatherForecast(argv = process.argv) {
+  const recorded = getReplayRace(argv).forecast;
+  const file = getOption('forecast', 'WEATHER_FORECAST', argv) || (recorded !== 'generated' ? recorded : null);
+  return file ? WeatherForecast.load(file) : null;
+}
+
+/**
+ * Where this run's decision audit log goes: --audit-log / AUDIT_LOG, or logs/decisions_<circuit>_<seed>_<advisor>.ndjson
+ */
+function getAuditLogPath(seed, circuit, advisorName, argv = process.argv) {
+  const file = getOption('audit-log', 'AUDIT_LOG', argv) || `logs/decisions_${circuit.id}_${seed}_${advisorName}.ndjson`;
+  const replayLog = getReplayLog(argv);
+  if (replayLog && path.resolve(file) === path.resolve(replayLog)) {
+    throw new Error(`Refusing to overwrite the audit log being replayed: ${replayLog}`);
+  }
+  return file;
+}
+
+/**
+ * Build the selected advisor. The mock advisor gets an in-process mock Mistral
+ * server unless MOCK_MISTRAL_URL points at one that is already running.
+ * `options.circuit` tunes the rule-based logic (ours or the mock's) to the selected track; `options.rng`
+ * (a SeededRandom from the race seed) makes it reproducible.
+ */
+async function prepareAdvisor(type, options = {}) {
+  if (type === 'mock' && !process.env.MOCK_MISTRAL_URL) {
+    const mockServer = await startMockMistralServer(0, { advisor: createAdvisor('rules', { circuit: options.circuit, rng: options.rng }) });
+    mockServer.unref();
+    return createAdvisor('mock', { serverURL: `http://127.0.0.1:${mockServer.address().port}` });
+  }
+  return createAdvisor(type, {
+    apiKey: process.env.MISTRAL_API_KEY,
+    serverURL: process.env.MOCK_MISTRAL_URL,
+    replayLog: getReplayLog(),
+    ...options
+  });
+}
+
+module.exports = {
+  getOption,
+  getAdvisorType,
+  getReplayLog,
+  getSeed,
+  getCircuit,
+  getTrackEvents,
+  getWeatherForecast,
+  getAuditLogPath,
+  prepareAdvisor
+};
@@ -0,0 +1,411 @@
+/**
+ * Race Report Module
+ * Records a RaceSimulator run and writes the post-race debrief as Markdown, HTML and JSON:
+ * stints, pit stops, safety car periods, fuel usage, lap-by-lap wear and cliff curves, strategist decisions and positions
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+function sparkline(values, max = Math.max(...values, 1e-9)) {
+  return values.map(v => SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor((Math.max(0, v) / max) * SPARK_CHARS.length))]).join('');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatPercent(value) {
+  return value === undefined || value === null ? '-' : `${(value * 100).toFixed(0)}%`;
+}
+
+function formatSet(stint) {
+  if (!stint.tyreSet) return 'new';
+  return stint.setAgeAtFit > 0 ? `${stint.tyreSet} (used, ${stint.setAgeAtFit} laps)` : `${stint.tyreSet} (new)`;
+}
+
+function formatTyreCall(decision) {
+  const tyres = decision.tireRecommendation || '-';
+  return decision.driverMode ? `${tyres}, ${decision.driverMode} for ${decision.modeLaps} laps` : tyres;
+}
+
+function formatTimeLoss(pit) {
+  return pit.trackStatus === 'GREEN' ? `${pit.timeLossSeconds}s` : `${pit.timeLossSeconds}s (${pit.trackStatus})`;
+}
+
+// Consecutive laps under the same SC/VSC: [{ status, startLap, endLap }]
+function neutralisedPeriods(laps) {
+  return laps.reduce((periods, lap) => {
+    const last = periods[periods.length - 1];
+    if (lap.trackStatus === 'GREEN') return periods;
+    if (last && last.status === lap.trackStatus && last.endLap === lap.lap - 1) {
+      last.endLap = lap.lap;
+    } else {
+      periods.push({ status: lap.trackStatus, startLap: lap.lap, endLap: lap.lap });
+    }
+    return periods;
+  }, []);
+}
+
+function formatPeriods(periods) {
+  if (periods.length === 0) return 'none';
+  return periods.map(p => `${p.status} lap${p.startLap === p.endLap ? ` ${p.startLap}` : `s ${p.startLap}-${p.endLap}`}`).join(', ');
+}
+
+// Decision reasoning followed by any guardrail corrections
+function withGuardrails(decision) {
+  return decision.overrides.reduce((text, o) => `${text} Guardrail ${o.rule}: ${o.reason}.`, decision.reasoning);
+}
+
+class RaceReport {
+  /**
+   * Start recording straight away - attach before the first step() so no lap is missed
+   */
+  constructor(sim) {
+    this.sim = sim;
+    this.laps = [];
+    this.pitStops = [];
+    this.decisions = [];
+    this.summary = null;
+
+    sim.on('lap', lap => this.laps.push(lap));
+    sim.on('pit', pit => this.pitStops.push(pit));
+    sim.on('decision', decision => this.decisions.push(decision));
+    sim.on('finish', summary => {
+      this.summary = summary;
+    });
+  }
+
+  /**
+   * Plain report data - also the JSON report
+   */
+  build() {
+    const { sim } = this;
+    const analysis = sim.tireStrategy.getStrategyAnalysis();
+    const finalPosition = sim.raceState.currentPosition;
+    const fuelHistory = sim.fuelStrategy.fuelHistory;
+
+    return {
+      race: {
+        circuit: sim.circuit.name,
+        circuitId: sim.circuit.id,
+        driver: sim.driverCode,
+        seed: sim.rng.seed,
+        advisor: sim.advisor ? sim.advisor.name : null,
+        finished: this.summary !== null,
+        lapsCompleted: this.laps.length,
+        startingPosition: sim.startingPosition,
+        finalPosition,
+        pitStopCount: sim.pitStopCount,
+        strategyAssessment: analysis.riskAssessment,
+        neutralisedPeriods: neutralisedPeriods(this.laps),
+        regulations: this.summary ? this.summary.regulations : null // { legal, violations } once the race is over
+      },
+      stints: analysis.stints.map(stint => ({
+        stint: stint.stintNumber,
+        compound: stint.tireCompound,
+        tyreSet: stint.setId,
+        setAgeAtFit: stint.startAge,
+        startLap: stint.startLap,
+        laps: stint.lapsCompleted,
+        maxExpectedLaps: stint.maxExpectedLaps,
+        startPosition: stint.startPosition,
+        endPosition: stint.endPosition || finalPosition,
+        endDegradation: stint.endDegradation !== undefined ? stint.endDegradation : stint.currentDegradation,
+        weather: stint.weatherAtStart
+      })),
+      pitStops: this.pitStops.map(pit => ({
+        lap: pit.lap,
+        stop: pit.pitStopNumber,
+        from: pit.fromCompound,
+        to: pit.toCompound,
+        tyreCall: pit.compoundSource,
+        timeLossSeconds: pit.timeLossSeconds,
+        trackStatus: pit.trackStatus,
+        positionBefore: pit.positionBefore,
+        positionAfter: pit.positionAfter
+      })),
+      fuel: {
+        capacity: sim.fuelStrategy.totalFuel,
+        startingLoad: sim.fuelStrategy.startingFuel,
+        reserve: sim.fuelStrategy.planner.reserve,
+        liftAndCoastLoss: this.laps.reduce((sum, lap) => sum + lap.liftAndCoast, 0),
+        refuelled: this.pitStops.reduce((sum, pit) => sum + pit.refuelled, 0),
+        used: fuelHistory.reduce((sum, entry) => sum + entry.consumption, 0),
+        remaining: Math.max(0, sim.fuelStrategy.currentFuel),
+        averagePerLap: sim.fuelStrategy.getAverageConsumption(),
+        history: fuelHistory.map(entry => ({ ...entry }))
+      },
+      laps: this.laps.map(lap => ({
+        lap: lap.lap,
+        compound: lap.compound,
+        tireAge: lap.tireAge,
+        tyreLife: lap.tyreLife,
+        driverMode: lap.driverMode.mode,
+        wear: lap.x,
+        wearRate: lap.rate,
+        cliffProb: lap.cliffProb,
+        lapTime: lap.lapTime,
+        position: lap.position,
+        gapToLeader: lap.gapToLeader,
+        trackStatus: lap.trackStatus,
+        fuelEffect: lap.decomposition.fuelEffect,
+        trackEvolution: lap.decomposition.trackEvolution,
+        tyreDegradation: lap.decomposition.tyreDegradation
+      })),
+      decisions: this.decisions.map(decision => ({
+        lap: decision.lap,
+        type: decision.type,
+        advisor: decision.advisor || null,
+        decision: decision.decision || null,
+        action: decision.action || null,
+        confidence: decision.confidence !== undefined ? decision.confidence : null,
+        tireRecommendation: decision.tireRecommendation || null,
+        driverMode: decision.driverMode || null,
+        modeLaps: decision.modeLaps || null,
+        reasoning: decision.reasoning || decision.error || '',
+        overrides: decision.overrides || []
+      })),
+      positionHistory: [
+        { lap: 0, position: sim.startingPosition },
+        ...this.laps.map(lap => ({ lap: lap.lap, position: lap.position }))
+      ]
+    };
+  }
+
+  toJSON() {
+    return JSON.stringify(this.build(), null, 2);
+  }
+
+  toMarkdown(data = this.build()) {
+    const { race } = data;
+    const lines = [];
+
+    lines.push(`# Race Report - ${race.circuit}`);
+    lines.push('');
+    lines.push(`- Driver: ${race.driver}`);
+    lines.push(`- Seed: ${race.seed} (replay with \`--seed=${race.seed}\`)`);
+    lines.push(`- Strategist: ${race.advisor || 'none'}`);
+    lines.push(`- Result: P${race.startingPosition} → P${race.finalPosition} with ${race.pitStopCount} pit stop(s) over ${race.lapsCompleted} laps`);
+    lines.push(`- Strategy: ${race.strategyAssessment}`);
+    lines.push(`- Safety car: ${formatPeriods(race.neutralisedPeriods)}`);
+    if (race.regulations) {
+      lines.push(`- Tyre regulations: ${race.regulations.legal ? 'respected' : `ILLEGAL - ${race.regulations.violations.join('; ')}`}`);
+    }
+    lines.push('');
+
+    lines.push('## Stints');
+    lines.push('');
+    lines.push('| Stint | Compound | Set | Start Lap | Laps | Max Laps | Start Pos | End Pos | End Wear | Weather |');
+    lines.push('|---|---|---|---|---|---|---|---|---|---|');
+    data.stints.forEach(s => {
+      const wear = typeof s.endDegradation === 'number' ? `${s.endDegradation.toFixed(3)}s` : '-';
+      lines.push(`| ${s.stint} | ${s.compound} | ${formatSet(s)} | ${s.startLap} | ${s.laps} | ${s.maxExpectedLaps} | P${s.startPosition} | P${s.endPosition} | ${wear} | ${s.weather} |`);
+    });
+    lines.push('');
+
+    if (data.pitStops.length > 0) {
+      lines.push('## Pit Stops');
+      lines.push('');
+      lines.push('| Stop | Lap | Tires | Tyre Call | Time Loss | Position |');
+      lines.push('|---|---|---|---|---|---|');
+      data.pitStops.forEach(p => {
+        lines.push(`| ${p.stop} | ${p.lap} | ${p.from} → ${p.to} | ${p.tyreCall} | ${formatTimeLoss(p)} | P${p.positionBefore} → P${p.positionAfter} |`);
+      });
+      lines.push('');
+    }
+
+    lines.push('## Fuel');
+    lines.push('');
+    lines.push(`Used ${data.fuel.used.toFixed(2)}kg of ${data.fuel.capacity}kg (${data.fuel.remaining.toFixed(2)}kg left, avg ${data.fuel.averagePerLap.toFixed(3)}kg/lap)`);
+    lines.push('');
+    lines.push(`Started with ${data.fuel.startingLoad.toFixed(1)}kg, ${data.fuel.reserve}kg reserve required at the flag${data.fuel.refuelled > 0 ? `, ${data.fuel.refuelled.toFixed(1)}kg added at stops` : ''}. ` +
+      `Lift and coast cost ${data.fuel.liftAndCoastLoss.toFixed(1)}s.`);
+    lines.push('');
+    lines.push('| Lap | Burn (kg) | Remaining (kg) | Mode |');
+    lines.push('|---|---|---|---|');
+    data.fuel.history.forEach(f => {
+      lines.push(`| ${f.lap} | ${f.consumption.toFixed(3)} | ${Math.max(0, f.remaining).toFixed(2)} | ${f.intensity} |`);
+    });
+    lines.push('');
+
+    lines.push('## Wear & Cliff');
+    lines.push('');
+    lines.push('```');
+    lines.push(`Wear  ${sparkline(data.laps.map(l => l.wear))}`);
+    lines.push(`Cliff ${sparkline(data.laps.map(l => l.cliffProb), 1)}`);
+    lines.push(`Pos   ${sparkline(data.laps.map(l => 21 - l.position), 20)}`);
+    lines.push(`Fuel  ${sparkline(data.laps.map(l => l.fuelEffect))}`);
+    lines.push(`Track ${sparkline(data.laps.map(l => -l.trackEvolution))}`);
+    lines.push(`Tyre  ${sparkline(data.laps.map(l => l.tyreDegradation))}`);
+    lines.push('```');
+    lines.push('');
+    lines.push('| Lap | Tires | Mode | Wear | Rate (ms/lap) | Cliff | Lap Time | Pos | Gap |');
+    lines.push('|---|---|---|---|---|---|---|---|---|');
+    data.laps.forEach(l => {
+      lines.push(`| ${l.lap} | ${l.compound} (L${l.tireAge}) | ${l.driverMode} | ${l.wear.toFixed(3)}s | ${(l.wearRate * 1000).toFixed(1)} | ${formatPercent(l.cliffProb)} | ${l.lapTime.toFixed(3)}s | P${l.position} | +${l.gapToLeader.toFixed(1)}s |`);
+    });
+    lines.push('');
+
+    lines.push('## Strategist Decisions');
+    lines.push('');
+    if (data.decisions.length === 0) {
+      lines.push('No strategist calls this race.');
+    } else {
+      lines.push('| Lap | Source | Call | Action | Confidence | Tires | Reasoning |');
+      lines.push('|---|---|---|---|---|---|---|');
+      data.decisions.forEach(d => {
+        const reasoning = withGuardrails(d).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+        lines.push(`| ${d.lap} | ${d.advisor || d.type} | ${d.decision || '-'} | ${d.action || '-'} | ${formatPercent(d.confidence)} | ${formatTyreCall(d)} | ${reasoning} |`);
+      });
+    }
+    lines.push('');
+
+    lines.push('## Position History');
+    lines.push('');
+    lines.push(data.positionHistory.map(p => (p.lap === 0 ? `Grid P${p.position}` : `L${p.lap} P${p.position}`)).join(' · '));
+    lines.push('');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Inline SVG line chart, one polyline per series: { label, color, values, max }
+   */
+  svgChart(laps, series, height = 180) {
+    const width = 720;
+    const pad = 30;
+    const x = i => pad + (laps.length > 1 ? (i / (laps.length - 1)) * (width - 2 * pad) : 0);
+    const y = (v, max) => height - pad - (Math.max(0, v) / max) * (height - 2 * pad);
+
+    const lines = series.map(s => {
+      const points = s.values.map((v, i) => `${x(i).toFixed(1)},${y(v, s.max).toFixed(1)}`).join(' ');
+      return `<polyline fill="none" stroke="${s.color}" stroke-width="2" points="${points}"/>`;
+    });
+    const legend = series.map((s, i) => `<text x="${pad + i * 170}" y="16" fill="${s.color}" font-size="12">${escapeHtml(s.label)}</text>`);
+    const ticks = laps.filter((_, i) => i % 5 === 0).map(lap => {
+      const i = laps.indexOf(lap);
+      return `<text x="${x(i).toFixed(1)}" y="${height - 10}" font-size="10" text-anchor="middle">L${lap}</text>`;
+    });
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg">` +
+      `<rect x="${pad}" y="${pad}" width="${width - 2 * pad}" height="${height - 2 * pad}" fill="#fafafa" stroke="#ccc"/>` +
+      `${lines.join('')}${legend.join('')}${ticks.join('')}</svg>`;
+  }
+
+  toHTML(data = this.build()) {
+    const { race } = data;
+    const lapNumbers = data.laps.map(l => l.lap);
+    const table = (headers, rows) => `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+      `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+    const wearChart = this.svgChart(lapNumbers, [
+      { label: 'Wear (s)', color: '#d62728', values: data.laps.map(l => l.wear), max: Math.max(1, ...data.laps.map(l => l.wear)) },
+      { label: 'Cliff probability', color: '#9467bd', values: data.laps.map(l => l.cliffProb), max: 1 },
+      { label: 'Wear rate (x10)', color: '#17becf', values: data.laps.map(l => l.wearRate * 10), max: Math.max(1, ...data.laps.map(l => l.wear)) }
+    ]);
+    const componentMax = Math.max(1, ...data.laps.map(l => l.fuelEffect));
+    const lapTimeChart = this.svgChart(lapNumbers, [
+      { label: 'Fuel effect (s)', color: '#1f77b4', values: data.laps.map(l => l.fuelEffect), max: componentMax },
+      { label: 'Track evolution gain (s)', color: '#2ca02c', values: data.laps.map(l => -l.trackEvolution), max: componentMax },
+      { label: 'Tyre degradation (s)', color: '#d62728', values: data.laps.map(l => l.tyreDegradation), max: componentMax }
+    ]);
+    const positionChart = this.svgChart(lapNumbers, [
+      { label: 'Position (top = P1)', color: '#1f77b4', values: data.laps.map(l => 21 - l.position), max: 20 }
+    ], 140);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Race Report - ${escapeHtml(race.circuit)} (seed ${race.seed})</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5em; font-size: 13px; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #eee; }
+</style>
+</head>
+<body>
+<h1>Race Report - ${escapeHtml(race.circuit)}</h1>
+<ul>
+  <li>Driver: ${escapeHtml(race.driver)}</li>
+  <li>Seed: ${race.seed} (replay with <code>--seed=${race.seed}</code>)</li>
+  <li>Strategist: ${escapeHtml(race.advisor || 'none')}</li>
+  <li>Result: P${race.startingPosition} &rarr; P${race.finalPosition} with ${race.pitStopCount} pit stop(s) over ${race.lapsCompleted} laps</li>
+  <li>Strategy: ${escapeHtml(race.strategyAssessment)}</li>
+  <li>Safety car: ${formatPeriods(race.neutralisedPeriods)}</li>
+${race.regulations
+    ? `  <li>Tyre regulations: ${race.regulations.legal ? 'respected' : `<strong>ILLEGAL</strong> - ${escapeHtml(race.regulations.violations.join('; '))}`}</li>`
+    : ''}
+</ul>
+
+<h2>Stints</h2>
+${table(['Stint', 'Compound', 'Set', 'Start Lap', 'Laps', 'Max Laps', 'Start Pos', 'End Pos', 'Weather'],
+    data.stints.map(s => [s.stint, s.compound, formatSet(s), s.startLap, s.laps, s.maxExpectedLaps, `P${s.startPosition}`, `P${s.endPosition}`, s.weather]))}
+
+<h2>Pit Stops</h2>
+${data.pitStops.length > 0
+    ? table(['Stop', 'Lap', 'Tires', 'Tyre Call', 'Time Loss', 'Position'],
+      data.pitStops.map(p => [p.stop, p.lap, `${p.from} → ${p.to}`, p.tyreCall, formatTimeLoss(p), `P${p.positionBefore} → P${p.positionAfter}`]))
+    : '<p>No pit stops.</p>'}
+
+<h2>Wear &amp; Cliff</h2>
+${wearChart}
+
+<h2>Lap Time Components</h2>
+<p>Telemetry lap time split into fuel load, track evolution and tyre degradation; only the tyre part feeds the wear filter.</p>
+${lapTimeChart}
+
+<h2>Position History</h2>
+${positionChart}
+
+<h2>Fuel</h2>
+<p>Used ${data.fuel.used.toFixed(2)}kg of ${data.fuel.capacity}kg (${data.fuel.remaining.toFixed(2)}kg left, avg ${data.fuel.averagePerLap.toFixed(3)}kg/lap)</p>
+<p>Started with ${data.fuel.startingLoad.toFixed(1)}kg, ${data.fuel.reserve}kg reserve required at the flag${data.fuel.refuelled > 0 ? `, ${data.fuel.refuelled.toFixed(1)}kg added at stops` : ''}. Lift and coast cost ${data.fuel.liftAndCoastLoss.toFixed(1)}s.</p>
+${table(['Lap', 'Burn (kg)', 'Remaining (kg)', 'Mode'],
+    data.fuel.history.map(f => [f.lap, f.consumption.toFixed(3), Math.max(0, f.remaining).toFixed(2), f.intensity]))}
+
+<h2>Strategist Decisions</h2>
+${data.decisions.length > 0
+    ? table(['Lap', 'Source', 'Call', 'Action', 'Confidence', 'Tires', 'Reasoning'],
+      data.decisions.map(d => [d.lap, d.advisor || d.type, d.decision || '-', d.action || '-', formatPercent(d.confidence), formatTyreCall(d), withGuardrails(d)]))
+    : '<p>No strategist calls this race.</p>'}
+
+<h2>Lap by Lap</h2>
+${table(['Lap', 'Tires', 'Mode', 'Wear', 'Rate (ms/lap)', 'Cliff', 'Lap Time', 'Pos', 'Gap'],
+    data.laps.map(l => [l.lap, `${l.compound} (L${l.tireAge})`, l.driverMode, `${l.wear.toFixed(3)}s`, (l.wearRate * 1000).toFixed(1),
+      formatPercent(l.cliffProb), `${l.lapTime.toFixed(3)}s`, `P${l.position}`, `+${l.gapToLeader.toFixed(1)}s`]))}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write race_<circuit>_<seed>.{md,html,json} into `dir`. Returns the three paths.
+   */
+  write(dir = 'reports') {
+    const data = this.build();
+    fs.mkdirSync(dir, { recursive: true });
+
+    const base = path.join(dir, `race_${data.race.circuitId}_${data.race.seed}`);
+    const files = {
+      markdown: `${base}.md`,
+      html: `${base}.html`,
+      json: `${base}.json`
+    };
+
+    fs.writeFileSync(files.markdown, this.toMarkdown(data));
+    fs.writeFileSync(files.html, this.toHTML(data));
+    fs.writeFileSync(files.json, JSON.stringify(data, null, 2));
+    return files;
+  }
+}
+
+module.exports = RaceReport;
@@ -0,0 +1,815 @@
+/**
+ * Race Simulator Module
+ * Headless race engine shared by the terminal dashboard, the web server and batch tools.
+ * Owns the Kalman state, race state and strategy modules; advance it one lap at a time with step().
+ *
+ * Events:
+ *   'lap'      { lap, compound, tireAge, tyreLife, driverMode, rawDelta, adjustedDelta, x, P, cliffProb, paceDelta, lapTime, position,
+ *                gapToLeader, interval, fuel, liftAndCoast, weather, forecast, trackStatus, decomposition }
+ *              tyreLife: wear-equivalent laps on the set - tireAge scaled lap by lap by the driver mode's wear factor
+ *              driverMode: { mode, label, source, lapsRemaining } (see DriverModes.modeFor)
+ *              liftAndCoast: seconds lost saving fuel this lap (0 unless the fuel plan is short)
+ *              decomposition: the telemetry lap time split into fuel effect, track evolution and tyre degradation
+ *              (see LapTimeModel.decompose); only the tyre part is fed to the Kalman filter
+ *              forecast: rain arrival / stop estimate for the coming laps (see WeatherAnalyzer.analyzeForecast)
+ *   'track'    { lap, status, previous, label, startLap, endLap }   SC/VSC deployed or withdrawn
+ *   'pit'      { lap, pitStopNumber, fromCompound, toCompound, tyreSet, compoundSource, rejectedCompound, positionBefore,
+ *                positionAfter, positionsLost, timeLossSeconds, refuelled, trackStatus, weather }
+ *              refuelled: kg added at the stop (always 0 unless the ruleset allows refuelling)
+ *              tyreSet is the set fitted from the weekend allocation: { id, laps } (laps already on it)
+ *              compoundSource is 'strategist' when the recommended compound was fitted, 'engine' otherwise
+ *   'decision' { lap, type: 'mandatory' | 'advisor' | 'error' | 'no-tyres', action, overrides, ... }
+ *              overrides lists every guardrail correction: { rule, field, from, to, reason }
+ *              'no-tyres' (action 'CANCELLED'): a stop called off because the allocation has no usable set left
+ *   'finish'   { pitStopCount, finalPosition, seed, regulations: { legal, violations } }
+ */
+
+const EventEmitter = require('events');
+const WeatherAnalyzer = require('./weather_analyzer');
+const TireStrategy = require('./tire_strategy');
+const CompetitiveAnalysis = require('./competitive_analysis');
+const RivalStrategy = require('./rival_strategy');
+const FuelStrategy = require('./fuel_strategy');
+const PitStopAnalyzer = require('./pit_stop_analyzer');
+const SeededRandom = require('./seeded_random');
+const FieldSimulator = require('./field_simulator');
+const LapTimeModel = require('./lap_time_model');
+const { DriverModes } = require('./driver_modes');
+const StrategyGuardrails = require('./strategy_guardrails');
+const { SportingRegulations } = require('./sporting_regulations');
+const { TyreAllocation } = require('./tyre_allocation');
+const { TrackStatus } = require('./track_status');
+const { WeatherForecast } = require('./weather_forecast');
+const { TrackWetness } = require('./track_wetness');
+const { loadCircuit, DEFAULT_CIRCUIT } = require('./circuit_registry');
+
+// Two-state filter: degradation (s) and degradation rate (s/lap) with a 2x2 covariance.
+// The rate starts from the old fixed 0.045 s/lap prior and is learned during each stint.
+const DEFAULT_KALMAN = {
+  x: 0.0,
+  rate: 0.045,
+  P00: 1.0,
+  P01: 0.0,
+  P11: 0.0004,
+  Q: 0.002,
+  Q_rate: 0.00001,
+  R: 1.5
+};
+
+// Measurement noise for laps whose lap time carries no wear information (SC/VSC) - the filter just predicts
+const IGNORED_MEASUREMENT_R = 1e9;
+
+const TIRE_CHOICES = {
+  DRY: ['MEDIUM', 'HARD', 'SOFT'],
+  INTERMEDIATE: ['INTERMEDIATE'],
+  WET: ['WET', 'INTERMEDIATE'],
+  EXTREME_WET: ['EXTREME_WET']
+};
+
+class RaceSimulator extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.telemetry - telemetry rows (LapNumber, Degradation_Delta, ...), ending on the circuit's last lap
+   * @param {Object} options.kalmanMath - engine exposing updateRateState(x, rate, P00, P01, P11, Q, Q_rate, R, measurement, cliffThreshold, cliffSteepness)
+   * @param {Object} [options.advisor] - strategy advisor; without one only mandatory pit stops happen
+   * @param {SeededRandom} [options.rng] - shared RNG for every random race event
+   * @param {string|Object} [options.circuit] - circuit id, profile path or profile (see circuit_registry.js)
+   * @param {Object} [options.ruleset] - overrides for the sporting regulations (see sporting_regulations.js)
+   * @param {Object} [options.usedLaps] - laps already on used sets per compound (see tyre_allocation.js)
+   * @param {Object} [options.trackEvents] - SC/VSC periods: { schedule: [{ type, startLap, endLap }], random }
+   * @param {WeatherForecast} [options.forecast] - per-lap weather forecast; generated from the circuit's climate when omitted
+   */
+  constructor({ telemetry, kalmanMath, advisor = null, rng = new SeededRandom(), driverCode = 'HAM', circuit = DEFAULT_CIRCUIT, kalman = {}, ruleset = {}, usedLaps, trackEvents = {}, forecast = null }) {
+    super();
+    this.telemetry = telemetry;
+    this.kalmanMath = kalmanMath;
+    this.advisor = advisor;
+    this.rng = rng;
+    this.driverCode = driverCode;
+    this.circuit = loadCircuit(circuit);
+    this.raceLength = this.circuit.laps;
+
+    // Regulations, fuel and strategy plan for the circuit's distance - telemetry from another track would end the race early
+    const telemetryLaps = telemetry.length > 0 ? Math.round(parseFloat(telemetry[telemetry.length - 1].LapNumber)) : 0;
+    if (telemetryLaps !== this.raceLength) {
+      throw new Error(`Telemetry runs to lap ${telemetryLaps} but ${this.circuit.name} is a ${this.raceLength}-lap race - ` +
+        `use telemetry recorded at ${this.circuit.name} (--telemetry=<file>) or the matching --circuit`);
+    }
+
+    // Randomize starting grid position (P1-P20) with uniform distribution
+    // Using ceil ensures we get exactly 1-20 with equal probability
+    this.startingPosition = Math.ceil(rng.random() * 20);
+
+    // Initialize strategy modules
+    this.weatherAnalyzer = new WeatherAnalyzer();
+    this.weatherForecast = forecast || WeatherForecast.generate({ raceLength: this.raceLength, climate: this.circuit.climate, rng });
+    this.rainLatent = rng.gaussian(); // Decides whether the forecast rain actually falls (see simulateConditions)
+    this.trackWetness = new TrackWetness(); // Water on the track: builds up in the rain, dries over laps
+    this.regulations = new SportingRegulations(ruleset);
+    this.tyreAllocation = new TyreAllocation({ sets: this.regulations.ruleset.tyreAllocation, usedLaps });
+    this.tireStrategy = new TireStrategy(driverCode, null, this.startingPosition, rng, this.circuit, this.tyreAllocation); // Random tire + position
+    this.competitiveAnalysis = new CompetitiveAnalysis({
+      rivalStrategy: new RivalStrategy({
+        circuit: this.circuit,
+        raceLength: this.raceLength,
+        requiredDryCompounds: this.regulations.ruleset.requiredDryCompounds
+      })
+    });
+    // 110kg tank, started with the planner's load; refuelling and the reserve come from the ruleset
+    this.fuelStrategy = new FuelStrategy(110, this.circuit, {
+      refuelling: this.regulations.ruleset.refuelling,
+      reserve: this.regulations.ruleset.fuelReserve
+    });
+    this.lapTimeModel = new LapTimeModel(this.circuit); // Takes fuel and track evolution out of the measured lap time
+    this.pitStopAnalyzer = new PitStopAnalyzer(this.circuit, rng);
+    this.guardrails = new StrategyGuardrails(this.tireStrategy, this.regulations); // Overrides unsafe strategist calls
+    this.trackStatus = new TrackStatus({ ...trackEvents, rng, raceLength: this.raceLength }); // Race control: SC/VSC periods
+
+    // Kalman Filter State
+    this.state = { ...DEFAULT_KALMAN, ...kalman };
+
+    // The rest of the field - positions and gaps come from cumulative race time
+    this.field = new FieldSimulator({
+      kalmanMath,
+      pitStopAnalyzer: this.pitStopAnalyzer,
+      competitiveAnalysis: this.competitiveAnalysis,
+      rng,
+      ourDriver: driverCode,
+      ourStartingPosition: this.startingPosition,
+      ourCompound: this.tireStrategy.currentStint.tireCompound,
+      circuit: this.circuit,
+      kalman: { ...this.state }
+    });
+
+    // Simulation state for track and weather conditions
+    this.raceState = {
+      currentPosition: this.startingPosition,
+      gapToLeader: this.field.getOurCar().gapToLeader,
+      trackTemp: 25,
+      airTemp: 20,
+      humidity: 65,
+      rainfall: 0,
+      wetness: 0,
+      enduranceMultiplier: 1.0
+    };
+
+    // Stint and decision tracking
+    this.telemetryIndex = 0;
+    this.lastDecisionLap = -5; // prevent immediate double trigger
+    this.executePitStop = false;
+    this.requestedCompound = null; // Strategist's tyre choice for the stop about to happen
+    this.pitStopCount = 0;
+    this.currentTireCompound = this.tireStrategy.currentStint.tireCompound;
+    this.previousTireCompound = this.currentTireCompound;
+    this.startingTireCompound = this.currentTireCompound;
+    this.positionBeforePit = 1;
+    this.lapsSinceLastPit = this.tireStrategy.currentStint.startAge; // Age of the fitted set, including laps run before this stint
+    this.tyreLife = this.lapsSinceLastPit; // Wear-equivalent laps on the set: its age, scaled lap by lap by the driver mode
+    this.modeWearOffset = 0; // Wear the driver modes have added to (or saved from) the telemetry's degradation this stint
+    this.cliffProb = 0; // Last lap's cliff probability - sets the engine's driver mode (see engineMode)
+    this.driverModes = new DriverModes();
+    this.driverMode = this.driverModes.modeFor(0);
+    this.finished = false;
+  }
+
+  isFinished() {
+    return this.telemetryIndex >= this.telemetry.length;
+  }
+
+  getWeather() {
+    return this.weatherAnalyzer.analyzeWeatherImpact(
+      this.raceState.trackTemp,
+      this.raceState.airTemp,
+      this.raceState.humidity,
+      this.raceState.rainfall,
+      this.raceState.wetness
+    );
+  }
+
+  getSnapshot() {
+    return {
+      seed: this.rng.seed,
+      circuit: this.circuit.id,
+      lapIndex: this.telemetryIndex,
+      totalLaps: this.telemetry.length,
+      position: this.raceState.currentPosition,
+      gapToLeader: this.raceState.gapToLeader,
+      compound: this.currentTireCompound,
+      tireAge: this.lapsSinceLastPit,
+      pitStopCount: this.pitStopCount,
+      trackStatus: this.trackStatus.getStatus().status,
+      x: this.state.x,
+      P: this.state.P00,
+      rate: this.state.rate,
+      rateVariance: this.state.P11
+    };
+  }
+
+  /**
+   * Process the next telemetry row. Resolves with the lap payload, or null once the race is over.
+   * Rows without a Degradation_Delta reading are skipped.
+   * Strategist decisions are awaited, so a decision always takes effect on the following lap.
+   */
+  async step() {
+    if (this.isFinished()) {
+      if (!this.finished) {
+        this.finished = true;
+        this.emit('finish', {
+          pitStopCount: this.pitStopCount,
+          finalPosition: this.raceState.currentPosition,
+          seed: this.rng.seed,
+          regulations: this.regulations.checkFinishingStrategy(this.tireStrategy.getCompoundsUsed())
+        });
+      }
+      return null;
+    }
+
+    const rawData = this.telemetry[this.telemetryIndex];
+    this.telemetryIndex++;
+
+    const actualLap = Math.round(parseFloat(rawData.LapNumber));
+    const degradationDelta = parseFloat(rawData.Degradation_Delta);
+
+    // A row without a usable reading is skipped before anything changes (a pit stop due stays due)
+    if (isNaN(degradationDelta)) {
+      return this.step();
+    }
+
+    this.simulateConditions(actualLap);
+    this.updateTrackStatus(actualLap);
+
+    // Update tire strategy info
+    this.tireStrategy.updateCurrentStint(actualLap, this.state.x, this.raceState.currentPosition, `${this.raceState.trackTemp.toFixed(0)}°C`);
+    this.lapsSinceLastPit++;
+
+    // Driver mode for the lap - the strategist's call while it lasts, the engine's otherwise; behind
+    // the SC/VSC the neutralised pace sets the tyre wear (TrackStatus wearFactor), not the mode
+    this.driverMode = this.driverModes.modeFor(actualLap, this.engineMode(actualLap), this.trackStatus.isNeutralised());
+    this.tyreLife += this.trackStatus.isNeutralised() ? this.trackStatus.getStatus().wearFactor : this.driverMode.wearFactor;
+
+    // Handle pit stop and tire change
+    const pit = this.executePitStop ? this.performPitStop(actualLap) : null;
+
+    const decomposition = this.lapTimeModel.decompose({
+      lapTime: parseFloat(rawData.LapTime_Sec),
+      fuelLoad: this.fuelStrategy.getFuelLoad(actualLap),
+      wetness: this.raceState.wetness,
+      stint: rawData.Stint,
+      newTyres: pit !== null
+    });
+    const lapResult = this.processDegradation(actualLap, degradationDelta, pit !== null, decomposition);
+
+    if (pit) {
+      pit.positionAfter = this.raceState.currentPosition;
+      pit.positionsLost = Math.max(0, pit.positionAfter - pit.positionBefore);
+      this.emit('pit', pit);
+    }
+    this.emit('lap', lapResult);
+
+    // Trigger strategy decision
+    await this.evaluateStrategy(actualLap, lapResult.x, lapResult.cliffProb);
+
+    return lapResult;
+  }
+
+  /**
+   * Step until the telemetry runs out. Resolves with the final snapshot.
+   */
+  async run() {
+    while (!this.isFinished()) {
+      await this.step();
+    }
+    await this.step();
+    return this.getSnapshot();
+  }
+
+  /**
+   * Conditions for the lap follow the forecast; whether its rain actually falls is drawn lap by lap,
+   * correlated so a shower lasts (see WeatherForecast.rainfallFor)
+   */
+  simulateConditions(actualLap) {
+    const { rng, raceState } = this;
+    const forecast = this.weatherForecast.at(actualLap);
+
+    this.rainLatent = WeatherForecast.nextRainLatent(this.rainLatent, rng);
+    raceState.trackTemp = forecast.trackTemp;
+    raceState.airTemp = forecast.airTemp;
+    raceState.humidity = forecast.humidity;
+    raceState.rainfall = WeatherForecast.rainfallFor(forecast, this.rainLatent);
+    raceState.wetness = this.trackWetness.update(raceState.rainfall, raceState.trackTemp);
+  }
+
+  /**
+   * Rain arrival / stop estimate for the laps after `lap` (see WeatherAnalyzer.analyzeForecast)
+   */
+  getWeatherOutlook(lap) {
+    return this.weatherAnalyzer.analyzeForecast(this.weatherForecast, lap, this.getWeather().condition);
+  }
+
+  /**
+   * Move race control on a lap; the pit stop analyzer prices stops for the new status
+   */
+  updateTrackStatus(actualLap) {
+    const previous = this.pitStopAnalyzer.trackStatus;
+    const track = this.trackStatus.update(actualLap);
+    this.pitStopAnalyzer.setTrackStatus(track.status);
+
+    if (track.status !== previous) {
+      this.emit('track', {
+        lap: actualLap,
+        status: track.status,
+        previous,
+        label: track.label,
+        startLap: track.startLap,
+        endLap: track.endLap
+      });
+    }
+  }
+
+  /**
+   * Intelligently choose next tire compound based on weather and the stint we're coming off
+   */
+  chooseNextCompound(weatherCondition) {
+    const previous = this.previousTireCompound;
+    let availableCompounds = TIRE_CHOICES[weatherCondition] || ['MEDIUM'];
+
+    // If previous stint was SOFT, prefer harder compounds next
+    if (previous === 'SOFT' && weatherCondition === 'DRY') {
+      availableCompounds = ['MEDIUM', 'HARD']; // Harder after SOFT
+    } else if (previous === 'HARD' && weatherCondition === 'DRY' && this.lapsSinceLastPit > 25) {
+      availableCompounds = ['SOFT', 'MEDIUM']; // Softer for grip if stint was long
+    }
+
+    // CRITICAL: Never pick the same compound (no point in changing tires to same compound)
+    // and only compounds with a usable set left in the allocation
+    availableCompounds = availableCompounds.filter(c => c !== previous && this.tireStrategy.hasAvailableSet(c));
+    // If all options filtered out, fall back to preferred options excluding previous, then anything legal with a set left
+    if (availableCompounds.length === 0) {
+      availableCompounds = TIRE_CHOICES[weatherCondition].filter(c => c !== previous && this.tireStrategy.hasAvailableSet(c));
+    }
+    if (availableCompounds.length === 0) {
+      availableCompounds = this.regulations.getLegalCompounds(weatherCondition).filter(c => this.tireStrategy.hasAvailableSet(c));
+    }
+
+    // Nothing left to fit - undefined tells performPitStop to call the stop off
+    if (availableCompounds.length === 0) return undefined;
+    return availableCompounds[Math.floor(this.rng.random() * availableCompounds.length)];
+  }
+
+  /**
+   * Box this lap. The pit lane time is added to our lap in the field, so the
+   * position we rejoin in is only known once the lap is processed.
+   * Returns null (and emits a 'no-tyres' decision) when no legal compound has a usable set left.
+   */
+  performPitStop(actualLap) {
+    const comingOff = this.previousTireCompound;
+    this.previousTireCompound = this.currentTireCompound; // Save what we're coming off
+
+    // Fit the strategist's compound when the regulations allow it and a set is left, otherwise the engine picks one
+    const weather = this.getWeather();
+    const requestedCompound = this.requestedCompound;
+    let check = requestedCompound ? this.regulations.validateCompoundChoice(requestedCompound, weather.condition) : null;
+    if (check && check.legal && !this.tireStrategy.hasAvailableSet(requestedCompound)) {
+      check = { legal: false, reason: `no usable ${requestedCompound} sets left in the allocation` };
+    }
+    const compoundSource = check && check.legal ? 'strategist' : 'engine';
+    const newCompound = compoundSource === 'strategist' ? requestedCompound : this.chooseNextCompound(weather.condition);
+    this.requestedCompound = null;
+    this.executePitStop = false;
+
+    // Every legal compound's allocation is used up - the car stays out on the set it has
+    if (!newCompound) {
+      this.previousTireCompound = comingOff;
+      this.emit('decision', {
+        lap: actualLap,
+        type: 'no-tyres',
+        action: 'CANCELLED',
+        decision: 'STAY',
+        reasoning: `Pit stop called off - no usable ${this.regulations.getLegalCompounds(weather.condition).join('/')} sets left in the allocation`,
+        cliffProb: this.cliffProb
+      });
+      return null;
+    }
+
+    this.pitStopCount++;
+    this.positionBeforePit = this.raceState.currentPosition;
+
+    // Record pit and update tire strategy
+    this.tireStrategy.pitAndChangeCompound(actualLap, newCompound, this.raceState.currentPosition, this.state.x, weather.condition);
+
+    // Reset tire degradation state after pit - the new set's rate is learned from scratch
+    const { x, rate, P00, P01, P11 } = DEFAULT_KALMAN;
+    Object.assign(this.state, { x, rate, P00, P01, P11 });
+
+    // Top up for the rest of the race when the ruleset allows refuelling
+    const refuelled = this.fuelStrategy.refuelForLaps(this.raceLength - actualLap + 1);
+
+    const { setId, startAge } = this.tireStrategy.currentStint;
+    this.currentTireCompound = newCompound;
+    this.lapsSinceLastPit = startAge;
+    this.tyreLife = startAge;
+    this.modeWearOffset = 0;
+
+    return {
+      lap: actualLap,
+      pitStopNumber: this.pitStopCount,
+      fromCompound: this.previousTireCompound,
+      toCompound: newCompound,
+      tyreSet: { id: setId, laps: startAge },
+      compoundSource,
+      rejectedCompound: check && !check.legal ? { compound: requestedCompound, reason: check.reason } : null,
+      positionBefore: this.positionBeforePit,
+      timeLossSeconds: Number(this.pitStopAnalyzer.calculateTimeLoss(this.field.baseLapTime).toFixed(1)),
+      refuelled: Number(refuelled.toFixed(2)),
+      trackStatus: this.trackStatus.getStatus().status,
+      weather
+    };
+  }
+
+  /**
+   * Mode the driver picks without a strategist call: push once the tyres are past the cliff (last
+   * lap's cliff probability above 0.5), unless they are coming off this lap or the fuel plan has the
+   * driver lifting and coasting to the flag
+   */
+  engineMode(actualLap) {
+    if (this.executePitStop || this.cliffProb <= 0.5) return 'NORMAL';
+    const liftAndCoast = this.fuelStrategy.getLiftAndCoast(this.raceLength - actualLap + 1, actualLap - 1);
+    return liftAndCoast.saving === 0 ? 'AGGRESSIVE' : 'NORMAL';
+  }
+
+  /**
+   * Kalman update and field lap for one telemetry row. The filter is fed the tyre part of the
+   * lap time from `decomposition` (LapTimeModel.decompose); without one it falls back to the raw
+   * Degradation_Delta, fuel and track evolution included.
+   */
+  processDegradation(actualLap, degradationDelta, pitted = false, decomposition = null) {
+    const { raceState, state } = this;
+
+    // Apply tire age degradation multiplier
+    // Tires degrade faster as they age (cliff effect) - measured in wear-equivalent laps
+    const degradationMultiplier = this.tireStrategy.getDegradationCurveMultiplier(this.tyreLife, this.currentTireCompound);
+    const tyreDelta = decomposition ? decomposition.tyreDegradation : degradationDelta;
+    const adjustedDegradationDelta = tyreDelta * degradationMultiplier;
+
+    // C++ Update with age-adjusted degradation
+    // Cliff sigmoid tuned for the compound (and track) of the current stint
+    const cliff = this.tireStrategy.currentStint.cliffModel;
+    const track = this.trackStatus.getStatus();
+    const mode = this.driverMode;
+    let result;
+    if (track.status === 'GREEN') {
+      // The telemetry was driven at normal pace; shift it by the wear the mode has added or saved
+      const modeWear = (mode.wearFactor - 1) * state.rate;
+      result = this.kalmanStep(mode.wearFactor, adjustedDegradationDelta + this.modeWearOffset + modeWear, state.R, cliff);
+      this.modeWearOffset += modeWear;
+    } else {
+      result = this.kalmanStep(track.wearFactor, state.x, IGNORED_MEASUREMENT_R, cliff);
+    }
+
+    state.x = result.x;
+    state.rate = result.rate;
+    state.P00 = result.P00;
+    state.P01 = result.P01;
+    state.P11 = result.P11;
+    this.cliffProb = result.cliffProb;
+
+    // ==========================================
+    // FIELD: our lap time against 19 simulated rivals
+    // ==========================================
+    // Lift and coast on green laps when the fuel plan says we can't reach the flag with the reserve
+    const liftAndCoast = track.status === 'GREEN'
+      ? this.fuelStrategy.getLiftAndCoast(this.raceLength - actualLap + 1, actualLap - 1)
+      : { saving: 0, timeCost: 0 };
+
+    const previousGap = raceState.gapToLeader;
+    const standings = this.field.advanceLap(actualLap, {
+      compound: this.currentTireCompound,
+      tireAge: this.lapsSinceLastPit,
+      wear: result.x,
+      rate: result.rate,
+      cliffProb: result.cliffProb,
+      pitted,
+      liftAndCoast: liftAndCoast.timeCost,
+      modePace: track.status === 'GREEN' ? mode.pace : 0
+    }, track, raceState.wetness);
+
+    this.competitiveAnalysis.inferStrategies(actualLap, raceState.wetness);
+
+    raceState.currentPosition = standings.position;
+    raceState.gapToLeader = standings.gapToLeader;
+    const paceDelta = raceState.gapToLeader - previousGap;
+
+    // Fuel burn follows the driver mode (FUEL_SAVE behind the SC/VSC), less any lift and coast
+    const fuel = this.fuelStrategy.updateFuelLevel(actualLap, result.x, mode.mode, liftAndCoast.saving);
+
+    return {
+      lap: actualLap,
+      compound: this.currentTireCompound,
+      tireAge: this.lapsSinceLastPit,
+      tyreLife: this.tyreLife,
+      driverMode: { mode: mode.mode, label: mode.label, source: mode.source, lapsRemaining: mode.lapsRemaining },
+      rawDelta: degradationDelta,
+      adjustedDelta: adjustedDegradationDelta,
+      x: result.x,
+      P: result.P00,
+      rate: result.rate,
+      rateVariance: result.P11,
+      covariance: [[result.P00, result.P01], [result.P01, result.P11]],
+      cliffProb: result.cliffProb,
+      paceDelta,
+      lapTime: standings.lastLapTime,
+      position: raceState.currentPosition,
+      gapToLeader: raceState.gapToLeader,
+      interval: standings.interval,
+      fuel,
+      liftAndCoast: liftAndCoast.timeCost,
+      weather: this.getWeather(),
+      forecast: this.getWeatherOutlook(actualLap),
+      trackStatus: track.status,
+      decomposition
+    };
+  }
+
+  /**
+   * Kalman step with the wear rate scaled by `wearFactor` for the lap (rate' = f * rate, so
+   * P01' = f * P01 and P11' = f^2 * P11) - the driver mode on a green lap, the SC/VSC pace on a
+   * neutralised one. A neutralised lap time says nothing about wear, so there the measurement is
+   * ignored (huge R) and the filter only predicts. f = 1 is a plain update.
+   */
+  kalmanStep(wearFactor, measurement, R, cliff) {
+    const { state } = this;
+    const f = wearFactor;
+    const result = this.kalmanMath.updateRateState(
+      state.x, state.rate * f, state.P00, state.P01 * f, state.P11 * f * f, state.Q, state.Q_rate * f * f, R, measurement,
+      cliff.threshold, cliff.steepness
+    );
+    return { ...result, rate: result.rate / f, P01: result.P01 / f, P11: result.P11 / (f * f) };
+  }
+
+  /**
+   * Decision context handed to the strategy advisor
+   */
+  buildDecisionContext(lap, wear, cliffProb, pitAnalysis, pitImpact) {
+    const compound = this.currentTireCompound;
+    const undercut = this.getUndercutAnalysis(lap);
+    const rivalStrategies = this.competitiveAnalysis.getRivalStrategies(this.driverCode);
+    return {
+      lap,
+      totalLaps: this.raceLength,
+      circuit: {
+        name: this.circuit.name,
+        pitLossSeconds: Number(this.pitStopAnalyzer.calculateTimeLoss().toFixed(1)),
+        tyreSeverity: this.circuit.tyreSeverity
+      },
+      compoundMaxLaps: {
+        SOFT: this.tireStrategy.getMaxLaps('SOFT'),
+        MEDIUM: this.tireStrategy.getMaxLaps('MEDIUM'),
+        HARD: this.tireStrategy.getMaxLaps('HARD')
+      },
+      tireCompound: compound,
+      tireAge: this.lapsSinceLastPit,
+      tyreLife: Number(this.tyreLife.toFixed(1)),
+      driverMode: this.driverMode,
+      maxTireAge: this.tireStrategy.getMaxLaps(compound),
+      tireWearStatus: this.tireStrategy.getTireWearStatus(this.tyreLife, compound),
+      degradationMultiplier: this.tireStrategy.getDegradationCurveMultiplier(this.tyreLife, compound),
+      cliffProb,
+      wear,
+      pitStopCount: this.pitStopCount,
+      position: this.raceState.currentPosition,
+      gapToLeader: this.raceState.gapToLeader,
+      pitImpact,
+      fuelStatus: this.fuelStrategy.getFuelStatus(),
+      fuelPlan: this.fuelStrategy.recommendFuelSave(this.raceLength - lap, lap),
+      lapsRemaining: this.fuelStrategy.getLapsRemaining(lap),
+      weather: this.getWeather(),
+      forecast: this.getWeatherOutlook(lap),
+      crossover: this.getCrossoverAnalysis(lap),
+      regulations: this.getRegulationStatus(),
+      tyreSets: this.tireStrategy.getTyreSetSummary(),
+      trackStatus: this.trackStatus.getStatus(),
+      undercut,
+      battle: this.getBattleStatus(),
+      rivalStrategies,
+      undercutThreat: this.getUndercutThreat(rivalStrategies, undercut),
+      pitAnalysis
+    };
+  }
+
+  /**
+   * The car just behind that is expected to box within a couple of laps and would come out ahead
+   * if it stopped first (overcut margin below zero), with what boxing first would leave us: null if there is none
+   * @returns {{ driver, position, gap, nextPitLap, nextCompound, overcutMargin, undercutMargin } | null}
+   */
+  getUndercutThreat(rivalStrategies, undercut) {
+    for (const rival of rivalStrategies.filter(r => r.undercutThreat)) {
+      const swap = undercut.find(u => u.code === rival.driver);
+      if (swap && swap.overcut.margin < 0) {
+        return {
+          driver: rival.driver,
+          position: rival.position,
+          gap: rival.gap,
+          nextPitLap: rival.nextPitLap,
+          nextCompound: rival.nextCompound,
+          overcutMargin: swap.overcut.margin,
+          undercutMargin: swap.undercut.margin
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Intervals, DRS range and battles around us (see CompetitiveAnalysis.analyzeBattles) - DRS is disabled behind the SC/VSC
+   */
+  getBattleStatus() {
+    return this.competitiveAnalysis.analyzeBattles(this.driverCode, { drsEnabled: !this.trackStatus.isNeutralised() });
+  }
+
+  /**
+   * Undercut / overcut against the cars around us (see PitStopAnalyzer.analyzeUndercut).
+   * Both cars are assumed to fit the compound we would: one the two-compound rule still needs, otherwise any other legal one.
+   */
+  getUndercutAnalysis(lap) {
+    const { legalCompounds, stillNeeded } = this.getRegulationStatus();
+    const compound = this.currentTireCompound;
+    const freshCompound = legalCompounds.find(c => stillNeeded.includes(c)) || legalCompounds.find(c => c !== compound) || compound;
+    const toCar = car => ({
+      compound: car.compound,
+      tireAge: car.tireAge,
+      maxTireAge: this.tireStrategy.getMaxLaps(car.compound),
+      wear: car.wear,
+      rate: car.wearRate,
+      compoundPace: this.tireStrategy.getCompoundPaceAdvantage(car.compound, this.raceState.wetness)
+    });
+
+    const { order } = this.field.getStandings();
+    const ourCar = order.find(car => car.code === this.driverCode);
+    return this.pitStopAnalyzer.analyzeUndercut({
+      ours: toCar({ ...ourCar, compound, tireAge: this.lapsSinceLastPit, wear: this.state.x, wearRate: this.state.rate }),
+      rivals: order.filter(car => car !== ourCar).map(car => ({
+        code: car.code,
+        position: car.position,
+        gap: ourCar.gapToLeader - car.gapToLeader,
+        ...toCar(car)
+      })),
+      freshCompound,
+      freshPace: this.tireStrategy.getCompoundPaceAdvantage(freshCompound, this.raceState.wetness),
+      lapsToGo: this.raceLength - lap,
+      pitLoss: this.pitStopAnalyzer.calculateTimeLoss(this.field.baseLapTime)
+    });
+  }
+
+  /**
+   * Slick / intermediate / wet crossover for our tyre on the track as it is now (see PitStopAnalyzer.analyzeCrossover)
+   */
+  getCrossoverAnalysis(lap) {
+    return this.pitStopAnalyzer.analyzeCrossover({
+      compound: this.currentTireCompound,
+      wetness: this.raceState.wetness,
+      candidates: this.getRegulationStatus().legalCompounds, // Legal for the declared condition, with a set left
+      lapsToGo: this.raceLength - lap,
+      pitLoss: this.pitStopAnalyzer.calculateTimeLoss(this.field.baseLapTime)
+    });
+  }
+
+  /**
+   * Legal compounds we still have a usable set of, where we stand against the dry-compound rule
+   * and whether a stop can add fuel
+   */
+  getRegulationStatus() {
+    return {
+      refuelling: this.regulations.ruleset.refuelling,
+      legalCompounds: this.regulations.getLegalCompounds(this.getWeather().condition)
+        .filter(c => this.tireStrategy.hasAvailableSet(c)),
+      ...this.regulations.getCompoundRequirement(this.tireStrategy.getCompoundsUsed())
+    };
+  }
+
+  /**
+   * Tyres at the end of their life come off whatever the strategist says (or if it can't be asked)
+   */
+  boxForTyreFailure(lap, cliffProb) {
+    const compound = this.currentTireCompound;
+    this.executePitStop = true;
+    this.requestedCompound = null;
+    this.positionBeforePit = this.raceState.currentPosition;
+    this.emit('decision', {
+      lap,
+      type: 'mandatory',
+      action: 'EXECUTED',
+      decision: 'BOX',
+      reasoning: `Critical tire failure - immediate pit required for ${compound} (${Number(this.tyreLife.toFixed(1))}/${this.tireStrategy.getMaxLaps(compound)} laps of wear)`,
+      cliffProb
+    });
+  }
+
+  async evaluateStrategy(lap, wear, cliffProb) {
+    const compound = this.currentTireCompound;
+
+    // ============================================
+    // MANDATORY PIT STOP CHECK - ONLY FOR CRITICAL TIRE FAILURE
+    // ============================================
+    // The strategist still picks the tyre (its BOX is enforced by the MANDATORY_STOP guardrail);
+    // without an advisor, or when it fails, the stop is executed on its own
+    const mandatory = this.tireStrategy.isPitStopMandatory(this.tyreLife, compound);
+    if (mandatory && !this.advisor) {
+      this.boxForTyreFailure(lap, cliffProb);
+      return;
+    }
+
+    // ============================================
+    // STANDARD STRATEGY CHECK
+    // ============================================
+    const pitAnalysis = this.pitStopAnalyzer.analyzePitStrategy({
+      lap,
+      currentPosition: this.raceState.currentPosition,
+      gapToLeader: this.raceState.gapToLeader,
+      cliffProb,
+      fuel: parseFloat(this.fuelStrategy.getFuelStatus().currentFuel),
+      fuelPerLap: this.fuelStrategy.getAverageConsumption(),
+      refuelling: this.regulations.ruleset.refuelling,
+      weather: this.getWeather().condition,
+      lapsSincePit: this.lapsSinceLastPit,
+      tireAge: this.tyreLife,
+      maxTireAge: this.tireStrategy.getMaxLaps(compound),
+      trackStatus: this.trackStatus.getStatus().status,
+      crossover: this.getCrossoverAnalysis(lap)
+    });
+
+    // Only trigger AI decision if pit is strategically important, cliff is critical or the SC/VSC offers a cheap stop
+    const shouldDecide = cliffProb > 0.40 || (lap > 0 && lap % 4 === 0) || pitAnalysis.shouldPit || this.trackStatus.isNeutralised();
+    if (!mandatory && (!shouldDecide || !this.advisor || lap - this.lastDecisionLap < 2)) return;
+
+    this.lastDecisionLap = lap;
+
+    // Calculate pit stop impact against the real field
+    const timeLossSeconds = this.pitStopAnalyzer.calculateTimeLoss(this.field.baseLapTime);
+    const newPosition = this.field.projectRejoinPosition(timeLossSeconds);
+    const pitImpact = {
+      timeLossSeconds: Number(timeLossSeconds.toFixed(1)),
+      positionsLost: Math.max(0, newPosition - this.raceState.currentPosition),
+      newPosition
+    };
+    const context = this.buildDecisionContext(lap, wear, cliffProb, pitAnalysis, pitImpact);
+
+    let advice;
+    try {
+      advice = await this.advisor.decide(context);
+    } catch (err) {
+      this.emit('decision', {
+        lap,
+        type: 'error',
+        action: 'NONE',
+        advisor: this.advisor.name,
+        error: err.message,
+        prompt: err.prompt || null,
+        raw: err.raw !== undefined ? err.raw : null,
+        cliffProb,
+        pitAnalysis
+      });
+      if (mandatory) this.boxForTyreFailure(lap, cliffProb);
+      return;
+    }
+
+    const { decision: parsed, overrides } = this.guardrails.review(advice, context);
+    const guardrailBox = overrides.some(o => o.field === 'decision' && o.to === 'BOX');
+
+    // Trust AI decisions: if it says BOX with reasonable confidence, execute pit stop
+    let action = 'NONE';
+    if (guardrailBox || mandatory) {
+      action = 'EXECUTED';
+    } else if (parsed.decision === 'BOX' && parsed.confidence >= 0.65) {
+      action = 'EXECUTED';
+    } else if (parsed.decision === 'BOX' && pitAnalysis.totalUrgency > 5) {
+      // Execute pit if urgency is genuinely high, even with lower confidence
+      action = 'FORCED';
+    } else if (parsed.decision === 'BOX') {
+      action = 'LOW_CONFIDENCE';
+    }
+
+    if (action === 'EXECUTED' || action === 'FORCED') {
+      this.executePitStop = true;
+      this.requestedCompound = parsed.tireRecommendation;
+      this.positionBeforePit = this.raceState.currentPosition;
+    }
+
+    // A driver mode call holds from the next lap, whether or not we stop
+    if (parsed.driverMode) {
+      this.driverModes.setMode(parsed.driverMode, parsed.modeLaps, lap);
+    }
+
+    this.emit('decision', {
+      lap,
+      type: 'advisor',
+      action,
+      ...parsed,
+      overrides,
+      cliffProb,
+      pitAnalysis,
+      pitImpact
+    });
+  }
+}
+
+module.exports = RaceSimulator;
@@ -0,0 +1,140 @@
+/**
+ * Rival Strategy Module
+ * Infers a car's strategy from what the pit wall can see: compound, stint age, stops made and
+ * compounds used. A stint is expected to end at a share of the compound's tyre life; that share
+ * starts from a prior and is learned from every stint the field completes, each car's own
+ * stints counting most. From there: the next stop, the compound it is likely to fit and how
+ * many stops the car is on.
+ */
+
+const TireStrategy = require('./tire_strategy');
+const { loadCircuit } = require('./circuit_registry');
+const { compoundPace, wetnessCondition, CATEGORY } = require('./track_wetness');
+
+const PRIOR_STINT_SHARE = 0.75; // share of tyre life a stint is expected to run before anything is seen
+const PRIOR_WEIGHT = 2;         // the prior counts as this many completed stints
+const OWN_STINT_WEIGHT = 3;     // a car's own completed stint counts as this many of the field's
+const FINISH_SHARE = 0.9;       // share of tyre life a set can be stretched to when it reaches the flag
+const WINDOW_SHARE = 0.1;       // pit window either side of the expected stop, as a share of tyre life
+const LAST_STOP_LAPS = 3;       // a stop the compound rule still forces comes this many laps from the flag at the latest
+const MAX_STOPS = 4;            // give up projecting after this many more stops
+const DRY_COMPOUNDS = ['SOFT', 'MEDIUM', 'HARD'];
+const WET_WEATHER_COMPOUNDS = ['INTERMEDIATE', 'WET', 'EXTREME_WET'];
+
+class RivalStrategy {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.circuit] - circuit profile (tyre life tables)
+   * @param {number} [options.raceLength]
+   * @param {number} [options.requiredDryCompounds] - dry compounds a dry race has to use (see sporting_regulations.js)
+   */
+  constructor({ circuit = loadCircuit(), raceLength = circuit.laps, requiredDryCompounds = 2 } = {}) {
+    this.tireModel = new TireStrategy('RIVALS', 'MEDIUM', 1, null, circuit); // Compound tables only
+    this.raceLength = raceLength;
+    this.requiredDryCompounds = requiredDryCompounds;
+    this.fieldStints = { share: 0, count: 0 };
+    this.carStints = new Map(); // code -> { share, count }
+  }
+
+  /**
+   * A car came in after `laps` laps on `compound`
+   */
+  recordStint(code, compound, laps) {
+    if (!(laps > 0)) return;
+    const share = laps / this.tireModel.getMaxLaps(compound);
+    this.fieldStints.share += share;
+    this.fieldStints.count++;
+
+    const own = this.carStints.get(code) || { share: 0, count: 0 };
+    own.share += share;
+    own.count++;
+    this.carStints.set(code, own);
+  }
+
+  /**
+   * Expected share of tyre life `code` runs a stint to: the prior, the field's stints and the car's own, weighted
+   */
+  stintShare(code) {
+    const own = this.carStints.get(code) || { share: 0, count: 0 };
+    const weight = PRIOR_WEIGHT + this.fieldStints.count + OWN_STINT_WEIGHT * own.count;
+    return (PRIOR_STINT_SHARE * PRIOR_WEIGHT + this.fieldStints.share + OWN_STINT_WEIGHT * own.share) / weight;
+  }
+
+  /**
+   * Compound a car is likely to fit for `lapsToGo` laps: the fastest wet-weather tyre on a wet
+   * track, otherwise the softest dry compound (other than the one coming off) that reaches the flag
+   */
+  nextCompound(currentCompound, lapsToGo, wetness = 0) {
+    if (wetnessCondition(wetness) !== 'DRY') {
+      return [...WET_WEATHER_COMPOUNDS].sort((a, b) => compoundPace(a, wetness) - compoundPace(b, wetness))[0];
+    }
+    const candidates = DRY_COMPOUNDS.filter(c => c !== currentCompound);
+    return candidates.find(c => this.tireModel.getMaxLaps(c) * FINISH_SHARE >= lapsToGo) || candidates[candidates.length - 1];
+  }
+
+  /**
+   * Estimate a car's strategy from lap `lap` on
+   * @param {Object} car
+   * @param {string} car.code
+   * @param {string} car.compound - tyre on the car now
+   * @param {number} car.tireAge - laps on the set
+   * @param {number} car.pitstops - stops made so far
+   * @param {string[]} car.compoundsUsed - every compound the car has run, the current one included
+   * @param {number} lap - last completed lap
+   * @param {number} [wetness] - track wetness (0-1)
+   * @returns {{ label, totalStops, stopsRemaining, nextPitLap, pitWindow, nextCompound, stintShare }}
+   *          nextPitLap/pitWindow/nextCompound are null when the car can run to the flag;
+   *          pitWindow is { open, close } around nextPitLap
+   */
+  infer({ code, compound, tireAge, pitstops, compoundsUsed }, lap, wetness = 0) {
+    const share = this.stintShare(code);
+    const dryTrack = wetnessCondition(wetness) === 'DRY';
+    const used = new Set(compoundsUsed);
+
+    let current = compound;
+    let age = tireAge;
+    let at = lap;
+    const stops = [];
+    while (stops.length < MAX_STOPS) {
+      const maxLaps = this.tireModel.getMaxLaps(current);
+      const lapsToGo = this.raceLength - at;
+      const wrongTyre = dryTrack ? CATEGORY[current] !== 'SLICK' : CATEGORY[current] === 'SLICK';
+      const owesCompound = dryTrack && [...used].every(c => DRY_COMPOUNDS.includes(c)) &&
+        new Set([...used].filter(c => DRY_COMPOUNDS.includes(c))).size < this.requiredDryCompounds;
+
+      let pitLap;
+      if (wrongTyre) {
+        pitLap = at + 1;
+      } else if (age + lapsToGo <= maxLaps * FINISH_SHARE) {
+        if (!owesCompound) break; // Runs to the flag
+        pitLap = Math.max(at + 1, Math.min(at + Math.round(maxLaps * share - age), this.raceLength - LAST_STOP_LAPS));
+      } else {
+        pitLap = Math.max(at + 1, at + Math.round(maxLaps * share - age));
+      }
+      if (pitLap >= this.raceLength) break;
+
+      const fitted = this.nextCompound(current, this.raceLength - pitLap + 1, wetness);
+      stops.push({ lap: pitLap, compound: fitted, halfWindow: Math.max(1, Math.round(maxLaps * WINDOW_SHARE)) });
+      used.add(fitted);
+      current = fitted;
+      age = 0;
+      at = pitLap - 1;
+    }
+
+    const next = stops[0] || null;
+    const totalStops = pitstops + stops.length;
+    return {
+      label: `${totalStops}-STOP`,
+      totalStops,
+      stopsRemaining: stops.length,
+      nextPitLap: next ? next.lap : null,
+      pitWindow: next
+        ? { open: Math.max(lap + 1, next.lap - next.halfWindow), close: Math.min(this.raceLength - 1, next.lap + next.halfWindow) }
+        : null,
+      nextCompound: next ? next.compound : null,
+      stintShare: share
+    };
+  }
+}
+
+module.exports = RivalStrategy;
@@ -0,0 +1,58 @@
+/**
+ * Seeded Random Module
+ * Deterministic PRNG (mulberry32) shared by every strategy module so a race can be replayed from its seed
+ */
+
+class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Fresh seed for runs that don't ask for one (the only place Math.random is still used)
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Accept numbers or strings from the command line
+   * Non-numeric strings are hashed (FNV-1a) so "spa-2024" is a valid seed too
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Drop-in replacement for Math.random(): float in [0, 1)
+   */
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Normally distributed sample (Box-Muller)
+   */
+  gaussian(mean = 0, stdDev = 1) {
+    const u = 1 - this.random(); // (0, 1] so log() stays finite
+    const v = this.random();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+module.exports = SeededRandom;
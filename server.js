@@ -1,80 +1,285 @@
+require('dotenv').config();
 const express = require('express');
 const http = require('http');
-const fs = require('fs');
-const csv = require('csv-parser');
+const { Server } = require('socket.io');
 
-// 🚀 Import your compiled C++ math engine
-const kalmanMath = require('./build/Release/kalman_math.node');
+// Import the race engine
+const RaceSimulator = require('./race_simulator');
+const RaceReport = require('./race_report');
+const DecisionAuditLog = require('./decision_audit_log');
+const SeededRandom = require('./seeded_random');
+const { CachedAdvisor } = require('./strategy_advisor');
+const { getOption, getAdvisorType, getSeed, getCircuit, getTrackEvents, getWeatherForecast, getAuditLogPath, prepareAdvisor } = require('./race_options');
+const { loadKalmanEngine } = require('./kalman_engine');
+const { loadTelemetry, DEFAULT_TELEMETRY_FILE } = require('./telemetry_loader');
+
+// 🚀 Compiled C++ math engine when built, pure-JS port otherwise (--kalman=<auto|native|js> or KALMAN_ENGINE)
+const { engine: kalmanMath, name: kalmanEngineName } = loadKalmanEngine(getOption('kalman', 'KALMAN_ENGINE') || 'auto');
 
 const app = express();
 const server = http.createServer(app);
+const io = new Server(server, { cors: { origin: '*' } });
+
+/**
+ * Socket.io Event Protocol
+ *
+ * Server -> client:
+ *   'race:state' { status, lap, totalLaps, seed, circuit, position, compound, pitStopCount, trackStatus, x, P, rate, rateVariance, ... }
+ *                on connect and on every status change
+ *   'race:error' { phase: 'step' | 'seek', lap, message }
+ *                the engine threw; status goes to 'error' until a seek rebuilds the race
+ *   'lap'        { lap, compound, tireAge, tyreLife, driverMode, rawDelta, x, P, rate, rateVariance, covariance, cliffProb, position,
+ *                  gapToLeader, fuel, weather, forecast, trackStatus, decomposition, ... }
+ *                driverMode: { mode, label, source, lapsRemaining } - tyreLife is the set's age scaled by each lap's mode wear
+ *                x/rate are the two-state Kalman estimates (degradation s, degradation rate s/lap),
+ *                P/rateVariance their variances and covariance the full 2x2 matrix;
+ *                decomposition: { fuelEffect, trackEvolution, tyreDegradation, ... } - the telemetry lap time
+ *                split up; only tyreDegradation is fed to the filter (rawDelta still carries fuel and track evolution)
+ *                forecast: { summary, rainArrival, rainStop, timeline, ... } for the coming laps
+ *   'stint'      { stint, compound, startLap }        start of every stint
+ *   'track'      { lap, status, previous, label, startLap, endLap }
+ *                race control: status 'SC' / 'VSC' when a (virtual) safety car is deployed, 'GREEN' when it ends
+ *   'pit'        { lap, pitStopNumber, fromCompound, toCompound, positionBefore, positionAfter, trackStatus, ... }
+ *   'decision'   { lap, type, action, decision, confidence, reasoning, tireRecommendation, driverMode, modeLaps, overrides, ... }
+ *                overrides: guardrail corrections { rule, field, from, to, reason }
+ *   'finish'     { pitStopCount, finalPosition, seed, report: { markdown, html, json } }
+ *
+ * Client -> server:
+ *   'pause'
+ *   'resume'
+ *   'seek'       { lap }   re-runs the race from lights out (same seed) up to the requested lap and pauses there;
+ *                          laps already run reuse the strategist's recorded answers
+ *
+ * HTTP:
+ *   GET /report  race report so far as JSON (stints, pit stops, fuel, laps, decisions, positions)
+ *
+ * Every strategist call is also written to an NDJSON audit log (--audit-log, default logs/);
+ * start with --replay=<log> to answer from that recording instead of the live advisor.
+ */
+
+// Telemetry file: --telemetry=<path> or TELEMETRY_FILE (CSV, JSON Lines or a JSON array)
+const TELEMETRY_FILE = getOption('telemetry', 'TELEMETRY_FILE') || DEFAULT_TELEMETRY_FILE;
+const PORT = process.env.PORT || 3000;
+const REPORT_DIR = getOption('report-dir', 'REPORT_DIR') || 'reports';
+const LAP_INTERVAL_MS = 1000; // 1000ms = 1 second per lap
+
+const seed = new SeededRandom(getSeed()).seed; // --seed, RACE_SEED or the seed recorded in a --replay log
+const circuit = getCircuit(); // --circuit=<id|path.json> or RACE_CIRCUIT
+const trackEvents = getTrackEvents(); // --safety-car=<SC:12-15,VSC:30,random> or SAFETY_CAR
+const forecast = getWeatherForecast(); // --forecast=<file.json> or WEATHER_FORECAST, generated from the seed otherwise
+
+let telemetryStream = [];
+let advisor = null;
+let sim = null;
+let report = null;         // Records the current engine's run for the post-race debrief
+let silent = false;       // Set while seeking - the engine advances without broadcasting
+let stepping = false;
+let status = 'loading';   // 'loading' | 'running' | 'paused' | 'seeking' | 'finished' | 'error'
+let interval = null;
+
+function getRaceState() {
+    const lastRow = sim ? telemetryStream[sim.telemetryIndex - 1] : null;
+    return {
+        status,
+        lap: lastRow ? Math.round(lastRow.LapNumber) : 0,
+        ...(sim ? sim.getSnapshot() : { seed, circuit: circuit.id, totalLaps: telemetryStream.length })
+    };
+}
+
+function setStatus(newStatus) {
+    status = newStatus;
+    io.emit('race:state', getRaceState());
+}
+
+function broadcast(event, payload) {
+    if (!silent) io.emit(event, payload);
+}
+
+/**
+ * Fresh engine for the current seed, wired to the socket protocol
+ */
+function createSimulator() {
+    const race = new RaceSimulator({ telemetry: telemetryStream, kalmanMath, advisor, rng: new SeededRandom(seed), circuit, trackEvents, forecast });
+    report = new RaceReport(race);
+    // A seek re-runs the race from lights out, so the log is rewritten with the fresh run
+    new DecisionAuditLog(getAuditLogPath(seed, circuit, advisor.name)).attach(race);
+
+    race.on('lap', (lap) => {
+        broadcast('lap', lap);
+        if (!silent) {
+            console.log(`Lap ${String(lap.lap).padStart(2, '0')} | ` +
+                        `Raw Drop: ${lap.rawDelta.toFixed(3)}s | ` +
+                        `Tyre Drop: ${lap.decomposition.tyreDegradation.toFixed(3)}s | ` +
+                        `Smoothed True Wear: ${lap.x.toFixed(3)}s | ` +
+                        `Wear Rate: ${(lap.rate * 1000).toFixed(1)}ms/lap | ` +
+                        `Cliff Prob: ${(lap.cliffProb * 100).toFixed(1)}%` +
+                        (lap.driverMode.mode !== 'NORMAL' ? ` | Mode: ${lap.driverMode.label}` : ''));
+        }
+    });
+    race.on('track', (track) => {
+        broadcast('track', track);
+        if (!silent) {
+            console.log(track.status === 'GREEN'
+                ? `🟢 Lap ${track.lap}: Green flag - ${track.previous} period over`
+                : `🟡 Lap ${track.lap}: ${track.label} deployed (laps ${track.startLap}-${track.endLap})`);
+        }
+    });
+    race.on('pit', (pit) => {
+        broadcast('pit', pit);
+        broadcast('stint', { stint: pit.pitStopNumber + 1, compound: pit.toCompound, startLap: pit.lap + 1 });
+    });
+    race.on('decision', (decision) => {
+        broadcast('decision', decision);
+        if (!silent && decision.type !== 'error') {
+            console.log(`🧠 Lap ${decision.lap} Strategist: ${decision.decision} (${decision.action}) - ${decision.reasoning}`);
+        }
+        if (!silent && decision.overrides) {
+            decision.overrides.forEach(o => console.log(`🛡️  Lap ${decision.lap} Guardrail ${o.rule}: ${o.field} ${o.from} -> ${o.to} (${o.reason})`));
+        }
+    });
+    race.on('finish', (summary) => {
+        let files = null;
+        try {
+            files = report.write(REPORT_DIR);
+            console.log(`📄 Race report written to ${files.markdown}, ${files.html} and ${files.json}`);
+        } catch (err) {
+            console.error(`Could not write race report: ${err.message}`);
+        }
+        broadcast('finish', { ...summary, report: files });
+    });
+
+    return race;
+}
+
+/**
+ * The engine threw: stop the loop, tell the clients and wait for a seek to rebuild the race
+ */
+function failRace(phase, err) {
+    stopLoop();
+    const lap = getRaceState().lap;
+    console.error(`Race engine failed ${phase === 'seek' ? 'while seeking' : 'stepping'} after lap ${lap}: ${err.stack || err.message}`);
+    io.emit('race:error', { phase, lap, message: err.message });
+    setStatus('error');
+}
+
+async function tick() {
+    if (stepping) return;
+    stepping = true;
+    try {
+        await sim.step();
+    } catch (err) {
+        failRace('step', err);
+        return;
+    } finally {
+        stepping = false;
+    }
+
+    if (sim.finished) {
+        stopLoop();
+        setStatus('finished');
+        console.log('--- Race Finished ---');
+    }
+}
+
+function startLoop() {
+    if (interval || sim.finished) return;
+    setStatus('running');
+    // Simulate receiving a new telemetry packet every LAP_INTERVAL_MS
+    interval = setInterval(tick, LAP_INTERVAL_MS);
+}
+
+function stopLoop() {
+    if (interval) {
+        clearInterval(interval);
+        interval = null;
+    }
+}
+
+/**
+ * Re-run the race from lights out up to (and including) the requested lap
+ */
+async function seekToLap(targetLap) {
+    stopLoop();
+    setStatus('seeking');
+
+    // Let an in-flight lap finish before replacing the engine
+    while (stepping) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    silent = true;
+    try {
+        sim = createSimulator();
+        while (!sim.isFinished() && telemetryStream[sim.telemetryIndex].LapNumber <= targetLap) {
+            await sim.step();
+        }
+    } catch (err) {
+        failRace('seek', err);
+        return;
+    } finally {
+        silent = false;
+    }
+
+    console.log(`--> Seeked to lap ${getRaceState().lap}`);
+    setStatus('paused');
+}
+
+app.get('/report', (req, res) => {
+    if (!report) return res.status(503).json({ error: 'Race has not started yet' });
+    res.json(report.build());
+});
+
+io.on('connection', (socket) => {
+    socket.emit('race:state', getRaceState());
+
+    socket.on('pause', () => {
+        if (status !== 'running') return;
+        stopLoop();
+        setStatus('paused');
+    });
 
-// Initial Kalman Filter State (Matching our C++ defaults)
-let state = {
-    x: 0.0,        // Initial degradation state
-    P: 1.0,        // Initial variance
-    Q: 0.01,       // Process noise
-    R: 0.5,        // Measurement noise
-    wear_rate: 0.05 // Expected wear per lap
-};
+    socket.on('resume', () => {
+        if (status !== 'paused') return;
+        startLoop();
+    });
 
-// Make sure this matches the filename of the CSV you generated earlier!
-const CSV_FILE = 'belgian_gp_HAM_telemetry.csv'; 
+    socket.on('seek', (payload = {}) => {
+        const targetLap = parseFloat(payload.lap);
+        if (status === 'loading' || status === 'seeking' || isNaN(targetLap)) return;
+        seekToLap(targetLap);
+    });
+});
 
 function startRaceSimulation() {
-    const telemetryStream = [];
-    
-    // Read the CSV file into memory
-    fs.createReadStream(CSV_FILE)
-        .pipe(csv())
-        .on('data', (row) => telemetryStream.push(row))
-        .on('end', () => {
-            console.log('--- Telemetry Loaded. Starting Live Race Simulation ---');
-            let currentLap = 0;
-
-            // Simulate receiving a new telemetry packet every 1 second
-            const interval = setInterval(() => {
-                if (currentLap >= telemetryStream.length) {
-                    clearInterval(interval);
-                    console.log('--- Race Finished ---');
-                    return;
-                }
-
-                const rawData = telemetryStream[currentLap];
-                const degradationDelta = parseFloat(rawData.Degradation_Delta);
-
-                if (!isNaN(degradationDelta)) {
-                    // ⚡ PASS DATA TO NATIVE C++ ENGINE ⚡
-                    const result = kalmanMath.updateState(
-                        state.x, state.P, state.Q, state.R, state.wear_rate, degradationDelta
-                    );
-
-                    // Update our JS state for the next lap iteration
-                    state.x = result.x;
-                    state.P = result.P;
-
-                    // Format the output for the console
-                    console.log(`Lap ${rawData.LapNumber.padStart(2, '0')} | ` +
-                                `Raw Drop: ${degradationDelta.toFixed(3)}s | ` +
-                                `Smoothed True Wear: ${result.x.toFixed(3)}s | ` +
-                                `Cliff Prob: ${(result.cliffProb * 100).toFixed(1)}%`);
-
-                    // 🧠 THE AI TRIGGER 🧠
-                    if (result.cliffProb > 0.70) {
-                        console.log('\n🚨 TIRE CLIFF PROBABILITY > 70%! 🚨');
-                        console.log('--> Suspending telemetry stream...');
-                        console.log('--> Triggering Mistral API to formulate pit strategy...\n');
-                        
-                        clearInterval(interval); // Pause the simulation while Mistral "thinks"
-                        // TODO: Integrate Mistral API call here
-                    }
-                }
-                currentLap++;
-            }, 1000); // 1000ms = 1 second per lap
+    // Read and validate the telemetry file into memory
+    loadTelemetry(TELEMETRY_FILE).then(rows => {
+        telemetryStream = rows;
+        console.log(`--- Telemetry Loaded (${rows.length} laps from ${TELEMETRY_FILE}). Starting Live Race Simulation ---`);
+        console.log(`Circuit: ${circuit.name} (${circuit.laps} laps)`);
+        console.log(`Strategy advisor: ${advisor.name} | Kalman engine: ${kalmanEngineName} | Race Seed: ${seed}`);
+        sim = createSimulator();
+        console.log(`Decision audit log: ${getAuditLogPath(seed, circuit, advisor.name)}`);
+        io.emit('stint', {
+            stint: 1,
+            compound: sim.startingTireCompound,
+            startLap: Math.round(telemetryStream[0].LapNumber)
         });
+        startLoop();
+    }).catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
 }
 
-server.listen(3000, () => {
-    console.log('Pit Wall Strategist Server running on port 3000');
-    startRaceSimulation();
-});
\ No newline at end of file
+// The strategist draws from its own stream of the race seed, so it never shifts the race's draws
+prepareAdvisor(getAdvisorType(), { circuit, rng: new SeededRandom(seed) }).then(created => {
+    // A seek replays the laps already run from the cache instead of asking the strategist again
+    advisor = new CachedAdvisor(created);
+    server.listen(PORT, () => {
+        console.log(`Pit Wall Strategist Server running on port ${PORT}`);
+        startRaceSimulation();
+    });
+}).catch(err => {
+    console.error(`Could not start strategy advisor: ${err.message}`);
+    process.exit(1);
+});
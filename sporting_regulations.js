@@ -0,0 +1,93 @@
+/**
+ * Sporting Regulations Module
+ * Tyre rules the race engine and the strategist have to respect:
+ *   - which compounds may be fitted for the track condition race control has declared
+ *   - a dry race must use at least two different dry compounds (waived once
+ *     intermediate or wet tyres have been used)
+ *   - how many sets of each compound a driver gets for the weekend (see tyre_allocation.js)
+ * and fuel rules: whether cars may refuel at a stop, and the reserve that must be left at the flag.
+ */
+
+const DRY_COMPOUNDS = ['SOFT', 'MEDIUM', 'HARD'];
+const WET_COMPOUNDS = ['INTERMEDIATE', 'WET', 'EXTREME_WET'];
+
+const DEFAULT_RULESET = {
+  name: 'FIA Formula 1',
+  compoundsByCondition: {
+    DRY: DRY_COMPOUNDS,
+    INTERMEDIATE: ['INTERMEDIATE', 'WET'], // Past the slick crossover - slicks come back once the track is declared DRY
+    WET: ['INTERMEDIATE', 'WET', 'EXTREME_WET'],
+    EXTREME_WET: ['WET', 'EXTREME_WET']
+  },
+  requiredDryCompounds: 2,
+  tyreAllocation: { SOFT: 8, MEDIUM: 3, HARD: 2, INTERMEDIATE: 4, WET: 3, EXTREME_WET: 2 },
+  refuelling: false, // Banned since 2010 - the car starts with all the fuel it will race on
+  fuelReserve: 1.0   // kg that must be left in the car for the post-race fuel sample
+};
+
+class SportingRegulations {
+  /**
+   * @param {Object} [ruleset] - overrides for DEFAULT_RULESET
+   */
+  constructor(ruleset = {}) {
+    this.ruleset = { ...DEFAULT_RULESET, ...ruleset };
+  }
+
+  /**
+   * Compounds that may be fitted on a track in this condition
+   */
+  getLegalCompounds(weatherCondition) {
+    return this.ruleset.compoundsByCondition[weatherCondition] || DRY_COMPOUNDS;
+  }
+
+  /**
+   * Can `compound` be fitted right now? Returns { legal, reason }
+   */
+  validateCompoundChoice(compound, weatherCondition) {
+    if (![...DRY_COMPOUNDS, ...WET_COMPOUNDS].includes(compound)) {
+      return { legal: false, reason: `${compound} is not a race compound` };
+    }
+
+    const legalCompounds = this.getLegalCompounds(weatherCondition);
+    if (!legalCompounds.includes(compound)) {
+      return { legal: false, reason: `${compound} is not allowed while the track is declared ${weatherCondition} (legal: ${legalCompounds.join(', ')})` };
+    }
+    return { legal: true, reason: null };
+  }
+
+  /**
+   * Where the race stands against the dry-compound rule, given the compounds used so far
+   * (including the set currently fitted)
+   * @returns {{ wetRace: boolean, dryCompoundsUsed: string[], satisfied: boolean, stillNeeded: string[] }}
+   *          stillNeeded lists the dry compounds that would satisfy the rule at the next stop
+   */
+  getCompoundRequirement(compoundsUsed) {
+    const wetRace = compoundsUsed.some(c => WET_COMPOUNDS.includes(c));
+    const dryCompoundsUsed = [...new Set(compoundsUsed.filter(c => DRY_COMPOUNDS.includes(c)))];
+    const satisfied = wetRace || dryCompoundsUsed.length >= this.ruleset.requiredDryCompounds;
+
+    return {
+      wetRace,
+      dryCompoundsUsed,
+      satisfied,
+      stillNeeded: satisfied ? [] : DRY_COMPOUNDS.filter(c => !dryCompoundsUsed.includes(c))
+    };
+  }
+
+  /**
+   * Check a finished race. Returns { legal, violations }
+   */
+  checkFinishingStrategy(compoundsUsed) {
+    const requirement = this.getCompoundRequirement(compoundsUsed);
+    const violations = [];
+    if (!requirement.satisfied) {
+      const ran = requirement.dryCompoundsUsed.length > 0
+        ? `on ${requirement.dryCompoundsUsed.join(', ')} only`
+        : 'without running any dry compound';
+      violations.push(`Dry race finished ${ran} - ${this.ruleset.requiredDryCompounds} different dry compounds are required`);
+    }
+    return { legal: violations.length === 0, violations };
+  }
+}
+
+module.exports = { SportingRegulations, DRY_COMPOUNDS, WET_COMPOUNDS, DEFAULT_RULESET };
@@ -0,0 +1,312 @@
+/**
+ * Strategy Advisor Module
+ * Interchangeable strategist backends behind a common decide(context) interface
+ */
+
+const { Mistral } = require('@mistralai/mistralai');
+const PitStopAnalyzer = require('./pit_stop_analyzer');
+const TireStrategy = require('./tire_strategy');
+const SeededRandom = require('./seeded_random');
+const { buildStrategyPrompt } = require('./strategy_prompt');
+const { validateAdvisorResponse } = require('./strategy_schema');
+const { DEFAULT_CIRCUIT } = require('./circuit_registry');
+const DecisionAuditLog = require('./decision_audit_log');
+const { DRIVER_MODES, MAX_MODE_LAPS } = require('./driver_modes');
+
+const DEFAULT_MOCK_URL = 'http://127.0.0.1:8787';
+
+/**
+ * Extract the decision object from a raw model response
+ * Tries strict JSON first, then the first {...} block in the text
+ */
+function parseAdvisorResponse(content) {
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    const match = String(content).match(/\{[\s\S]*\}/);
+    if (!match) throw new Error(`No JSON object in strategist response: ${err.message}`);
+    return JSON.parse(match[0]);
+  }
+}
+
+/**
+ * Validate a parsed response against the strategy schema and normalize it into the
+ * decision shape every advisor returns:
+ * { advisor, decision, confidence, reasoning, tireRecommendation, driverMode, modeLaps, raw, prompt }
+ * driverMode and modeLaps are null when the strategist leaves the mode to the engine.
+ * Throws StrategyResponseError for invalid enum values or an out-of-range confidence.
+ */
+function normalizeDecision(advisorName, parsed, raw, prompt = null) {
+  validateAdvisorResponse(parsed);
+  return {
+    advisor: advisorName,
+    decision: parsed.decision,
+    confidence: parsed.confidence,
+    reasoning: parsed.reasoning || parsed.Reasoning || 'No reasoning provided by agent.',
+    tireRecommendation: parsed.tireRecommendation,
+    driverMode: parsed.driverMode || null,
+    modeLaps: parsed.driverMode ? parsed.modeLaps || null : null,
+    raw,
+    prompt
+  };
+}
+
+/**
+ * Base class - every advisor resolves decide(context) to a normalized decision
+ */
+class StrategyAdvisor {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async decide(context) {
+    throw new Error(`${this.name} advisor does not implement decide()`);
+  }
+}
+
+/**
+ * Mistral chat API advisor
+ * Pass `serverURL` to talk to anything that speaks the Mistral chat API (e.g. the mock server)
+ */
+class MistralAdvisor extends StrategyAdvisor {
+  constructor({ apiKey, serverURL, model = 'mistral-large-latest', retries = 2, retryDelayMs = 1000, name = 'mistral' } = {}) {
+    super(name);
+    this.client = new Mistral(serverURL ? { apiKey, serverURL } : { apiKey });
+    this.model = model;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  async complete(prompt) {
+    for (let i = 0; i <= this.retries; i++) {
+      try {
+        return await this.client.chat.complete({
+          model: this.model,
+          messages: [{ role: 'system', content: prompt }],
+          responseFormat: { type: 'json_object' }
+        });
+      } catch (err) {
+        if (i === this.retries) throw err;
+        // Wait a moment before retrying if fetch failed
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+      }
+    }
+  }
+
+  async decide(context) {
+    const prompt = buildStrategyPrompt(context);
+    let responseContent = null;
+    try {
+      const res = await this.complete(prompt);
+      responseContent = res.choices[0].message.content;
+      return normalizeDecision(this.name, parseAdvisorResponse(responseContent), responseContent, prompt);
+    } catch (err) {
+      // Keep what we sent and got back so the audit log can show why the call failed
+      err.prompt = prompt;
+      err.raw = responseContent;
+      throw err;
+    }
+  }
+}
+
+/**
+ * Deterministic offline advisor built on PitStopAnalyzer.analyzePitStrategy
+ */
+class RuleBasedAdvisor extends StrategyAdvisor {
+  constructor({
+    circuit = DEFAULT_CIRCUIT,
+    rng = new SeededRandom(), // pass one seeded from --seed for a reproducible strategist
+    pitStopAnalyzer = new PitStopAnalyzer(circuit, rng),
+    tireStrategy = new TireStrategy('ADVISOR', 'MEDIUM', 1, null, circuit)
+  } = {}) {
+    super('rules');
+    this.pitStopAnalyzer = pitStopAnalyzer;
+    this.tireStrategy = tireStrategy;
+  }
+
+  /**
+   * Pick the next compound: the faster tyre when the track has crossed over, the weather
+   * compound when wet, otherwise the softest legal dry compound (other than the current one)
+   * that can reach the flag
+   */
+  chooseCompound(lapsToGo, weatherCondition, currentCompound, legalCompounds = null, crossover = null) {
+    if (crossover && crossover.paysOff) {
+      return crossover.bestCompound;
+    }
+    if (weatherCondition !== 'DRY') {
+      return weatherCondition;
+    }
+
+    const candidates = ['SOFT', 'MEDIUM', 'HARD'].filter(c => c !== currentCompound && (!legalCompounds || legalCompounds.includes(c)));
+    const canFinish = candidates.find(c => this.tireStrategy.getMaxLaps(c) * 0.9 >= lapsToGo);
+    return canFinish || candidates[candidates.length - 1];
+  }
+
+  async decide(context) {
+    const { lap, totalLaps, tireCompound, tireAge, maxTireAge, cliffProb, position, gapToLeader, fuelStatus, weather, regulations, trackStatus, crossover } = context;
+    // Wear-equivalent laps after driver modes; older contexts only have the age
+    const tyreLife = context.tyreLife !== undefined ? context.tyreLife : tireAge;
+
+    const analysis = this.pitStopAnalyzer.analyzePitStrategy({
+      lap,
+      currentPosition: position,
+      gapToLeader,
+      cliffProb,
+      fuel: parseFloat(fuelStatus.currentFuel),
+      fuelPerLap: parseFloat(fuelStatus.avgConsumption),
+      weather: weather.condition,
+      lapsSincePit: tireAge,
+      tireAge: tyreLife,
+      maxTireAge,
+      trackStatus: trackStatus ? trackStatus.status : 'GREEN',
+      crossover,
+      refuelling: regulations ? regulations.refuelling : false
+    });
+
+    const lapsToGo = totalLaps - lap;
+    const tireFailing = tyreLife >= maxTireAge * 0.99;
+    let box = analysis.shouldPit || analysis.tireUrgency >= 7;
+    const reasons = analysis.reason.length > 0 ? [...analysis.reason] : ['Tires within operating window'];
+
+    // Avoid pit stops if only a few laps are remaining in the race
+    if (box && lapsToGo <= 2 && !tireFailing) {
+      box = false;
+      reasons.push(`Only ${lapsToGo} laps remaining - not worth the stop`);
+    }
+
+    // Tyres that can't quite reach the flag: stay out and manage them when that stretches them far
+    // enough - not when they are already falling off, the track wants another tyre or a stop is still owed
+    const lifeLeft = maxTireAge - tyreLife;
+    const manageToFlag = lapsToGo > lifeLeft && lapsToGo <= lifeLeft / DRIVER_MODES.TYRE_SAVE.wearFactor &&
+      cliffProb < 0.5 && !(crossover && crossover.paysOff) && Boolean(regulations && regulations.satisfied);
+    if (manageToFlag) {
+      box = false;
+      reasons.push(`Managing tyres for ${Math.min(lapsToGo, MAX_MODE_LAPS)} laps reaches the flag without a stop`);
+    }
+
+    // Cover a car behind that is about to undercut us - only when a stop is still needed, the tyres
+    // are past half life and boxing first keeps us ahead
+    const threat = context.undercutThreat;
+    const stopOwed = lapsToGo > lifeLeft || Boolean(regulations && regulations.satisfied === false);
+    const cover = !box && !manageToFlag && Boolean(threat) && threat.undercutMargin > 0 && stopOwed &&
+      tyreLife >= maxTireAge * 0.5 && lapsToGo > 5;
+    if (cover) {
+      box = true;
+      reasons.push(`Covering ${threat.driver}'s expected stop on lap ${threat.nextPitLap} - boxing first keeps us ${threat.undercutMargin.toFixed(1)}s ahead`);
+    }
+
+    // Being on the wrong tyre for the track is as pressing as worn tyres - and so is a rival about to undercut us
+    let boxUrgency = crossover && crossover.paysOff ? Math.max(analysis.tireUrgency, analysis.strategyUrgency) : analysis.tireUrgency;
+    if (cover) boxUrgency = Math.max(boxUrgency, 4);
+    const parsed = {
+      decision: box ? 'BOX' : 'STAY',
+      confidence: Math.round(100 * (box
+        ? Math.min(0.95, 0.55 + boxUrgency * 0.04)
+        : Math.min(0.95, 0.6 + (10 - analysis.totalUrgency) * 0.035))) / 100,
+      reasoning: `Urgency ${analysis.totalUrgency}/10. ${reasons.join('; ')}.`,
+      tireRecommendation: this.chooseCompound(lapsToGo, weather.condition, tireCompound, regulations ? regulations.legalCompounds : null, crossover)
+    };
+    if (manageToFlag) {
+      parsed.driverMode = 'TYRE_SAVE';
+      parsed.modeLaps = Math.min(lapsToGo, MAX_MODE_LAPS);
+    }
+
+    return normalizeDecision(this.name, parsed, JSON.stringify(parsed));
+  }
+}
+
+/**
+ * Offline advisor that answers from a decision audit log instead of calling the API.
+ * Recorded responses go through the same parser as live ones; a recorded failure is thrown again.
+ * Replay with the recorded seed and circuit so the same laps ask for a decision.
+ */
+class ReplayAdvisor extends StrategyAdvisor {
+  constructor({ auditLog }) {
+    super('replay');
+    this.file = auditLog;
+    this.log = DecisionAuditLog.read(auditLog);
+    this.responses = new Map(
+      this.log.decisions
+        .filter(record => record.type === 'advisor' || record.type === 'error')
+        .map(record => [record.lap, record])
+    );
+    this.recordedAdvisor = this.log.race ? this.log.race.advisor : null;
+  }
+
+  async decide(context) {
+    const record = this.responses.get(context.lap);
+    if (!record) {
+      throw new Error(`No recorded strategist call for lap ${context.lap} in ${this.file}`);
+    }
+    if (record.response === null) {
+      throw new Error(record.error || `Recorded call for lap ${context.lap} has no response`);
+    }
+
+    // A prompt that differs from the recording means the race has diverged from it
+    const prompt = record.prompt ? buildStrategyPrompt(context) : null;
+    const decision = normalizeDecision(this.name, parseAdvisorResponse(record.response), record.response, prompt);
+    decision.replayDiverged = prompt !== null && prompt !== record.prompt;
+    return decision;
+  }
+}
+
+/**
+ * Remembers another advisor's answer for every lap it is asked about, so re-running the race
+ * (a seek) replays the strategist instead of calling it again. A failed call is replayed as
+ * the same failure. The same seed asks the same laps, so the cache follows the race.
+ */
+class CachedAdvisor extends StrategyAdvisor {
+  constructor(advisor) {
+    super(advisor.name);
+    this.advisor = advisor;
+    this.responses = new Map(); // lap -> Promise<decision>
+  }
+
+  async decide(context) {
+    if (!this.responses.has(context.lap)) {
+      this.responses.set(context.lap, this.advisor.decide(context));
+    }
+    return { ...await this.responses.get(context.lap) };
+  }
+}
+
+/**
+ * Advisor factory
+ * type: 'mistral' | 'rules' | 'mock' | 'replay'
+ */
+function createAdvisor(type, options = {}) {
+  switch (type) {
+    case 'mistral':
+      if (!options.apiKey) {
+        throw new Error('MISTRAL_API_KEY is required for the mistral advisor');
+      }
+      return new MistralAdvisor({ apiKey: options.apiKey, serverURL: options.serverURL });
+    case 'mock':
+      return new MistralAdvisor({
+        name: 'mock',
+        apiKey: options.apiKey || 'mock-key',
+        serverURL: options.serverURL || DEFAULT_MOCK_URL,
+        retries: 0
+      });
+    case 'rules':
+      return new RuleBasedAdvisor(options);
+    case 'replay':
+      if (!options.replayLog) {
+        throw new Error('An audit log (--replay=<file>) is required for the replay advisor');
+      }
+      return new ReplayAdvisor({ auditLog: options.replayLog });
+    default:
+      throw new Error(`Unknown strategy advisor: ${type}`);
+  }
+}
+
+module.exports = {
+  StrategyAdvisor,
+  MistralAdvisor,
+  RuleBasedAdvisor,
+  ReplayAdvisor,
+  CachedAdvisor,
+  createAdvisor,
+  parseAdvisorResponse,
+  DEFAULT_MOCK_URL
+};
@@ -0,0 +1,63 @@
+/**
+ * Strategy Guardrails Module
+ * Overrides strategist calls that are unsafe whatever the model thinks:
+ *   WET_SLICKS      slicks recommended on a track the regulations don't allow them on (INTERMEDIATE / WET / EXTREME_WET)
+ *   MANDATORY_STOP  staying out on tyres TireStrategy says must come off
+ *   LATE_STOP       boxing with 2 laps or fewer to go (unless the stop is mandatory)
+ */
+
+const TireStrategy = require('./tire_strategy');
+const { SportingRegulations, DRY_COMPOUNDS } = require('./sporting_regulations');
+
+const LATE_STOP_LAPS = 2;
+
+class StrategyGuardrails {
+  /**
+   * @param {TireStrategy} [tireStrategy] - tyre life tables for MANDATORY_STOP
+   * @param {SportingRegulations} [regulations] - the compounds allowed per track condition, as listed in the prompt
+   */
+  constructor(tireStrategy = new TireStrategy('GUARDRAILS', 'MEDIUM'), regulations = new SportingRegulations()) {
+    this.tireStrategy = tireStrategy;
+    this.regulations = regulations;
+  }
+
+  /**
+   * Apply every guardrail to a normalized decision
+   * @param {Object} decision - { decision, confidence, reasoning, tireRecommendation, ... }
+   * @param {Object} context - the decision context the strategist was given
+   * @returns {{ decision: Object, overrides: Object[] }} corrected copy and one
+   *          { rule, field, from, to, reason } entry per override
+   */
+  review(decision, context) {
+    const reviewed = { ...decision };
+    const overrides = [];
+    const override = (rule, field, to, reason) => {
+      overrides.push({ rule, field, from: reviewed[field], to, reason });
+      reviewed[field] = to;
+    };
+
+    const { lap, totalLaps, tireCompound, tireAge, weather } = context;
+    const lapsToGo = totalLaps - lap;
+    // Wear-equivalent laps after driver modes, when the context has them
+    const tyreLife = context.tyreLife !== undefined ? context.tyreLife : tireAge;
+    const mandatory = this.tireStrategy.isPitStopMandatory(tyreLife, tireCompound);
+
+    if (DRY_COMPOUNDS.includes(reviewed.tireRecommendation) &&
+        !this.regulations.getLegalCompounds(weather.condition).includes(reviewed.tireRecommendation)) {
+      override('WET_SLICKS', 'tireRecommendation', weather.recommendedTireCompound,
+        `${reviewed.tireRecommendation} slicks on a ${weather.condition} track - fitting ${weather.recommendedTireCompound} instead`);
+    }
+
+    if (mandatory && reviewed.decision !== 'BOX') {
+      override('MANDATORY_STOP', 'decision', 'BOX',
+        `${tireCompound} tyres at ${Number(tyreLife.toFixed(1))}/${this.tireStrategy.getMaxLaps(tireCompound)} laps must come off`);
+    } else if (!mandatory && reviewed.decision === 'BOX' && lapsToGo <= LATE_STOP_LAPS) {
+      override('LATE_STOP', 'decision', 'STAY',
+        `Only ${lapsToGo} lap${lapsToGo === 1 ? '' : 's'} to go - a stop can't pay back its time loss`);
+    }
+
+    return { decision: reviewed, overrides };
+  }
+}
+
+module.exports = StrategyGuardrails;
@@ -0,0 +1,296 @@
+/**
+ * Strategy Optimizer Module
+ * Monte Carlo pre-race strategy optimizer: enumerates legal 1-, 2- and 3-stop plans,
+ * finds each plan's pit-lap windows and ranks them by expected race time and variance.
+ *
+ * Usage: node strategy_optimizer.js [--circuit=spa] [--seed=<n>] [--iterations=2000] [--laps=<n>] [--top=10]
+ */
+
+const TireStrategy = require('./tire_strategy');
+const PitStopAnalyzer = require('./pit_stop_analyzer');
+const SeededRandom = require('./seeded_random');
+const { loadCircuit } = require('./circuit_registry');
+const { SportingRegulations, DRY_COMPOUNDS } = require('./sporting_regulations');
+const { TyreAllocation } = require('./tyre_allocation');
+
+class StrategyOptimizer {
+  constructor({
+    circuit = loadCircuit(),
+    raceLength = circuit.laps,
+    baseLapTime = circuit.typicalLapTime, // seconds - clean-air lap on Mediums
+    wearRate = 0.045 * circuit.tyreSeverity, // seconds of wear per lap before the age curve multiplier
+    wearRateSpread = 0.15,   // relative std-dev of the wear rate between simulated races
+    lapTimeNoise = 0.3,      // seconds std-dev per lap
+    pitLossNoise = 1.5,      // seconds std-dev per stop
+    minStintLaps = 5,
+    windowStep = 1,          // pit-lap granularity when enumerating plans
+    windowTolerance = 2.0,   // seconds - pit laps within this of the best plan form the window
+    rng = new SeededRandom(),
+    tireStrategy = new TireStrategy('OPTIMIZER', 'MEDIUM', 1, null, circuit),
+    pitStopAnalyzer = new PitStopAnalyzer(circuit, rng),
+    regulations = new SportingRegulations(),
+    allocation = new TyreAllocation({ sets: regulations.ruleset.tyreAllocation }) // null plans with unlimited new sets
+  } = {}) {
+    this.circuit = circuit;
+    this.raceLength = raceLength;
+    this.baseLapTime = baseLapTime;
+    this.wearRate = wearRate;
+    this.wearRateSpread = wearRateSpread;
+    this.lapTimeNoise = lapTimeNoise;
+    this.pitLossNoise = pitLossNoise;
+    this.minStintLaps = minStintLaps;
+    this.windowStep = windowStep;
+    this.windowTolerance = windowTolerance;
+    this.tireStrategy = tireStrategy;
+    this.pitStopAnalyzer = pitStopAnalyzer;
+    this.regulations = regulations;
+    this.allocation = allocation;
+    this.rng = rng;
+    this.stintCache = new Map();
+  }
+
+  /**
+   * Compound sequences for 1-3 stops that finish legally under the sporting regulations
+   * (a dry race must use at least two different compounds).
+   */
+  enumerateCompoundSequences(maxStops = 3, compounds = DRY_COMPOUNDS) {
+    const sequences = [];
+    const build = (sequence, length) => {
+      if (sequence.length === length) {
+        if (this.regulations.checkFinishingStrategy(sequence).legal) sequences.push([...sequence]);
+        return;
+      }
+      compounds.forEach(c => build([...sequence, c], length));
+    };
+
+    for (let stops = 1; stops <= maxStops; stops++) {
+      build([], stops + 1);
+    }
+    return sequences;
+  }
+
+  /**
+   * Laps already on the set each stint would use, freshest sets first - null when the
+   * allocation doesn't have a usable set for every stint
+   */
+  planSets(compounds) {
+    if (!this.allocation) return compounds.map(() => 0);
+    return this.allocation.planSets(compounds, compound => this.tireStrategy.getMaxLaps(compound));
+  }
+
+  /**
+   * Every pit-lap combination where each stint fits between minStintLaps and the life left on its set
+   */
+  enumeratePitLaps(compounds, startAges = compounds.map(() => 0)) {
+    const plans = [];
+    const build = (pitLaps, lastPit, stintIndex) => {
+      const compound = compounds[stintIndex];
+      const maxLaps = this.tireStrategy.getMaxLaps(compound) - startAges[stintIndex];
+
+      if (stintIndex === compounds.length - 1) {
+        const finalStint = this.raceLength - lastPit;
+        if (finalStint >= this.minStintLaps && finalStint <= maxLaps) plans.push([...pitLaps]);
+        return;
+      }
+
+      for (let lap = lastPit + this.minStintLaps; lap <= Math.min(lastPit + maxLaps, this.raceLength - this.minStintLaps); lap += this.windowStep) {
+        build([...pitLaps, lap], lap, stintIndex + 1);
+      }
+    };
+
+    build([], 0, 0);
+    return plans;
+  }
+
+  /**
+   * Noise-free time for one stint: compound pace plus accumulated wear shaped by the age curve
+   */
+  expectedStintTime(compound, laps, startAge = 0) {
+    const key = `${compound}:${laps}:${startAge}`;
+    if (!this.stintCache.has(key)) {
+      this.stintCache.set(key, this.simulateStint(compound, laps, this.wearRate, 0, startAge));
+    }
+    return this.stintCache.get(key);
+  }
+
+  simulateStint(compound, laps, wearRate, lapNoise, startAge = 0) {
+    const pace = this.tireStrategy.getCompoundPaceAdvantage(compound);
+    let wear = 0;
+    let total = 0;
+
+    // A used set is further along the age curve from its first lap
+    for (let age = startAge + 1; age <= startAge + laps; age++) {
+      wear += wearRate * this.tireStrategy.getDegradationCurveMultiplier(age, compound);
+      const noise = lapNoise > 0 ? this.rng.gaussian(0, lapNoise) : 0;
+      total += this.baseLapTime + pace + wear + noise;
+    }
+    return total;
+  }
+
+  stintLengths(pitLaps) {
+    const boundaries = [0, ...pitLaps, this.raceLength];
+    return boundaries.slice(1).map((lap, i) => lap - boundaries[i]);
+  }
+
+  expectedRaceTime(compounds, pitLaps, startAges = compounds.map(() => 0)) {
+    const pitLoss = this.pitStopAnalyzer.calculateTimeLoss(this.baseLapTime);
+    return this.stintLengths(pitLaps).reduce((sum, laps, i) => sum + this.expectedStintTime(compounds[i], laps, startAges[i]), 0)
+      + pitLaps.length * pitLoss;
+  }
+
+  /**
+   * One noisy race: the whole race shares a sampled wear rate, each lap and stop gets its own noise
+   */
+  sampleRaceTime(compounds, pitLaps, startAges = compounds.map(() => 0)) {
+    const pitLoss = this.pitStopAnalyzer.calculateTimeLoss(this.baseLapTime);
+    const wearRate = Math.max(0, this.wearRate * (1 + this.rng.gaussian(0, this.wearRateSpread)));
+
+    let total = 0;
+    this.stintLengths(pitLaps).forEach((laps, i) => {
+      total += this.simulateStint(compounds[i], laps, wearRate, this.lapTimeNoise, startAges[i]);
+    });
+    for (let i = 0; i < pitLaps.length; i++) {
+      total += pitLoss + this.rng.gaussian(0, this.pitLossNoise);
+    }
+    return total;
+  }
+
+  /**
+   * Best pit laps for a compound sequence, plus the window of laps for each stop
+   * that stays within windowTolerance of the best expected time.
+   * Null when the sequence can't be run with the sets in the allocation.
+   */
+  findPitWindows(compounds) {
+    const startAges = this.planSets(compounds);
+    if (!startAges) return null;
+
+    const plans = this.enumeratePitLaps(compounds, startAges).map(pitLaps => ({
+      pitLaps,
+      expectedTime: this.expectedRaceTime(compounds, pitLaps, startAges)
+    }));
+    if (plans.length === 0) return null;
+
+    plans.sort((a, b) => a.expectedTime - b.expectedTime);
+    const best = plans[0];
+    const nearBest = plans.filter(p => p.expectedTime - best.expectedTime <= this.windowTolerance);
+
+    const pitWindows = best.pitLaps.map((_, stop) => {
+      const laps = nearBest.map(p => p.pitLaps[stop]);
+      return { from: Math.min(...laps), to: Math.max(...laps) };
+    });
+
+    return { compounds, startAges, pitLaps: best.pitLaps, expectedTime: best.expectedTime, pitWindows };
+  }
+
+  summarize(samples, bins) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    // Sample variance - a single run has no spread
+    const variance = n < 2 ? 0 : sorted.reduce((acc, t) => acc + (t - mean) ** 2, 0) / (n - 1);
+    const percentile = p => sorted[Math.min(n - 1, Math.floor(p * n))];
+
+    const min = sorted[0];
+    const binWidth = Math.max((sorted[n - 1] - min) / bins, 1e-9);
+    const counts = new Array(bins).fill(0);
+    sorted.forEach(t => {
+      counts[Math.min(bins - 1, Math.floor((t - min) / binWidth))]++;
+    });
+
+    return {
+      meanTime: mean,
+      variance,
+      stdDev: Math.sqrt(variance),
+      min,
+      max: sorted[n - 1],
+      p10: percentile(0.10),
+      p50: percentile(0.50),
+      p90: percentile(0.90),
+      histogram: { start: min, binWidth, counts }
+    };
+  }
+
+  /**
+   * Rank strategies by expected race time.
+   * Every legal compound sequence gets its best pit laps; the `candidates` fastest
+   * plans are then raced `iterations` times with noise.
+   */
+  optimize({ maxStops = 3, iterations = 2000, candidates = 15, bins = 12 } = {}) {
+    const plans = this.enumerateCompoundSequences(maxStops)
+      .map(compounds => this.findPitWindows(compounds))
+      .filter(Boolean)
+      .sort((a, b) => a.expectedTime - b.expectedTime)
+      .slice(0, candidates);
+
+    const ranked = plans.map(plan => {
+      const samples = [];
+      for (let i = 0; i < iterations; i++) {
+        samples.push(this.sampleRaceTime(plan.compounds, plan.pitLaps, plan.startAges));
+      }
+      return {
+        ...plan,
+        stops: plan.pitLaps.length,
+        label: StrategyOptimizer.describe(plan.compounds, this.stintLengths(plan.pitLaps)),
+        ...this.summarize(samples, bins)
+      };
+    });
+
+    ranked.sort((a, b) => a.meanTime - b.meanTime || a.variance - b.variance);
+    return ranked.map((strategy, index) => ({ rank: index + 1, ...strategy }));
+  }
+
+  static describe(compounds, stintLengths) {
+    return compounds.map((c, i) => `${c[0]}(${stintLengths[i]})`).join(' → ');
+  }
+}
+
+function formatRaceTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+if (require.main === module) {
+  const { getOption, getCircuit } = require('./race_options');
+  // --name=<n> as a whole number of at least 1
+  const positiveIntegerOption = (name, fallback) => {
+    const value = getOption(name);
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value.trim()) || parseInt(value, 10) < 1) {
+      console.error(`--${name} must be a positive whole number, got ${JSON.stringify(value)}`);
+      process.exit(1);
+    }
+    return parseInt(value, 10);
+  };
+
+  const circuit = getCircuit();
+  const rng = new SeededRandom(getOption('seed', 'RACE_SEED'));
+  const iterations = positiveIntegerOption('iterations', 2000);
+  const top = positiveIntegerOption('top', 10);
+  const optimizer = new StrategyOptimizer({ circuit, raceLength: positiveIntegerOption('laps', circuit.laps), rng });
+
+  const ranked = optimizer.optimize({ iterations });
+  if (ranked.length === 0) {
+    console.error(`No feasible strategy for ${optimizer.raceLength} laps at ${circuit.name} - every plan breaks the stint, tyre or compound rules`);
+    process.exit(1);
+  }
+  const best = ranked[0].meanTime;
+
+  console.log(`=== PRE-RACE STRATEGY OPTIMIZER: ${circuit.name} (${optimizer.raceLength} laps, ${iterations} runs/plan, seed ${rng.seed}) ===\n`);
+  ranked.slice(0, top).forEach(s => {
+    const windows = s.pitWindows.map(w => (w.from === w.to ? `L${w.from}` : `L${w.from}-${w.to}`)).join(', ');
+    console.log(`#${String(s.rank).padEnd(2)} ${s.label.padEnd(34)} ${s.stops}-stop | ` +
+                `mean ${formatRaceTime(s.meanTime)} (+${(s.meanTime - best).toFixed(1)}s) | ` +
+                `σ ${s.stdDev.toFixed(2)}s | P10-P90 ${formatRaceTime(s.p10)}-${formatRaceTime(s.p90)}`);
+    console.log(`    Pit windows: ${windows}`);
+    console.log(`    Tyre sets: ${s.compounds.map((c, i) => `${c} ${s.startAges[i] > 0 ? `(used, ${s.startAges[i]} laps)` : '(new)'}`).join(' → ')}`);
+
+    const peak = Math.max(...s.histogram.counts);
+    s.histogram.counts.forEach((count, i) => {
+      const from = s.histogram.start + i * s.histogram.binWidth;
+      console.log(`    ${formatRaceTime(from)} ${'█'.repeat(Math.round((count / peak) * 30))} ${count}`);
+    });
+    console.log('');
+  });
+}
+
+module.exports = StrategyOptimizer;
@@ -0,0 +1,223 @@
+/**
+ * Strategy Prompt Module
+ * Builds the race strategist prompt from a decision context
+ */
+
+const { CROSSOVERS } = require('./track_wetness');
+const { DRIVER_MODES, MAX_MODE_LAPS } = require('./driver_modes');
+
+/**
+ * Build the strategist prompt.
+ * `context` is the decision context RaceSimulator.buildDecisionContext assembles on each strategy check:
+ * lap, totalLaps, circuit, compoundMaxLaps, tireCompound, tireAge, tyreLife, driverMode, maxTireAge, tireWearStatus, degradationMultiplier,
+ * cliffProb, wear, pitStopCount, position, gapToLeader, pitImpact, fuelStatus, fuelPlan,
+ * lapsRemaining, weather, forecast, crossover, trackStatus, regulations, tyreSets, undercut, battle, rivalStrategies,
+ * undercutThreat and pitAnalysis.
+ */
+function buildStrategyPrompt(context) {
+  const {
+    lap,
+    totalLaps,
+    circuit,
+    compoundMaxLaps,
+    tireCompound,
+    tireAge,
+    tyreLife = tireAge,
+    driverMode,
+    maxTireAge,
+    tireWearStatus,
+    degradationMultiplier,
+    cliffProb,
+    wear,
+    pitStopCount,
+    position,
+    gapToLeader,
+    pitImpact,
+    fuelStatus,
+    fuelPlan,
+    lapsRemaining,
+    weather,
+    forecast,
+    crossover,
+    trackStatus,
+    regulations,
+    tyreSets,
+    undercut,
+    battle = null,
+    rivalStrategies = [],
+    undercutThreat = null,
+    pitAnalysis
+  } = context;
+
+  const timeLossStr = `${pitImpact.timeLossSeconds}s (~${pitImpact.positionsLost} positions)`;
+  const compoundRule = regulations.wetRace
+    ? 'waived (wet-weather tyres used)'
+    : regulations.satisfied
+      ? `met (${regulations.dryCompoundsUsed.join(' + ')})`
+      : `NOT MET - used ${regulations.dryCompoundsUsed.join(', ')} only, must still fit ${regulations.stillNeeded.join(' or ')} before the flag`;
+  const setsLeft = tyreSets
+    ? Object.entries(tyreSets)
+      .filter(([, sets]) => sets.new + sets.used > 0)
+      .map(([compound, sets]) => `${compound} ${sets.new} new${sets.used > 0 ? ` + ${sets.used} used (freshest ${sets.freshestUsedLaps} laps old)` : ''}`)
+      .join(', ')
+    : 'unlimited';
+  const { liftAndCoast } = fuelPlan;
+  const fuelPlanLine = !fuelPlan.needToSave
+    ? `- Fuel plan: burn up to ${fuelPlan.requiredConsumption}kg/lap to finish with the ${fuelPlan.reserve}kg reserve (${fuelPlan.margin}kg spare at the current burn)`
+    : liftAndCoast.feasible
+      ? `- LIFT AND COAST: ${(-parseFloat(fuelPlan.margin)).toFixed(2)}kg short of the flag - save ${liftAndCoast.savingPerLap.toFixed(3)}kg/lap for ${liftAndCoast.laps} laps (~${liftAndCoast.timeCostPerLap.toFixed(2)}s/lap, ${liftAndCoast.timeCost.toFixed(1)}s total)`
+      : fuelPlan.recommendation === 'REFUEL'
+        ? `- REFUEL: ${(-parseFloat(fuelPlan.margin)).toFixed(2)}kg short of the flag - more than lift and coast can save, the next stop has to add fuel`
+        : `- CANNOT FINISH: ${(-parseFloat(fuelPlan.margin)).toFixed(2)}kg short of the flag - more than lift and coast can save`;
+  const crossoverLine = crossover && crossover.paysOff
+    ? `- CROSSOVER: ${crossover.bestCompound} is ${crossover.gainPerLap.toFixed(1)}s/lap faster than ${crossover.compound} at ${Math.round(crossover.wetness * 100)}% wetness - switching pays back the stop in ${crossover.lapsToPayBack} laps`
+    : `- Crossover: ${tireCompound} is the right tyre for this track`;
+  // Against a car ahead the swap has to gain the place; against a car behind it has to keep it
+  const swapLine = (name, swap, rivalAhead) => {
+    const pace = `${swap.gainPerLap >= 0 ? '+' : ''}${swap.gainPerLap.toFixed(1)}s/lap`;
+    if (rivalAhead) {
+      return swap.works
+        ? `${name} WORKS: ahead by ${swap.margin.toFixed(1)}s after ${swap.lapsNeeded} of ${swap.laps} lap(s) (${pace})`
+        : `${name} fails: still ${(-swap.margin).toFixed(1)}s behind after ${swap.laps} lap(s) (${pace})`;
+    }
+    return swap.works
+      ? `${name} holds the place by ${swap.margin.toFixed(1)}s over ${swap.laps} lap(s) (${pace})`
+      : `${name} LOSES the place by ${(-swap.margin).toFixed(1)}s over ${swap.laps} lap(s) (${pace})`;
+  };
+  const undercutLines = undercut.length > 0
+    ? undercut.map(r => `- ${r.gap > 0 ? 'Ahead' : 'Behind'}: P${r.position} ${r.code} ${r.gap > 0 ? '+' : ''}${r.gap.toFixed(1)}s on ${r.compound} (${r.tireAge} laps old) -> ` +
+      `${swapLine('undercut', r.undercut, r.gap > 0)} | ${swapLine('overcut', r.overcut, r.gap > 0)}`).join('\n')
+    : `- No rival within one pit loss (${pitImpact.timeLossSeconds}s) of us - no position to win or lose in the pit window`;
+  const fightLine = (side, fight, threat) => {
+    if (!fight) return `- Car ${side}: none`;
+    const range = fight.inDrs
+      ? `IN DRS RANGE${fight.battle ? `, battling for ${fight.lapsInRange} laps` : ''}`
+      : battle.drsEnabled ? 'out of DRS range' : 'DRS disabled';
+    const trend = Math.abs(fight.closingRate) < 0.05
+      ? 'holding station'
+      : fight.closingRate > 0
+        ? `closing ${fight.closingRate.toFixed(2)}s/lap${!fight.inDrs && fight.lapsToDrs !== null && fight.lapsToDrs <= 10 ? ` (DRS range in ~${Math.ceil(fight.lapsToDrs)} laps)` : ''}`
+        : `dropping back ${(-fight.closingRate).toFixed(2)}s/lap`;
+    return `- Car ${side}: P${fight.position} ${fight.driver} ${fight.interval.toFixed(2)}s - ${range}, ${trend} -> ${side === 'ahead' ? 'attack' : 'defend'} threat ${threat}`;
+  };
+  const battleLines = battle
+    ? [
+      fightLine('ahead', battle.ahead, battle.attack),
+      fightLine('behind', battle.behind, battle.defend),
+      `- Battles on track: ${battle.battles.length > 0
+        ? battle.battles.map(b => `P${b.position} ${b.attacker} on ${b.defender} (${b.interval.toFixed(2)}s, ${b.laps} laps)`).join(', ')
+        : 'none'}`
+    ].join('\n')
+    : '- No interval data yet';
+  const rivalLines = rivalStrategies.length > 0
+    ? rivalStrategies.map(r => `- P${r.position} ${r.driver} (${r.gap < 0 ? '' : '+'}${r.gap.toFixed(1)}s): ${r.compound} ${r.tireAge} laps old, ${r.pitstops} stop(s) made - likely ${r.label}, ` +
+      (r.nextPitLap !== null
+        ? `next stop ~L${r.nextPitLap} (window L${r.pitWindow.open}-${r.pitWindow.close}) for ${r.nextCompound}`
+        : 'no further stop expected')).join('\n')
+    : '- No rival data yet';
+  const threatLine = undercutThreat
+    ? `- UNDERCUT THREAT: ${undercutThreat.driver} (P${undercutThreat.position}, ${undercutThreat.gap.toFixed(1)}s behind) is expected to box on lap ${undercutThreat.nextPitLap} - ` +
+      `stopping first would put them ${(-undercutThreat.overcutMargin).toFixed(2)}s ahead; boxing before them leaves us ${Math.abs(undercutThreat.undercutMargin).toFixed(2)}s ${undercutThreat.undercutMargin >= 0 ? 'ahead' : 'behind'}`
+    : '- No undercut threat from the cars just behind';
+  const raceControl = trackStatus.status === 'GREEN'
+    ? '- TRACK STATUS: GREEN (racing)'
+    : `- TRACK STATUS: ${trackStatus.status} (${trackStatus.label} until lap ${trackStatus.endLap}, ${trackStatus.lapsRemaining} more lap(s) after this one)
+- CHEAP PIT STOP: the field is neutralised, a stop costs ~${Math.round((1 - trackStatus.pitLossFactor) * 100)}% less time than under green (already reflected in PIT IMPACT). Rivals will box too - if the tyres are past half life, this is the moment.`;
+
+  const modeLines = Object.entries(DRIVER_MODES)
+    .map(([mode, m]) => `- ${mode} (${m.label}): ${m.pace > 0 ? '+' : ''}${m.pace.toFixed(2)}s/lap, tyre wear x${m.wearFactor}, fuel burn x${m.fuelFactor}`)
+    .join('\n');
+  const currentMode = !driverMode
+    ? 'NORMAL'
+    : driverMode.source === 'strategist' && driverMode.lapsRemaining > 0
+      ? `${driverMode.mode} (your call, ${driverMode.lapsRemaining} more lap(s) after this one)`
+      : `${driverMode.mode} (${driverMode.source})`;
+
+  return `You are the lead race strategist for F1 Hamilton's team. Analyze race data and decide whether to box or stay out. Return JSON: {"decision": "BOX" or "STAY", "confidence": 0.0-1.0, "reasoning": "explanation", "tireRecommendation": one of the LEGAL TYRES listed under REGULATIONS}. Optionally add "driverMode" (one of the DRIVER MODES) and "modeLaps" (1-${MAX_MODE_LAPS}) to hold a mode for that many laps.
+
+CRITICAL F1 GAME THEORY (UNDERCUT & CROSSOVER) & STRATEGY RULES:
+- THE UNDERCUT: Pitting earlier than rivals (before tires completely fail) gives you faster fresh tires for a few laps. If the gap to the leader is small and Cliff > 45-55%, boxing EARLY is a powerful attacking move to jump ahead of competitors when they pit later.
+- DO NOT WAIT FOR COMPLETE FAILURE. If wear is rising, you are already losing 1-2 seconds per lap. Waiting until 80%+ cliff means you have already bled 10+ seconds of race time. Pitting earlier is often better to lock in a fast stint on fresh rubber.
+- PIT (BOX) if: (Cliff > 45-55% AND Undercut opportunity exists), OR Cliff Prob > 65% (preventing heavy time loss), OR degradation multiplier > 2.0, OR fuel critical.
+- STAY OUT if: Tire is FRESH (Cliff < 40%) and fuel adequate. Don't waste stops if tires aren't dropping off yet.
+- TIRE AGE MAX at ${circuit.name}: Softs ${compoundMaxLaps.SOFT} laps, Mediums ${compoundMaxLaps.MEDIUM} laps, Hards ${compoundMaxLaps.HARD} laps. Aim to pit around 60-75% of max lifespan for optimal pace.
+- Avoid pit stops if only a few laps are remaining in the race.
+
+EXAMPLES (FEW-SHOT CoT):
+Scenario 1: Laps on Mediums 16/28. Cliff 55%. Pos P2. Gap to Leader: 2.5s. Pit Impact: 24s.
+Reasoning: Tires aren't fully dead, but at 55% cliff they are bleeding time. The gap to the leader is only 2.5s. By pitting NOW for the Undercut, we get 2-3 seconds per lap advantage on fresh tires. When the leader pits in 2 laps, we will have jumped them. Do not wait for complete failure.
+Decision: {"decision": "BOX", "confidence": 0.95, "reasoning": "Cliff is 55% and we are close to the leader. Boxing early for the undercut will provide a massive pace advantage on fresh tires to jump P1.", "tireRecommendation": "HARD"}
+
+Scenario 2: Laps on Hards 10/40. Cliff 30%. Pos P4. Laps left 20. Pit Impact: 24s.
+Reasoning: Tires are extremely fresh. Pitting now wastes too much race time and sacrifices track position unnecessarily.
+Decision: {"decision": "STAY", "confidence": 0.90, "reasoning": "Tires are very fresh (30% cliff) and well within their lifespan. Staying out to maintain track position and optimal strategy.", "tireRecommendation": "HARD"}
+
+Scenario 3: Laps on Softs 14/18. Cliff 70%. Pos P1. Laps left 15. Pit Impact: 24s.
+Reasoning: Softs are degrading heavily and near max age. We are losing over 1s a lap. Waiting any longer will bleed too much time. Pit now before the time loss exceeds the 24s pit penalty.
+Decision: {"decision": "BOX", "confidence": 0.92, "reasoning": "Soft tires are dying (70% cliff). Pitting to stop the massive time bleed and switch to a more durable compound to finish the race strongly.", "tireRecommendation": "MEDIUM"}
+
+CIRCUIT: ${circuit.name} (${totalLaps} laps, pit stop costs ~${circuit.pitLossSeconds}s, tyre severity ${circuit.tyreSeverity.toFixed(2)}x)
+
+TELEMETRY (Lap ${lap} / ${totalLaps}):
+- Race Progress: ${Math.round((lap / totalLaps) * 100)}% complete (${totalLaps - lap} laps remaining)
+- Current Tires: ${tireCompound}
+- Laps on Current Tires: ${tireAge}/${maxTireAge}${tyreLife !== tireAge ? `, ${tyreLife} laps of wear after driver modes` : ''} (${Math.round((tyreLife / maxTireAge) * 100)}% of lifespan)
+- Tire Wear Status: ${tireWearStatus}
+- Degradation Curve Multiplier: ${degradationMultiplier.toFixed(2)}x (1.0=normal, 4.0+=critical cliff)
+- Cliff Probability: ${(cliffProb * 100).toFixed(1)}% (CRITICAL if >75%)
+- True Tire Wear: ${wear.toFixed(3)}s
+- Pit Stops Made: ${pitStopCount}
+
+POSITION & GAP:
+- Current Position: P${position} ${position <= 3 ? '🏆 PODIUM POSITION - PROTECT!' : ''}
+- Gap to Leader: ${gapToLeader.toFixed(3)}s
+- PIT IMPACT: Lose ${timeLossStr} → P${pitImpact.newPosition}
+
+BATTLES (DRS range under ${battle ? battle.drsRange : 1}s; attack = our chance on the car ahead, defend = the threat from behind):
+${battleLines}
+
+RACE CONTROL:
+${raceControl}
+
+FUEL SITUATION:
+- Fuel: ${fuelStatus.currentFuel}kg (${fuelStatus.percentage}%)
+- Laps Remaining: ${lapsRemaining}
+- Avg Consumption: ${fuelStatus.avgConsumption}kg/lap
+${fuelPlanLine}
+- Refuelling: ${regulations.refuelling ? 'allowed - a stop can top the car up' : 'banned - a pit stop cannot add fuel'}
+${fuelStatus.critical ? '⚠️  CRITICAL LOW FUEL' : fuelStatus.warning ? '⚠️  LOW FUEL' : '✓ Fuel OK'}
+
+DRIVER MODES (lap time against NORMAL; the mode holds for modeLaps from the next lap, then returns to NORMAL):
+- Current: ${currentMode}
+${modeLines}
+- Managing tyres can stretch a stint to the flag; pushing buys pace at the cost of tyre life. Everyone saves fuel behind the SC/VSC.
+
+WEATHER:
+- Current: ${weather.condition}
+- Grip: ${weather.gripLevel}
+- Recommended Compound: ${weather.recommendedTireCompound}
+${weather.riskFactors.length > 0 ? '- Risks: ' + weather.riskFactors.join(', ') : ''}
+- FORECAST: ${forecast.summary}
+- Rain probability by lap: ${forecast.timeline.slice(0, 10).map(entry => `L${entry.lap} ${Math.round(entry.rainProbability * 100)}%`).join(', ')}
+- Track wetness: ${Math.round(weather.wetness * 100)}% (crossovers: slicks→inters at ${Math.round(CROSSOVERS.SLICK_TO_INTERMEDIATE * 100)}%, inters→wets at ${Math.round(CROSSOVERS.INTERMEDIATE_TO_WET * 100)}%, wets→extremes at ${Math.round(CROSSOVERS.WET_TO_EXTREME_WET * 100)}%)
+${crossoverLine}
+
+UNDERCUT / OVERCUT (computed from each car's wear estimate, both cars on fresh ${undercut.length > 0 ? undercut[0].freshCompound : 'tyres'}):
+${undercutLines}
+- "undercut": we box now and the rival responds after the window; "overcut": the rival boxes now and we stay out. The margin is our lead once both have stopped.
+
+RIVAL STRATEGIES (inferred from each car's compound, stint age and stops; stint lengths learned from the stops seen so far):
+${rivalLines}
+${threatLine}
+
+REGULATIONS:
+- LEGAL TYRES: ${regulations.legalCompounds.join(', ')} (any other tireRecommendation is refused at the stop)
+- Tyre sets left: ${setsLeft} (a used set starts its stint with that age already on it)
+- Two dry compounds rule: ${compoundRule}
+
+STRATEGY ANALYSIS:
+- Total Pit Urgency: ${pitAnalysis.totalUrgency}/10
+- Reasons: ${pitAnalysis.reason.slice(0, 2).join('; ')}`;
+}
+
+module.exports = { buildStrategyPrompt };
@@ -0,0 +1,66 @@
+/**
+ * Strategy Response Schema Module
+ * Strict shape check for strategist responses - anything outside the schema is rejected, never guessed at
+ *
+ *   decision            'BOX' | 'STAY'
+ *   confidence          number, 0-1
+ *   reasoning           non-empty string (optional)
+ *   tireRecommendation  one of COMPOUNDS
+ *   driverMode          one of DRIVER_MODE_NAMES (optional)
+ *   modeLaps            integer, 1-MAX_MODE_LAPS (optional, with driverMode)
+ */
+
+const { DRIVER_MODES, MAX_MODE_LAPS } = require('./driver_modes');
+
+const DECISIONS = ['BOX', 'STAY'];
+const COMPOUNDS = ['SOFT', 'MEDIUM', 'HARD', 'INTERMEDIATE', 'WET', 'EXTREME_WET'];
+const DRIVER_MODE_NAMES = Object.keys(DRIVER_MODES);
+
+class StrategyResponseError extends Error {
+  /**
+   * @param {string[]} problems - one message per schema violation
+   */
+  constructor(problems) {
+    super(`Strategist response rejected: ${problems.join('; ')}`);
+    this.name = 'StrategyResponseError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check a parsed response against the schema; every violation is reported at once
+ * @returns {Object} the response, unchanged
+ * @throws {StrategyResponseError}
+ */
+function validateAdvisorResponse(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new StrategyResponseError([`expected a JSON object, got ${JSON.stringify(parsed)}`]);
+  }
+
+  const problems = [];
+  if (!DECISIONS.includes(parsed.decision)) {
+    problems.push(`decision must be one of ${DECISIONS.join(', ')}, got ${JSON.stringify(parsed.decision)}`);
+  }
+  if (typeof parsed.confidence !== 'number' || !(parsed.confidence >= 0 && parsed.confidence <= 1)) {
+    problems.push(`confidence must be a number from 0 to 1, got ${JSON.stringify(parsed.confidence)}`);
+  }
+  if (!COMPOUNDS.includes(parsed.tireRecommendation)) {
+    problems.push(`tireRecommendation must be one of ${COMPOUNDS.join(', ')}, got ${JSON.stringify(parsed.tireRecommendation)}`);
+  }
+  const reasoning = parsed.reasoning !== undefined ? parsed.reasoning : parsed.Reasoning;
+  if (reasoning !== undefined && (typeof reasoning !== 'string' || !reasoning.trim())) {
+    problems.push(`reasoning must be a non-empty string, got ${JSON.stringify(reasoning)}`);
+  }
+  if (parsed.driverMode !== undefined && parsed.driverMode !== null && !DRIVER_MODE_NAMES.includes(parsed.driverMode)) {
+    problems.push(`driverMode must be one of ${DRIVER_MODE_NAMES.join(', ')}, got ${JSON.stringify(parsed.driverMode)}`);
+  }
+  if (parsed.modeLaps !== undefined && parsed.modeLaps !== null &&
+      !(Number.isInteger(parsed.modeLaps) && parsed.modeLaps >= 1 && parsed.modeLaps <= MAX_MODE_LAPS)) {
+    problems.push(`modeLaps must be a whole number of laps from 1 to ${MAX_MODE_LAPS}, got ${JSON.stringify(parsed.modeLaps)}`);
+  }
+
+  if (problems.length > 0) throw new StrategyResponseError(problems);
+  return parsed;
+}
+
+module.exports = { validateAdvisorResponse, StrategyResponseError, DECISIONS, COMPOUNDS, DRIVER_MODE_NAMES };
@@ -0,0 +1,221 @@
+/**
+ * Telemetry Loader Module
+ * Reads lap telemetry from CSV, JSON Lines or a JSON array, validates the columns the race
+ * engine needs and derives Degradation_Delta from raw lap times when the file doesn't have it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+const DEFAULT_TELEMETRY_FILE = 'belgian_gp_HAM_telemetry.csv';
+
+const REQUIRED_COLUMNS = ['LapNumber', 'Compound', 'TyreLife', 'TrackTemp', 'LapTime_Sec', 'Degradation_Delta'];
+const NUMERIC_COLUMNS = ['LapNumber', 'Stint', 'TyreLife', 'TrackTemp', 'LapTime_Sec', 'Degradation_Delta'];
+const MAX_REPORTED_ERRORS = 10;
+
+class TelemetryValidationError extends Error {
+  /**
+   * @param {string} file - telemetry source
+   * @param {Object[]} errors - { line, column, message } for every problem found
+   */
+  constructor(file, errors) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS).map(e => {
+      const where = e.line ? `line ${e.line}` : 'header';
+      return `  ${where}${e.column ? ` [${e.column}]` : ''}: ${e.message}`;
+    });
+    if (errors.length > MAX_REPORTED_ERRORS) shown.push(`  ... and ${errors.length - MAX_REPORTED_ERRORS} more`);
+
+    super(`Invalid telemetry in ${file} (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${shown.join('\n')}`);
+    this.name = 'TelemetryValidationError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+/**
+ * 'csv' | 'jsonl' | 'json' from the extension, or from the first character for unknown extensions
+ */
+function detectFormat(file, content = null) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+  if (ext === '.json') return 'json';
+
+  const text = (content || fs.readFileSync(file, 'utf8')).trimStart();
+  if (text.startsWith('[')) return 'json';
+  if (text.startsWith('{')) return 'jsonl';
+  return 'csv';
+}
+
+/**
+ * Raw records with the source line of each one: [{ line, record }]
+ */
+function readCsv(file) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    fs.createReadStream(file)
+      .pipe(csv())
+      .on('data', (record) => records.push({ line: records.length + 2, record })) // +1 header, +1 one-based
+      .on('end', () => resolve(records))
+      .on('error', reject);
+  });
+}
+
+function parseJsonLines(file, text) {
+  const records = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+    try {
+      records.push({ line: index + 1, record: JSON.parse(raw) });
+    } catch (err) {
+      errors.push({ line: index + 1, message: `not valid JSON (${err.message})` });
+    }
+  });
+  if (errors.length > 0) throw new TelemetryValidationError(file, errors);
+  return records;
+}
+
+function parseJsonArray(file, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new TelemetryValidationError(file, [{ message: `not valid JSON (${err.message})` }]);
+  }
+  if (!Array.isArray(data)) {
+    throw new TelemetryValidationError(file, [{ message: 'expected a JSON array of lap objects' }]);
+  }
+  // JSON arrays have no meaningful line numbers - report the 1-based row instead
+  return data.map((record, index) => ({ line: index + 1, record }));
+}
+
+/**
+ * Derive Degradation_Delta the way extract_data.py does: time lost against the fastest lap of the stint.
+ * Without a Stint column a new stint starts whenever the compound changes or TyreLife goes backwards.
+ */
+function deriveDegradationDelta(rows) {
+  let stint = 0;
+  rows.forEach((row, index) => {
+    const previous = rows[index - 1];
+    if (row.Stint === undefined) {
+      if (!previous || row.Compound !== previous.Compound || row.TyreLife < previous.TyreLife) stint++;
+      row.Stint = stint;
+    }
+  });
+
+  const fastest = new Map();
+  rows.forEach(row => {
+    fastest.set(row.Stint, Math.min(fastest.has(row.Stint) ? fastest.get(row.Stint) : Infinity, row.LapTime_Sec));
+  });
+  rows.forEach(row => {
+    row.Degradation_Delta = row.LapTime_Sec - fastest.get(row.Stint);
+  });
+  return rows;
+}
+
+/**
+ * Check columns and values, convert numeric columns to numbers.
+ * Every problem is collected so the user sees them all at once.
+ */
+function validateTelemetry(file, records) {
+  const errors = [];
+  if (records.length === 0) {
+    throw new TelemetryValidationError(file, [{ message: 'no telemetry rows' }]);
+  }
+
+  const columns = new Set();
+  records.forEach(({ record }) => {
+    if (record && typeof record === 'object') Object.keys(record).forEach(c => columns.add(c));
+  });
+
+  const deriveDelta = !columns.has('Degradation_Delta');
+  const missing = REQUIRED_COLUMNS.filter(c => !columns.has(c) && !(c === 'Degradation_Delta' && columns.has('LapTime_Sec')));
+  if (missing.length > 0) {
+    throw new TelemetryValidationError(file, [{ message: `missing required column(s): ${missing.join(', ')}` }]);
+  }
+
+  let lastLap = -Infinity;
+  const rows = records.map(({ line, record }) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push({ line, message: 'expected an object with lap fields' });
+      return null;
+    }
+
+    const row = { ...record };
+    NUMERIC_COLUMNS.forEach(column => {
+      const raw = record[column];
+      if (raw === undefined || raw === null || raw === '') {
+        if (REQUIRED_COLUMNS.includes(column) && !(column === 'Degradation_Delta' && deriveDelta)) {
+          errors.push({ line, column, message: 'missing value' });
+        }
+        delete row[column];
+        return;
+      }
+      const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+      if (!Number.isFinite(value)) {
+        errors.push({ line, column, message: `expected a number, got ${JSON.stringify(raw)}` });
+      }
+      row[column] = value;
+    });
+
+    if (typeof row.Compound !== 'string' || !row.Compound.trim()) {
+      errors.push({ line, column: 'Compound', message: `expected a compound name, got ${JSON.stringify(record.Compound)}` });
+    } else {
+      row.Compound = row.Compound.trim().toUpperCase();
+    }
+
+    if (Number.isFinite(row.LapNumber)) {
+      if (row.LapNumber <= lastLap) errors.push({ line, column: 'LapNumber', message: `lap ${row.LapNumber} is not after lap ${lastLap}` });
+      lastLap = row.LapNumber;
+    }
+    if (Number.isFinite(row.LapTime_Sec) && row.LapTime_Sec <= 0) {
+      errors.push({ line, column: 'LapTime_Sec', message: `lap time must be positive, got ${row.LapTime_Sec}` });
+    }
+    if (Number.isFinite(row.TyreLife) && row.TyreLife < 0) {
+      errors.push({ line, column: 'TyreLife', message: `tyre life can't be negative, got ${row.TyreLife}` });
+    }
+    return row;
+  });
+
+  if (errors.length > 0) throw new TelemetryValidationError(file, errors);
+  return deriveDelta ? deriveDegradationDelta(rows) : rows;
+}
+
+/**
+ * Load and validate a telemetry file.
+ * @param {string} [file] - CSV, .jsonl/.ndjson or .json path
+ * @param {Object} [options]
+ * @param {string} [options.format] - force 'csv' | 'jsonl' | 'json' instead of detecting it
+ * @returns {Promise<Object[]>} rows with numeric columns as numbers and Degradation_Delta filled in
+ */
+async function loadTelemetry(file = DEFAULT_TELEMETRY_FILE, { format = null } = {}) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Telemetry file not found: ${file}`);
+  }
+
+  const resolvedFormat = format || detectFormat(file);
+  let records;
+  if (resolvedFormat === 'csv') {
+    records = await readCsv(file);
+  } else if (resolvedFormat === 'jsonl') {
+    records = parseJsonLines(file, await fs.promises.readFile(file, 'utf8'));
+  } else if (resolvedFormat === 'json') {
+    records = parseJsonArray(file, await fs.promises.readFile(file, 'utf8'));
+  } else {
+    throw new Error(`Unknown telemetry format: ${resolvedFormat} (expected csv, jsonl or json)`);
+  }
+
+  return validateTelemetry(file, records);
+}
+
+module.exports = {
+  loadTelemetry,
+  validateTelemetry,
+  deriveDegradationDelta,
+  detectFormat,
+  TelemetryValidationError,
+  REQUIRED_COLUMNS,
+  DEFAULT_TELEMETRY_FILE
+};
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CompetitiveAnalysis = require('../competitive_analysis');
+
+/**
+ * Publish one lap of standings front to back, the way FieldSimulator does:
+ * `cars` is [[code, interval to the car ahead]] in track order
+ */
+function publish(analysis, lap, cars) {
+  let gap = 0;
+  cars.forEach(([code, interval], index) => {
+    gap += interval;
+    analysis.updateCompetitor(code, index + 1, lap, 'MEDIUM', [], gap, interval, lap);
+  });
+}
+
+test('a car in DRS range of the same car for three laps is in a battle', () => {
+  const analysis = new CompetitiveAnalysis();
+  publish(analysis, 1, [['VER', 0], ['HAM', 0.6], ['NOR', 3]]);
+  publish(analysis, 2, [['VER', 0], ['HAM', 0.6], ['NOR', 3]]);
+
+  let fight = analysis.analyzeBattles('HAM');
+  assert.equal(fight.ahead.driver, 'VER');
+  assert.equal(fight.ahead.inDrs, true);
+  assert.equal(fight.ahead.battle, false);
+  assert.equal(fight.attack, 'MEDIUM');
+  assert.deepEqual(fight.battles, []);
+
+  publish(analysis, 3, [['VER', 0], ['HAM', 0.6], ['NOR', 3]]);
+  fight = analysis.analyzeBattles('HAM');
+  assert.equal(fight.ahead.battle, true);
+  assert.equal(fight.ahead.lapsInRange, 3);
+  assert.equal(fight.attack, 'HIGH');
+  assert.deepEqual(fight.battles, [{ attacker: 'HAM', defender: 'VER', position: 2, interval: 0.6, laps: 3 }]);
+});
+
+test('a car closing from behind is a threat before it reaches DRS range', () => {
+  const analysis = new CompetitiveAnalysis();
+  [3.0, 2.5, 2.0, 1.5].forEach((interval, i) => publish(analysis, i + 1, [['HAM', 0], ['NOR', interval]]));
+
+  const { behind, defend } = analysis.analyzeBattles('HAM');
+  assert.equal(behind.driver, 'NOR');
+  assert.equal(behind.inDrs, false);
+  assert.ok(Math.abs(behind.closingRate - 0.5) < 1e-9);
+  assert.ok(Math.abs(behind.lapsToDrs - 1) < 1e-9);
+  assert.equal(defend, 'MEDIUM');
+});
+
+test('threat levels grade how close the fight is', () => {
+  const analysis = new CompetitiveAnalysis();
+  assert.equal(analysis.threatLevel({ inDrs: false, battle: false, closingRate: 0, interval: 5, lapsToDrs: null }), 'NONE');
+  assert.equal(analysis.threatLevel({ inDrs: false, battle: false, closingRate: 0, interval: 1.5, lapsToDrs: null }), 'LOW');
+  assert.equal(analysis.threatLevel({ inDrs: false, battle: false, closingRate: 0.2, interval: 1.8, lapsToDrs: 4 }), 'MEDIUM');
+  assert.equal(analysis.threatLevel({ inDrs: true, battle: false, closingRate: -0.1, interval: 0.8, lapsToDrs: 0 }), 'MEDIUM');
+  assert.equal(analysis.threatLevel({ inDrs: true, battle: false, closingRate: 0.1, interval: 0.8, lapsToDrs: 0 }), 'HIGH');
+});
+
+test('a new car ahead starts the battle count again', () => {
+  const analysis = new CompetitiveAnalysis();
+  publish(analysis, 1, [['VER', 0], ['HAM', 0.5]]);
+  publish(analysis, 2, [['VER', 0], ['HAM', 0.5]]);
+  publish(analysis, 3, [['LEC', 0], ['HAM', 0.5], ['VER', 4]]);
+
+  const { ahead } = analysis.analyzeBattles('HAM');
+  assert.equal(ahead.driver, 'LEC');
+  assert.equal(ahead.lapsInRange, 1);
+  assert.equal(ahead.battle, false);
+});
+
+test('nobody is in DRS range or a battle behind the safety car', () => {
+  const analysis = new CompetitiveAnalysis();
+  [1, 2, 3].forEach(lap => publish(analysis, lap, [['VER', 0], ['HAM', 0.4], ['NOR', 0.5]]));
+
+  const fight = analysis.analyzeBattles('HAM', { drsEnabled: false });
+  assert.equal(fight.drsEnabled, false);
+  assert.equal(fight.ahead.inDrs, false);
+  assert.equal(fight.ahead.interval, 0.4);
+  assert.equal(fight.behind.lapsInRange, 0);
+  assert.deepEqual(fight.battles, []);
+  assert.equal(analysis.analyzeBattles('HAM').battles.length, 2);
+});
+
+test('the leader has no car ahead and an unknown driver has no fight', () => {
+  const analysis = new CompetitiveAnalysis();
+  publish(analysis, 1, [['HAM', 0], ['VER', 2]]);
+  assert.equal(analysis.analyzeBattles('HAM').ahead, null);
+  assert.equal(analysis.analyzeBattles('HAM').attack, 'NONE');
+  assert.equal(analysis.analyzeBattles('ALO'), null);
+});
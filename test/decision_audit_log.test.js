@@ -0,0 +1,75 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RaceSimulator = require('../race_simulator');
+const DecisionAuditLog = require('../decision_audit_log');
+const SeededRandom = require('../seeded_random');
+const { createAdvisor } = require('../strategy_advisor');
+const { jsEngine } = require('../kalman_engine');
+const { loadTelemetry, DEFAULT_TELEMETRY_FILE } = require('../telemetry_loader');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Run a race with `advisor`, logging its calls to `file`. Returns the decisions and the final snapshot.
+ */
+async function loggedRace(advisor, file, seed = 42) {
+  const telemetry = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  const sim = new RaceSimulator({ telemetry, kalmanMath: jsEngine, advisor, rng: new SeededRandom(seed) });
+  new DecisionAuditLog(file).attach(sim);
+  const decisions = [];
+  let summary = null;
+  sim.on('decision', decision => decisions.push(decision));
+  sim.on('finish', finish => { summary = finish; });
+  const snapshot = await sim.run();
+  return { decisions, snapshot, summary };
+}
+
+// What the strategist answered and what the engine did with it
+const call = d => ({
+  lap: d.lap, type: d.type, action: d.action, decision: d.decision, confidence: d.confidence, reasoning: d.reasoning,
+  tireRecommendation: d.tireRecommendation || null, driverMode: d.driverMode || null, modeLaps: d.modeLaps || null
+});
+
+test('the log records the race, every strategist call and the result', async () => {
+  const file = path.join(dir, 'logs', 'rules.ndjson');
+  const { decisions, summary } = await loggedRace(createAdvisor('rules'), file);
+  const log = DecisionAuditLog.read(file);
+
+  assert.equal(log.race.seed, 42);
+  assert.equal(log.race.circuit, 'spa');
+  assert.equal(log.race.advisor, 'rules');
+  assert.equal(log.decisions.length, decisions.length);
+  assert.deepEqual(log.decisions.map(d => [d.lap, d.action]), decisions.map(d => [d.lap, d.action]));
+  assert.deepEqual(log.finish, { kind: 'finish', pitStopCount: summary.pitStopCount, finalPosition: summary.finalPosition });
+});
+
+test('replaying a log gives identical decisions and the same race', async () => {
+  const recorded = path.join(dir, 'recorded.ndjson');
+  const original = await loggedRace(createAdvisor('rules'), recorded);
+  const replayed = await loggedRace(createAdvisor('replay', { replayLog: recorded }), path.join(dir, 'replayed.ndjson'));
+
+  assert.ok(original.decisions.length > 0);
+  assert.deepEqual(replayed.decisions.map(call), original.decisions.map(call));
+  assert.deepEqual(replayed.decisions.filter(d => d.replayDiverged), []);
+  assert.deepEqual(replayed.snapshot, original.snapshot);
+});
+
+test('the replay advisor refuses a lap the log has no call for', async () => {
+  const file = path.join(dir, 'one-call.ndjson');
+  fs.writeFileSync(file, `${JSON.stringify({ kind: 'decision', lap: 12, type: 'advisor', response: '{}', prompt: null })}\n`);
+  const advisor = createAdvisor('replay', { replayLog: file });
+  await assert.rejects(advisor.decide({ lap: 13 }), /No recorded strategist call for lap 13/);
+});
+
+test('a corrupt or missing log is reported with where it broke', () => {
+  const file = path.join(dir, 'corrupt.ndjson');
+  fs.writeFileSync(file, `${JSON.stringify({ kind: 'race', seed: 1 })}\n{ truncated\n`);
+  assert.throws(() => DecisionAuditLog.read(file), /corrupt\.ndjson line 2 is not valid JSON/);
+  assert.throws(() => createAdvisor('replay', { replayLog: path.join(dir, 'nope.ndjson') }), /Audit log not found/);
+  assert.throws(() => createAdvisor('replay'), /An audit log \(--replay=<file>\) is required/);
+});
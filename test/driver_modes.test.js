@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DriverModes, DRIVER_MODES, MAX_MODE_LAPS } = require('../driver_modes');
+const RaceSimulator = require('../race_simulator');
+const SeededRandom = require('../seeded_random');
+const { createAdvisor } = require('../strategy_advisor');
+const { jsEngine } = require('../kalman_engine');
+const { loadTelemetry, DEFAULT_TELEMETRY_FILE } = require('../telemetry_loader');
+
+test('a strategist mode holds from the lap after the call for the laps asked', () => {
+  const modes = new DriverModes();
+  assert.deepEqual(modes.setMode('TYRE_SAVE', 3, 10), { mode: 'TYRE_SAVE', fromLap: 11, untilLap: 13 });
+
+  assert.equal(modes.modeFor(10).source, 'engine');
+  assert.deepEqual([11, 12, 13].map(lap => {
+    const { mode, source, lapsRemaining } = modes.modeFor(lap);
+    return [mode, source, lapsRemaining];
+  }), [['TYRE_SAVE', 'strategist', 2], ['TYRE_SAVE', 'strategist', 1], ['TYRE_SAVE', 'strategist', 0]]);
+
+  const after = modes.modeFor(14, 'AGGRESSIVE');
+  assert.equal(after.mode, 'AGGRESSIVE');
+  assert.equal(after.source, 'engine');
+  assert.equal(modes.command, null);
+});
+
+test('a mode call is held for between one lap and the longest a call lasts', () => {
+  const modes = new DriverModes();
+  assert.equal(modes.setMode('AGGRESSIVE', 40, 0).untilLap, MAX_MODE_LAPS);
+  assert.equal(modes.setMode('AGGRESSIVE', 0, 0).untilLap, 1);
+  assert.equal(modes.setMode('AGGRESSIVE', 2.6, 0).untilLap, 3);
+  assert.equal(modes.setMode('FLAT_OUT', 5, 0), null);
+  assert.equal(modes.command.mode, 'AGGRESSIVE');
+});
+
+test('everyone saves fuel behind the safety car, whatever the strategist asked', () => {
+  const modes = new DriverModes();
+  modes.setMode('AGGRESSIVE', 5, 10);
+  assert.deepEqual(
+    (({ mode, source, fuelFactor }) => ({ mode, source, fuelFactor }))(modes.modeFor(12, 'NORMAL', true)),
+    { mode: 'FUEL_SAVE', source: 'race control', fuelFactor: DRIVER_MODES.FUEL_SAVE.fuelFactor }
+  );
+  assert.equal(modes.modeFor(13).mode, 'AGGRESSIVE');
+});
+
+test('managing tyres wears the set slower and burns less fuel than pushing', async () => {
+  const telemetry = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+
+  // The rule-based strategist's calls, with `driverMode` held all race
+  async function raceIn(driverMode) {
+    const rules = createAdvisor('rules');
+    const advisor = {
+      name: 'modes',
+      decide: async (context) => ({ ...await rules.decide(context), driverMode, modeLaps: MAX_MODE_LAPS })
+    };
+    const sim = new RaceSimulator({ telemetry, kalmanMath: jsEngine, advisor, rng: new SeededRandom(42) });
+    const laps = [];
+    sim.on('lap', lap => laps.push(lap));
+    await sim.run();
+    return laps;
+  }
+
+  const saving = await raceIn('TYRE_SAVE');
+  const pushing = await raceIn('AGGRESSIVE');
+
+  const held = saving.filter(lap => lap.driverMode.source === 'strategist');
+  assert.ok(held.length > 0);
+  assert.ok(held.every(lap => lap.driverMode.mode === 'TYRE_SAVE'));
+
+  // Lap to lap on the same set, tyre life grows by the mode's wear factor on a green track
+  const managed = saving.filter((lap, i) => i > 0 && lap.driverMode.source === 'strategist' &&
+    lap.trackStatus === 'GREEN' && lap.tireAge === saving[i - 1].tireAge + 1);
+  assert.ok(managed.length > 0);
+  managed.forEach(lap => {
+    const previous = saving[saving.indexOf(lap) - 1];
+    assert.ok(Math.abs((lap.tyreLife - previous.tyreLife) - DRIVER_MODES.TYRE_SAVE.wearFactor) < 1e-9, `lap ${lap.lap}`);
+  });
+
+  const burnt = laps => laps.reduce((sum, lap) => sum + Number(lap.fuel.consumption), 0);
+  assert.ok(burnt(saving) < burnt(pushing));
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FieldSimulator = require('../field_simulator');
+const CompetitiveAnalysis = require('../competitive_analysis');
+const PitStopAnalyzer = require('../pit_stop_analyzer');
+const SeededRandom = require('../seeded_random');
+const { jsEngine } = require('../kalman_engine');
+const { loadCircuit } = require('../circuit_registry');
+
+const circuit = loadCircuit('spa');
+
+function createField(seed = 42, options = {}) {
+  const rng = new SeededRandom(seed);
+  return new FieldSimulator({
+    kalmanMath: jsEngine,
+    pitStopAnalyzer: new PitStopAnalyzer(circuit, rng),
+    competitiveAnalysis: new CompetitiveAnalysis(),
+    rng,
+    circuit,
+    ...options
+  });
+}
+
+// Our car on one set of Mediums, wearing at the circuit's rate
+function ourLap(lap) {
+  return { compound: 'MEDIUM', tireAge: lap, wear: 0.045 * lap, rate: 0.045, cliffProb: 0, pitted: false };
+}
+
+function race(field, laps) {
+  let standings;
+  for (let lap = 1; lap <= laps; lap++) {
+    standings = field.advanceLap(lap, ourLap(lap));
+  }
+  return standings;
+}
+
+test('the grid puts our car in its starting slot and the rivals around it in pace order', () => {
+  const field = createField(42, { ourDriver: 'HAM', ourStartingPosition: 7 });
+  const { order } = field.getStandings();
+
+  assert.equal(order.length, 20);
+  assert.deepEqual(order.map(c => c.position), Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.equal(field.getOurCar().position, 7);
+  assert.deepEqual(order.slice(0, 3).map(c => c.code), ['VER', 'NOR', 'LEC']);
+});
+
+test('a driver outside the default entry replaces the last car', () => {
+  const field = createField(42, { ourDriver: 'LAW', ourStartingPosition: 20 });
+  assert.equal(field.cars.length, 20);
+  assert.ok(field.getCar('LAW'));
+  assert.equal(field.getCar('SAR'), undefined);
+});
+
+test('the same seed runs the same race', () => {
+  const run = () => race(createField(7), 15).order.map(c => [c.code, c.compound, c.pitstops, c.gapToLeader]);
+  assert.deepEqual(run(), run());
+});
+
+test('positions, gaps and intervals follow cumulative race time', () => {
+  const field = createField(3);
+  const { order } = race(field, 10);
+
+  for (let i = 1; i < order.length; i++) {
+    const car = field.getCar(order[i].code);
+    const ahead = field.getCar(order[i - 1].code);
+    assert.ok(car.raceTime >= ahead.raceTime);
+    assert.ok(Math.abs(order[i].interval - (car.raceTime - ahead.raceTime)) < 1e-9);
+    assert.ok(Math.abs(order[i].gapToLeader - (car.raceTime - field.getCar(order[0].code).raceTime)) < 1e-9);
+  }
+});
+
+test('the safety car closes the field up without changing the order', () => {
+  const field = createField(11);
+  race(field, 10);
+  const byTime = () => [...field.cars].sort((a, b) => a.raceTime - b.raceTime);
+  const before = byTime().map(car => [car.code, car.raceTime]);
+
+  field.bunchField();
+  const after = byTime();
+  assert.deepEqual(after.map(car => car.code), before.map(([code]) => code));
+  assert.ok(after[after.length - 1].raceTime - after[0].raceTime < before[before.length - 1][1] - before[0][1]);
+});
+
+test('every rival stops onto a second compound in a dry race', () => {
+  const field = createField(5, { raceLength: 20 });
+  race(field, 20);
+  field.cars.filter(car => !car.isOurs).forEach(car => {
+    assert.ok(car.compoundsUsed.size >= 2, `${car.code} finished on ${[...car.compoundsUsed].join(', ')} only`);
+  });
+});
+
+test('rivals fit a wet-weather tyre on a wet track and a different slick on a dry one', () => {
+  const field = createField(1);
+  const car = field.getCar('VER');
+
+  assert.ok(['INTERMEDIATE', 'WET', 'EXTREME_WET'].includes(field.chooseRivalCompound(car, 20, 0.8)));
+  assert.notEqual(field.chooseRivalCompound(car, 20, 0), car.compound);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FuelPlanner } = require('../fuel_planner');
+const FuelStrategy = require('../fuel_strategy');
+const { SportingRegulations } = require('../sporting_regulations');
+
+const planner = new FuelPlanner({ fuelPerLap: 1.5, fuelEffectPerKg: 0.035, capacity: 110, reserve: 1 });
+
+// Fuel strategy under the ruleset, the way the race engine builds it
+function fuelStrategy(ruleset = {}, options = {}) {
+  const { refuelling, fuelReserve } = new SportingRegulations(ruleset).ruleset;
+  return new FuelStrategy(110, 'spa', { refuelling, reserve: fuelReserve, ...options });
+}
+
+test('the per-lap targets run the car down to the reserve at the flag', () => {
+  const plan = planner.planTargets({ lap: 30, fuel: 21, lapsToGo: 10 });
+
+  assert.equal(plan.targetBurn, 2);
+  assert.equal(plan.margin, 5);
+  assert.equal(plan.needToSave, false);
+  assert.deepEqual(plan.targets[0], { lap: 31, fuel: 19 });
+  assert.deepEqual(plan.targets[plan.targets.length - 1], { lap: 40, fuel: 1 });
+});
+
+test('a car short of the flag has to lift and coast, up to what lifting can save', () => {
+  const short = planner.planTargets({ lap: 30, fuel: 15, lapsToGo: 10 });
+  assert.equal(short.needToSave, true);
+  assert.equal(short.margin, -1);
+  assert.equal(short.liftAndCoast.savingPerLap, 0.1);
+  assert.equal(short.liftAndCoast.feasible, true);
+  assert.ok(short.liftAndCoast.timeCost > 0);
+
+  const hopeless = planner.planTargets({ lap: 30, fuel: 10, lapsToGo: 10 });
+  assert.equal(hopeless.liftAndCoast.feasible, false);
+});
+
+test('saving the same fuel over fewer laps costs more time', () => {
+  assert.ok(planner.liftAndCoastCost(2, 5).timeCost > planner.liftAndCoastCost(2, 20).timeCost);
+  assert.equal(planner.liftAndCoastCost(-1, 10).timeCost, 0);
+});
+
+test('the starting load is the cheapest one around the expected burn', () => {
+  const best = planner.optimiseStartingLoad(44);
+
+  assert.equal(best.expectedBurn, 66);
+  assert.ok(best.load <= 110);
+  [-2, -1, 1, 2].forEach(steps => {
+    assert.ok(best.totalCost <= planner.expectedCost(best.load + steps * 0.5, 44).totalCost, `load ${best.load + steps * 0.5}`);
+  });
+});
+
+test('a race that needs more than the tank holds starts full', () => {
+  assert.equal(planner.optimiseStartingLoad(200).load, 110);
+});
+
+test('refuelling throws when the ruleset forbids it', () => {
+  const fuel = fuelStrategy();
+  assert.equal(fuel.refuelling, false);
+
+  const before = fuel.currentFuel;
+  assert.throws(() => fuel.refuel(10), /Refuelling is not allowed under the current ruleset/);
+  assert.equal(fuel.refuelForLaps(44), 0);
+  assert.equal(fuel.currentFuel, before);
+});
+
+test('a ruleset that allows refuelling tops the car up for the laps left', () => {
+  const fuel = fuelStrategy({ refuelling: true }, { startingFuel: 20 });
+  const added = fuel.refuelForLaps(30);
+
+  assert.equal(added, 1.2 * 30 + fuel.planner.reserve - 20);
+  assert.equal(fuel.currentFuel, 20 + added);
+  assert.equal(fuel.refuelForLaps(30), 0);
+});
+
+test('a car that cannot finish is told to refuel only where the ruleset allows it', () => {
+  assert.equal(fuelStrategy({}, { startingFuel: 20 }).recommendFuelSave(30, 14).recommendation, 'CANNOT_FINISH');
+  assert.equal(fuelStrategy({ refuelling: true }, { startingFuel: 20 }).recommendFuelSave(30, 14).recommendation, 'REFUEL');
+  assert.equal(fuelStrategy({}, { startingFuel: 60 }).recommendFuelSave(30, 14).recommendation, 'NORMAL_PACE');
+});
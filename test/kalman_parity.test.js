@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareEngines } = require('../kalman_parity');
+const { jsEngine, loadNativeEngine } = require('../kalman_engine');
+const { loadTelemetry, DEFAULT_TELEMETRY_FILE } = require('../telemetry_loader');
+
+const TOLERANCE = 1e-9;
+
+test('the native addon matches the JavaScript engine within tolerance', async (t) => {
+  const native = loadNativeEngine();
+  if (!native) {
+    t.skip('kalman_math.node is not built (npx node-gyp rebuild)');
+    return;
+  }
+  const rows = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  const { mismatches, maxDiff } = compareEngines(rows, native, TOLERANCE);
+
+  assert.deepEqual(mismatches, []);
+  Object.entries(maxDiff).forEach(([field, diff]) => {
+    assert.ok(diff <= TOLERANCE, `${field} differs by ${diff}`);
+  });
+});
+
+test('an engine that drifts past the tolerance is reported', async () => {
+  const rows = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  const drifting = {
+    updateState: (...args) => jsEngine.updateState(...args),
+    updateRateState: (...args) => {
+      const result = jsEngine.updateRateState(...args);
+      return { ...result, rate: result.rate + 1e-6 };
+    }
+  };
+  const { mismatches, maxDiff } = compareEngines(rows, drifting, TOLERANCE);
+
+  assert.ok(mismatches.length > 0);
+  assert.ok(mismatches.every(m => m.field.startsWith('updateRateState.')));
+  assert.equal(maxDiff['updateState.x'], 0);
+  assert.ok(maxDiff['updateRateState.rate'] > TOLERANCE);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LapTimeModel = require('../lap_time_model');
+const { loadCircuit } = require('../circuit_registry');
+
+const spa = loadCircuit('spa');
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+test('the lap splits into reference, fuel, track evolution and tyre', () => {
+  const model = new LapTimeModel(spa);
+  [[108.2, 100], [108.0, 98], [108.3, 96]].forEach(([lapTime, fuelLoad]) => {
+    const lap = model.decompose({ lapTime, fuelLoad });
+    close(lap.reference + lap.fuelEffect + lap.trackEvolution + lap.tyreDegradation, lapTime, 'parts');
+    assert.ok(lap.tyreDegradation >= 0);
+  });
+});
+
+test('fuel costs time per kg in proportion to the lap length, unless the circuit sets it', () => {
+  close(LapTimeModel.fuelEffectPerKg(spa), 0.0058 * spa.lengthKm, 'per km');
+  close(LapTimeModel.fuelEffectPerKg({ ...spa, fuelEffectPerKg: 0.03 }), 0.03, 'override');
+  close(new LapTimeModel(spa).decompose({ lapTime: 110, fuelLoad: 50 }).fuelEffect, 50 * 0.0058 * spa.lengthKm, 'lap');
+});
+
+test('the tyre is not credited with the fuel burnt off', () => {
+  // No track evolution, 1.5kg burnt per lap and the tyre losing 0.05s a lap
+  const model = new LapTimeModel({ ...spa, trackEvolution: 0 });
+  const perKg = LapTimeModel.fuelEffectPerKg(spa);
+  for (let lap = 0; lap < 15; lap++) {
+    const fuelLoad = 100 - 1.5 * lap;
+    const decomposed = model.decompose({ lapTime: 106 + perKg * fuelLoad + 0.05 * lap, fuelLoad });
+    close(decomposed.tyreDegradation, 0.05 * lap, `lap ${lap}`);
+  }
+});
+
+test('the track gets quicker as rubber goes down and rain washes it away', () => {
+  const dry = new LapTimeModel(spa);
+  const wet = new LapTimeModel(spa);
+  let dryLap;
+  let wetLap;
+  for (let lap = 0; lap < 20; lap++) {
+    dryLap = dry.decompose({ lapTime: 108, fuelLoad: 50 });
+    wetLap = wet.decompose({ lapTime: 108, fuelLoad: 50, wetness: 0.8 });
+  }
+  assert.ok(dryLap.trackEvolution < 0 && dryLap.trackEvolution > -dry.trackEvolution);
+  assert.ok(wetLap.trackEvolution > dryLap.trackEvolution);
+});
+
+test('new tyres or a new stint start a new reference', () => {
+  const model = new LapTimeModel({ ...spa, trackEvolution: 0 });
+  model.decompose({ lapTime: 106, fuelLoad: 0, stint: 1 });
+  assert.equal(model.decompose({ lapTime: 107, fuelLoad: 0, stint: 1 }).tyreDegradation, 1);
+  assert.equal(model.decompose({ lapTime: 107.5, fuelLoad: 0, stint: 1, newTyres: true }).tyreDegradation, 0);
+  assert.equal(model.decompose({ lapTime: 108, fuelLoad: 0, stint: 2 }).tyreDegradation, 0);
+  assert.equal(model.decompose({ lapTime: 107, fuelLoad: 0, stint: 2 }).tyreDegradation, 0);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PitStopAnalyzer = require('../pit_stop_analyzer');
+const SeededRandom = require('../seeded_random');
+
+test('the analyzer needs a seeded RNG', () => {
+  assert.throws(() => new PitStopAnalyzer('spa'), /PitStopAnalyzer needs an rng/);
+  assert.doesNotThrow(() => new PitStopAnalyzer('spa', new SeededRandom(1)));
+});
+
+test('position loss is spread over the circuit\'s own race distance', () => {
+  // Same seed, so the random "free stop" roll is the same for both calls
+  const spa = new PitStopAnalyzer('spa', new SeededRandom(2)).estimatePositionLoss(20, 22);
+  const explicit = new PitStopAnalyzer('spa', new SeededRandom(2)).estimatePositionLoss(20, 22, 44);
+  assert.deepEqual(spa, explicit);
+});
+
+test('position loss replays from the seed and is never negative', () => {
+  const positions = [1, 5, 10, 15, 20];
+  const losses = seed => positions.map(position => new PitStopAnalyzer('spa', new SeededRandom(seed)).estimatePositionLoss(position, 10));
+  const first = losses(9);
+  assert.deepEqual(losses(9), first);
+  first.forEach((loss, i) => {
+    assert.ok(loss.positionsLost >= 0);
+    assert.equal(loss.newPosition, positions[i] + loss.positionsLost);
+  });
+});
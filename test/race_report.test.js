@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RaceSimulator = require('../race_simulator');
+const RaceReport = require('../race_report');
+const SeededRandom = require('../seeded_random');
+const { createAdvisor } = require('../strategy_advisor');
+const { jsEngine } = require('../kalman_engine');
+const { loadTelemetry, DEFAULT_TELEMETRY_FILE } = require('../telemetry_loader');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-report-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Runs the whole race, or stops after `laps` laps
+async function recordRace(seed, { laps = null } = {}) {
+  const telemetry = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  const sim = new RaceSimulator({ telemetry, kalmanMath: jsEngine, advisor: createAdvisor('rules'), rng: new SeededRandom(seed) });
+  const report = new RaceReport(sim);
+  const counts = { lap: 0, pit: 0, decision: 0 };
+  Object.keys(counts).forEach(name => sim.on(name, () => counts[name]++));
+  if (laps === null) {
+    await sim.run();
+  } else {
+    while (counts.lap < laps) await sim.step();
+  }
+  return { sim, report, counts };
+}
+
+test('the report records every lap, stop and decision the engine emitted', async () => {
+  const { sim, report, counts } = await recordRace(42);
+  const data = report.build();
+
+  assert.equal(data.race.seed, 42);
+  assert.equal(data.race.finished, true);
+  assert.deepEqual(data.race.regulations, sim.regulations.checkFinishingStrategy(sim.tireStrategy.getCompoundsUsed()));
+  assert.equal(data.race.lapsCompleted, counts.lap);
+  assert.equal(data.laps.length, counts.lap);
+  assert.equal(data.decisions.length, counts.decision);
+  assert.equal(data.pitStops.length, counts.pit);
+  assert.equal(data.race.pitStopCount, counts.pit);
+  assert.equal(data.stints.length, counts.pit + 1);
+  data.pitStops.forEach((pit, i) => {
+    assert.equal(pit.from, data.stints[i].compound);
+    assert.equal(pit.to, data.stints[i + 1].compound);
+  });
+  assert.deepEqual(data.positionHistory[0], { lap: 0, position: data.race.startingPosition });
+  assert.equal(data.positionHistory.length, counts.lap + 1);
+});
+
+test('a report built mid-race is marked unfinished and has no regulations verdict', async () => {
+  const { report } = await recordRace(42, { laps: 5 });
+  const data = report.build();
+
+  assert.equal(data.race.finished, false);
+  assert.equal(data.race.regulations, null);
+  assert.equal(data.race.lapsCompleted, 5);
+  assert.doesNotMatch(report.toMarkdown(data), /Tyre regulations/);
+});
+
+test('the Markdown debrief lists the seed, every pit stop and the regulations verdict', async () => {
+  const { report } = await recordRace(42);
+  const data = report.build();
+  const markdown = report.toMarkdown(data);
+
+  assert.match(markdown, /- Seed: 42 \(replay with `--seed=42`\)/);
+  assert.match(markdown, /- Tyre regulations: respected/);
+  data.pitStops.forEach(p => {
+    assert.ok(markdown.includes(`| ${p.stop} | ${p.lap} | ${p.from} → ${p.to} |`), `pit stop ${p.stop} missing`);
+  });
+});
+
+test('the HTML debrief escapes strategist text', async () => {
+  const { report } = await recordRace(42, { laps: 10 });
+  const data = report.build();
+  data.decisions.push({ lap: 10, type: 'advisor', advisor: 'mock', decision: 'STAY', reasoning: '<script>alert(1)</script>', overrides: [] });
+
+  const html = report.toHTML(data);
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+  assert.ok(!html.includes('<script>alert(1)'));
+});
+
+test('write() saves the Markdown, HTML and JSON reports named after the circuit and seed', async () => {
+  const { report } = await recordRace(7);
+  const files = report.write(dir);
+
+  assert.deepEqual(files, {
+    markdown: path.join(dir, 'race_spa_7.md'),
+    html: path.join(dir, 'race_spa_7.html'),
+    json: path.join(dir, 'race_spa_7.json')
+  });
+  assert.deepEqual(JSON.parse(fs.readFileSync(files.json, 'utf8')), JSON.parse(report.toJSON()));
+  assert.match(fs.readFileSync(files.html, 'utf8'), /^<!DOCTYPE html>/i);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RaceSimulator = require('../race_simulator');
+const SeededRandom = require('../seeded_random');
+const { createAdvisor } = require('../strategy_advisor');
+const { jsEngine } = require('../kalman_engine');
+const { loadTelemetry, DEFAULT_TELEMETRY_FILE } = require('../telemetry_loader');
+
+/**
+ * Run a whole race and record every event the engine emits, in order
+ */
+async function runRace(telemetry, seed) {
+  const sim = new RaceSimulator({ telemetry, kalmanMath: jsEngine, advisor: createAdvisor('rules'), rng: new SeededRandom(seed) });
+  const events = [];
+  ['lap', 'pit', 'decision', 'track', 'finish'].forEach(name => sim.on(name, payload => events.push({ name, payload })));
+  const snapshot = await sim.run();
+  return { snapshot, events };
+}
+
+test('the same seed replays the same race', async () => {
+  const telemetry = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  const first = await runRace(telemetry, 42);
+  const second = await runRace(telemetry, 42);
+
+  assert.equal(first.snapshot.seed, 42);
+  assert.deepEqual(second.snapshot, first.snapshot);
+  assert.deepEqual(second.events, first.events);
+  assert.ok(first.events.some(e => e.name === 'finish'));
+});
+
+test('a different seed gives a different race', async () => {
+  const telemetry = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  const first = await runRace(telemetry, 42);
+  const other = await runRace(telemetry, 7);
+
+  assert.notDeepEqual(other.events, first.events);
+});
+
+test('telemetry shorter than the circuit is rejected', async () => {
+  const telemetry = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  assert.throws(
+    () => new RaceSimulator({ telemetry: telemetry.slice(0, 10), kalmanMath: jsEngine, rng: new SeededRandom(1) }),
+    /Telemetry runs to lap \d+ but .* is a 44-lap race/
+  );
+});
+
+test('a strategist that never boxes is overridden when the tyres give out', async () => {
+  const telemetry = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  const advisor = {
+    name: 'stay',
+    decide: async () => ({ advisor: 'stay', decision: 'STAY', confidence: 0.9, reasoning: 'Stay out', tireRecommendation: 'HARD', driverMode: null, modeLaps: null })
+  };
+  const sim = new RaceSimulator({ telemetry, kalmanMath: jsEngine, advisor, rng: new SeededRandom(3) });
+  const decisions = [];
+  const pits = [];
+  sim.on('decision', decision => decisions.push(decision));
+  sim.on('pit', pit => pits.push(pit));
+  await sim.run();
+
+  const mandatory = decisions.filter(d => (d.overrides || []).some(o => o.rule === 'MANDATORY_STOP'));
+  assert.ok(mandatory.length > 0);
+  mandatory.forEach(d => {
+    assert.equal(d.action, 'EXECUTED');
+    assert.ok(pits.some(p => p.lap === d.lap + 1));
+  });
+});
+
+test('a stop with no usable set left is called off instead of ending the race', async () => {
+  const telemetry = await loadTelemetry(DEFAULT_TELEMETRY_FILE);
+  // Box on every call, asking for a compound the allocation doesn't have
+  const advisor = {
+    name: 'box',
+    decide: async () => ({ advisor: 'box', decision: 'BOX', confidence: 0.9, reasoning: 'Box', tireRecommendation: 'SOFT', driverMode: null, modeLaps: null })
+  };
+  // A single set for the whole weekend: it starts the race and there is nothing to change to
+  const ruleset = { tyreAllocation: { SOFT: 0, MEDIUM: 1, HARD: 0, INTERMEDIATE: 0, WET: 0, EXTREME_WET: 0 } };
+  const sim = new RaceSimulator({ telemetry, kalmanMath: jsEngine, advisor, ruleset, usedLaps: {}, rng: new SeededRandom(42) });
+  const pits = [];
+  const cancelled = [];
+  sim.on('pit', pit => pits.push(pit));
+  sim.on('decision', decision => {
+    if (decision.type === 'no-tyres') cancelled.push(decision);
+  });
+  await sim.run();
+
+  assert.equal(sim.startingTireCompound, 'MEDIUM');
+  assert.ok(sim.finished);
+  assert.deepEqual(pits, []);
+  assert.equal(sim.pitStopCount, 0);
+  assert.ok(cancelled.length > 0);
+  cancelled.forEach(decision => {
+    assert.equal(decision.action, 'CANCELLED');
+    assert.match(decision.reasoning, /^Pit stop called off - no usable .* sets left in the allocation$/);
+  });
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RivalStrategy = require('../rival_strategy');
+const CompetitiveAnalysis = require('../competitive_analysis');
+const { loadCircuit } = require('../circuit_registry');
+
+const circuit = loadCircuit('spa'); // 44 laps; Soft 18, Medium 28, Hard 40 laps of tyre life
+
+test('a car on its first set is expected to stop at the prior share of tyre life', () => {
+  const rivals = new RivalStrategy({ circuit });
+  const strategy = rivals.infer({ code: 'VER', compound: 'MEDIUM', tireAge: 10, pitstops: 0, compoundsUsed: ['MEDIUM'] }, 10);
+
+  // 75% of 28 laps, onto the softest compound that lasts the 24 laps to the flag
+  assert.deepEqual(strategy, {
+    label: '1-STOP',
+    totalStops: 1,
+    stopsRemaining: 1,
+    nextPitLap: 21,
+    pitWindow: { open: 18, close: 24 },
+    nextCompound: 'HARD',
+    stintShare: 0.75
+  });
+});
+
+test('a car that has used two dry compounds and can reach the flag has no stop left', () => {
+  const rivals = new RivalStrategy({ circuit });
+  const strategy = rivals.infer({ code: 'NOR', compound: 'HARD', tireAge: 5, pitstops: 1, compoundsUsed: ['MEDIUM', 'HARD'] }, 30);
+
+  assert.equal(strategy.label, '1-STOP');
+  assert.equal(strategy.stopsRemaining, 0);
+  assert.equal(strategy.nextPitLap, null);
+  assert.equal(strategy.pitWindow, null);
+});
+
+test('a car still owing the second dry compound has to stop before the flag', () => {
+  const rivals = new RivalStrategy({ circuit });
+  const strategy = rivals.infer({ code: 'LEC', compound: 'HARD', tireAge: 30, pitstops: 0, compoundsUsed: ['HARD'] }, 30);
+
+  assert.equal(strategy.nextPitLap, 31);
+  assert.equal(strategy.nextCompound, 'SOFT');
+  assert.ok(strategy.nextPitLap <= circuit.laps - 3);
+});
+
+test('slicks on a wet track come off next lap for the fastest wet-weather tyre', () => {
+  const rivals = new RivalStrategy({ circuit });
+  const strategy = rivals.infer({ code: 'PIA', compound: 'SOFT', tireAge: 3, pitstops: 0, compoundsUsed: ['SOFT'] }, 3, 0.6);
+
+  assert.equal(strategy.nextPitLap, 4);
+  assert.equal(strategy.nextCompound, 'INTERMEDIATE');
+});
+
+test('completed stints teach the stint length, a car\'s own counting most', () => {
+  const rivals = new RivalStrategy({ circuit });
+  rivals.recordStint('VER', 'MEDIUM', 14); // half of the Medium's life
+
+  // VER: (prior 0.75 x 2 + field 0.5 + own 3 x 0.5) / (2 + 1 + 3); the rest: (0.75 x 2 + 0.5) / 3
+  assert.ok(Math.abs(rivals.stintShare('VER') - 3.5 / 6) < 1e-12);
+  assert.ok(Math.abs(rivals.stintShare('HAM') - 2 / 3) < 1e-12);
+
+  const ver = rivals.infer({ code: 'VER', compound: 'HARD', tireAge: 2, pitstops: 1, compoundsUsed: ['MEDIUM', 'HARD'] }, 16);
+  assert.equal(ver.nextPitLap, null); // 40 x 0.9 laps of Hard life covers the 28 to go
+
+  const early = rivals.infer({ code: 'VER', compound: 'MEDIUM', tireAge: 5, pitstops: 0, compoundsUsed: ['MEDIUM'] }, 5);
+  const late = rivals.infer({ code: 'HAM', compound: 'MEDIUM', tireAge: 5, pitstops: 0, compoundsUsed: ['MEDIUM'] }, 5);
+  assert.equal(early.nextPitLap, 5 + Math.round(28 * 3.5 / 6 - 5));
+  assert.ok(early.nextPitLap < late.nextPitLap);
+});
+
+test('stints with no laps are ignored', () => {
+  const rivals = new RivalStrategy({ circuit });
+  rivals.recordStint('VER', 'SOFT', 0);
+  assert.equal(rivals.stintShare('VER'), 0.75);
+});
+
+test('competitive analysis infers every car\'s strategy from the stints it has seen', () => {
+  const analysis = new CompetitiveAnalysis({ rivalStrategy: new RivalStrategy({ circuit }) });
+  for (let lap = 1; lap <= 12; lap++) {
+    analysis.updateCompetitor('VER', 1, lap, 'SOFT', [], 0, 0, lap);
+    analysis.updateCompetitor('HAM', 2, lap, 'MEDIUM', [], 1.5, 1.5, lap);
+  }
+  analysis.recordPitStop('VER'); // VER comes in after 12 laps on Softs
+  analysis.updateCompetitor('VER', 2, 13, 'HARD', [], 0, 0.5, 0);
+  analysis.updateCompetitor('HAM', 1, 13, 'MEDIUM', [], 0, 0, 13);
+  analysis.inferStrategies(13);
+
+  const [ver] = analysis.getRivalStrategies('HAM');
+  assert.equal(ver.driver, 'VER');
+  assert.equal(ver.pitstops, 1);
+  assert.equal(ver.nextPitLap, null);
+  assert.equal(ver.label, '1-STOP');
+  // 12 of 18 Soft laps pulls the expected stint share down from the prior
+  assert.ok(analysis.driverStrategies.get('HAM').strategy.stintShare < 0.75);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SportingRegulations } = require('../sporting_regulations');
+
+const regulations = new SportingRegulations();
+
+test('a dry race on two dry compounds is legal', () => {
+  assert.deepEqual(regulations.checkFinishingStrategy(['SOFT', 'MEDIUM']), { legal: true, violations: [] });
+  assert.deepEqual(regulations.checkFinishingStrategy(['MEDIUM', 'HARD', 'MEDIUM']), { legal: true, violations: [] });
+});
+
+test('a dry race on one dry compound breaks the compound rule', () => {
+  const { legal, violations } = regulations.checkFinishingStrategy(['MEDIUM', 'MEDIUM']);
+  assert.equal(legal, false);
+  assert.deepEqual(violations, ['Dry race finished on MEDIUM only - 2 different dry compounds are required']);
+});
+
+test('a race without a dry compound is reported as such', () => {
+  const { legal, violations } = regulations.checkFinishingStrategy([]);
+  assert.equal(legal, false);
+  assert.deepEqual(violations, ['Dry race finished without running any dry compound - 2 different dry compounds are required']);
+});
+
+test('slicks are only legal on a track declared DRY', () => {
+  assert.deepEqual(regulations.getLegalCompounds('DRY'), ['SOFT', 'MEDIUM', 'HARD']);
+  ['INTERMEDIATE', 'WET', 'EXTREME_WET'].forEach(condition => {
+    assert.equal(regulations.getLegalCompounds(condition).some(c => ['SOFT', 'MEDIUM', 'HARD'].includes(c)), false);
+  });
+});
+
+test('running a wet-weather tyre lifts the compound rule', () => {
+  assert.equal(regulations.checkFinishingStrategy(['SOFT', 'INTERMEDIATE']).legal, true);
+  assert.equal(regulations.checkFinishingStrategy(['WET']).legal, true);
+});
+
+test('the ruleset sets how many dry compounds are required', () => {
+  const three = new SportingRegulations({ requiredDryCompounds: 3 });
+  assert.equal(three.checkFinishingStrategy(['SOFT', 'MEDIUM']).legal, false);
+  assert.equal(three.checkFinishingStrategy(['SOFT', 'MEDIUM', 'HARD']).legal, true);
+  assert.equal(new SportingRegulations({ requiredDryCompounds: 1 }).checkFinishingStrategy(['HARD']).legal, true);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const StrategyOptimizer = require('../strategy_optimizer');
+const SeededRandom = require('../seeded_random');
+
+const CLI = path.join(__dirname, '..', 'strategy_optimizer.js');
+
+function runCli(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+test('a race too short for two stints has no feasible strategy', () => {
+  const optimizer = new StrategyOptimizer({ raceLength: 4, rng: new SeededRandom(1) });
+  assert.deepEqual(optimizer.optimize({ iterations: 5 }), []);
+});
+
+test('the CLI exits non-zero when no strategy is feasible', () => {
+  const result = runCli('--laps=4', '--seed=1');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /No feasible strategy for 4 laps/);
+});
+
+test('the CLI rejects options that are not positive whole numbers', () => {
+  [['--laps=0', /--laps must be a positive whole number, got "0"/],
+    ['--iterations=abc', /--iterations must be a positive whole number, got "abc"/],
+    ['--top=-2', /--top must be a positive whole number/],
+    ['--laps=12.5', /--laps must be a positive whole number/]].forEach(([arg, message]) => {
+    const result = runCli(arg, '--seed=1');
+    assert.equal(result.status, 1, arg);
+    assert.match(result.stderr, message);
+  });
+});
+
+test('the shortest race with two legal stints is planned', () => {
+  const result = runCli('--laps=10', '--iterations=5', '--top=1', '--seed=1');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /\(10 laps, 5 runs\/plan, seed 1\)/);
+  assert.match(result.stdout, /^#1 /m);
+});
+
+test('a single run per plan reports no spread', () => {
+  const optimizer = new StrategyOptimizer({ rng: new SeededRandom(1) });
+  const [best] = optimizer.optimize({ iterations: 1, candidates: 1 });
+  assert.equal(best.variance, 0);
+  assert.equal(best.stdDev, 0);
+});
+
+test('nine laps is one short of two minimum-length stints', () => {
+  assert.deepEqual(new StrategyOptimizer({ raceLength: 9, rng: new SeededRandom(1) }).optimize({ iterations: 1 }), []);
+  const [only, ...rest] = new StrategyOptimizer({ raceLength: 10, rng: new SeededRandom(1) }).optimize({ iterations: 1 });
+  assert.deepEqual(only.pitLaps, [5]);
+  assert.equal(only.stops, 1);
+  assert.ok(rest.every(s => s.stops === 1 && s.pitLaps[0] === 5));
+});
+
+test('every ranked plan covers exactly the requested laps with legal stints', () => {
+  const optimizer = new StrategyOptimizer({ raceLength: 30, rng: new SeededRandom(7) });
+  const ranked = optimizer.optimize({ iterations: 3 });
+  assert.ok(ranked.length > 0);
+  ranked.forEach(s => {
+    const stints = optimizer.stintLengths(s.pitLaps);
+    assert.equal(stints.reduce((a, b) => a + b, 0), 30, s.label);
+    assert.ok(stints.every(laps => laps >= optimizer.minStintLaps), s.label);
+    assert.equal(optimizer.regulations.checkFinishingStrategy(s.compounds).legal, true, s.label);
+  });
+});
+
+test('the same seed ranks the same strategies with the same times', () => {
+  const run = () => new StrategyOptimizer({ raceLength: 20, rng: new SeededRandom(3) }).optimize({ iterations: 10 })
+    .map(s => [s.label, s.meanTime]);
+  assert.deepEqual(run(), run());
+});
+
+test('the CLI plans the circuit distance when --laps is not given', () => {
+  const result = runCli('--circuit=monza', '--iterations=1', '--top=1', '--seed=1');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /\(53 laps, 1 runs\/plan, seed 1\)/);
+});
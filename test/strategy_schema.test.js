@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateAdvisorResponse, StrategyResponseError } = require('../strategy_schema');
+const StrategyGuardrails = require('../strategy_guardrails');
+const TireStrategy = require('../tire_strategy');
+const { SportingRegulations, DEFAULT_RULESET } = require('../sporting_regulations');
+
+const VALID = { decision: 'BOX', confidence: 0.8, reasoning: 'Tyres are done', tireRecommendation: 'HARD' };
+
+test('a valid response passes unchanged', () => {
+  assert.equal(validateAdvisorResponse(VALID), VALID);
+  assert.doesNotThrow(() => validateAdvisorResponse({ ...VALID, driverMode: 'TYRE_SAVE', modeLaps: 5 }));
+  assert.doesNotThrow(() => validateAdvisorResponse({ ...VALID, reasoning: undefined, driverMode: null, modeLaps: null }));
+});
+
+test('every schema violation is reported at once', () => {
+  assert.throws(
+    () => validateAdvisorResponse({ decision: 'PIT', confidence: 1.5, tireRecommendation: 'SUPERSOFT', reasoning: ' ', driverMode: 'QUALI', modeLaps: 0 }),
+    err => {
+      assert.ok(err instanceof StrategyResponseError);
+      assert.equal(err.problems.length, 6);
+      assert.match(err.message, /^Strategist response rejected: decision must be one of BOX, STAY/);
+      return true;
+    }
+  );
+});
+
+test('anything but a JSON object is rejected', () => {
+  [null, 'BOX', [VALID], 3].forEach(parsed => {
+    assert.throws(() => validateAdvisorResponse(parsed), StrategyResponseError);
+  });
+});
+
+const tireStrategy = new TireStrategy('TEST', 'MEDIUM');
+const guardrails = new StrategyGuardrails(tireStrategy);
+const DRY = { condition: 'DRY', recommendedTireCompound: 'SOFT/MEDIUM' };
+
+function context(overrides = {}) {
+  return { lap: 20, totalLaps: 44, tireCompound: 'MEDIUM', tireAge: 10, tyreLife: 10, weather: DRY, ...overrides };
+}
+
+test('a safe call goes through without overrides', () => {
+  const { decision, overrides } = guardrails.review({ ...VALID }, context());
+  assert.deepEqual(overrides, []);
+  assert.deepEqual(decision, VALID);
+});
+
+test('WET_SLICKS fits the weather tyre on an intermediate, wet or extreme wet track', () => {
+  ['INTERMEDIATE', 'WET', 'EXTREME_WET'].forEach(condition => {
+    const weather = { condition, recommendedTireCompound: condition };
+    const { decision, overrides } = guardrails.review({ ...VALID, tireRecommendation: 'SOFT' }, context({ weather }));
+    assert.equal(decision.tireRecommendation, condition);
+    assert.deepEqual(overrides.map(o => [o.rule, o.field, o.from, o.to]), [['WET_SLICKS', 'tireRecommendation', 'SOFT', condition]]);
+  });
+});
+
+test('WET_SLICKS follows the compounds the regulations allow for the track condition', () => {
+  const slicksOnInters = new StrategyGuardrails(tireStrategy, new SportingRegulations({
+    compoundsByCondition: { ...DEFAULT_RULESET.compoundsByCondition, INTERMEDIATE: ['INTERMEDIATE', 'SOFT'] }
+  }));
+  const weather = { condition: 'INTERMEDIATE', recommendedTireCompound: 'INTERMEDIATE' };
+  assert.deepEqual(slicksOnInters.review({ ...VALID, tireRecommendation: 'SOFT' }, context({ weather })).overrides, []);
+  assert.equal(slicksOnInters.review({ ...VALID, tireRecommendation: 'HARD' }, context({ weather })).decision.tireRecommendation, 'INTERMEDIATE');
+});
+
+test('MANDATORY_STOP boxes tyres at the end of their life', () => {
+  const tyreLife = tireStrategy.getMaxLaps('MEDIUM');
+  const { decision, overrides } = guardrails.review({ ...VALID, decision: 'STAY' }, context({ tireAge: tyreLife, tyreLife }));
+  assert.equal(decision.decision, 'BOX');
+  assert.equal(overrides[0].rule, 'MANDATORY_STOP');
+});
+
+test('MANDATORY_STOP reads the wear-equivalent tyre life, not the age', () => {
+  const maxLaps = tireStrategy.getMaxLaps('MEDIUM');
+  const { overrides } = guardrails.review({ ...VALID, decision: 'STAY' }, context({ tireAge: maxLaps, tyreLife: maxLaps / 2 }));
+  assert.deepEqual(overrides, []);
+});
+
+test('LATE_STOP keeps the car out with two laps or fewer to go, unless the stop is mandatory', () => {
+  const late = guardrails.review({ ...VALID }, context({ lap: 42 }));
+  assert.equal(late.decision.decision, 'STAY');
+  assert.equal(late.overrides[0].rule, 'LATE_STOP');
+
+  const tyreLife = tireStrategy.getMaxLaps('MEDIUM');
+  const forced = guardrails.review({ ...VALID }, context({ lap: 42, tireAge: tyreLife, tyreLife }));
+  assert.equal(forced.decision.decision, 'BOX');
+  assert.deepEqual(forced.overrides, []);
+});
@@ -0,0 +1,88 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadTelemetry, TelemetryValidationError } = require('../telemetry_loader');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HEADER = 'LapNumber,Compound,TyreLife,TrackTemp,LapTime_Sec,Degradation_Delta';
+
+function writeFile(name, lines) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, Array.isArray(lines) ? lines.join('\n') + '\n' : lines);
+  return file;
+}
+
+test('a well-formed CSV loads with numeric columns as numbers', async () => {
+  const file = writeFile('good.csv', [HEADER, '1,medium,1,30,107.5,0', '2,MEDIUM,2,30,107.8,0.3']);
+  const rows = await loadTelemetry(file);
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].Compound, 'MEDIUM');
+  assert.equal(rows[1].LapTime_Sec, 107.8);
+  assert.equal(rows[1].Degradation_Delta, 0.3);
+});
+
+test('a CSV missing a required column is rejected', async () => {
+  const file = writeFile('no-compound.csv', ['LapNumber,TyreLife,TrackTemp,LapTime_Sec', '1,1,30,107.5']);
+  await assert.rejects(loadTelemetry(file), (err) => {
+    assert.ok(err instanceof TelemetryValidationError);
+    assert.match(err.message, /missing required column\(s\): Compound/);
+    return true;
+  });
+});
+
+test('every bad value in a CSV is reported with its line and column', async () => {
+  const file = writeFile('bad-values.csv', [
+    HEADER,
+    '1,MEDIUM,1,30,107.5,0',
+    '2,MEDIUM,two,30,107.8,0.3',
+    '2,MEDIUM,3,30,-1,0.4',
+    '4,,4,30,108.1,'
+  ]);
+  await assert.rejects(loadTelemetry(file), (err) => {
+    assert.ok(err instanceof TelemetryValidationError);
+    assert.deepEqual(err.errors.map(e => [e.line, e.column]), [
+      [3, 'TyreLife'],
+      [4, 'LapNumber'],
+      [4, 'LapTime_Sec'],
+      [5, 'Degradation_Delta'],
+      [5, 'Compound']
+    ]);
+    assert.match(err.message, /line 3 \[TyreLife\]: expected a number, got "two"/);
+    return true;
+  });
+});
+
+test('a CSV with a header and no laps is rejected', async () => {
+  await assert.rejects(loadTelemetry(writeFile('empty.csv', [HEADER])), /no telemetry rows/);
+});
+
+test('Degradation_Delta is derived per stint when the file only has lap times', async () => {
+  const file = writeFile('derived.csv', [
+    'LapNumber,Compound,TyreLife,TrackTemp,LapTime_Sec',
+    '1,SOFT,1,30,106.0',
+    '2,SOFT,2,30,106.4',
+    '3,HARD,1,30,107.0',
+    '4,HARD,2,30,106.8'
+  ]);
+  const rows = await loadTelemetry(file);
+  assert.deepEqual(rows.map(r => r.Stint), [1, 1, 2, 2]);
+  assert.deepEqual(rows.map(r => Math.round(r.Degradation_Delta * 10) / 10), [0, 0.4, 0.2, 0]);
+});
+
+test('JSON Lines and JSON arrays are validated the same way', async () => {
+  const lap = { LapNumber: 1, Compound: 'SOFT', TyreLife: 1, TrackTemp: 30, LapTime_Sec: 106, Degradation_Delta: 0 };
+  assert.equal((await loadTelemetry(writeFile('laps.jsonl', [JSON.stringify(lap)]))).length, 1);
+  assert.equal((await loadTelemetry(writeFile('laps.json', JSON.stringify([lap])))).length, 1);
+
+  await assert.rejects(loadTelemetry(writeFile('broken.jsonl', [JSON.stringify(lap), '{ not json'])), /line 2: not valid JSON/);
+  await assert.rejects(loadTelemetry(writeFile('object.json', JSON.stringify(lap))), /expected a JSON array of lap objects/);
+});
+
+test('a missing file is reported before any parsing', async () => {
+  await assert.rejects(loadTelemetry(path.join(dir, 'nope.csv')), /Telemetry file not found/);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TrackStatus, parseSchedule } = require('../track_status');
+const SeededRandom = require('../seeded_random');
+
+test('SC and VSC periods parse into a schedule', () => {
+  assert.deepEqual(parseSchedule('SC:12-15,VSC:30'), {
+    schedule: [
+      { type: 'SC', startLap: 12, endLap: 15 },
+      { type: 'VSC', startLap: 30, endLap: 30 }
+    ],
+    random: false
+  });
+});
+
+test('entries are trimmed and case-insensitive, and "random" switches on random deployments', () => {
+  assert.deepEqual(parseSchedule(' vsc:5-6 , Random '), { schedule: [{ type: 'VSC', startLap: 5, endLap: 6 }], random: true });
+});
+
+test('an empty schedule is a green race', () => {
+  [undefined, null, '', ' , '].forEach(text => {
+    assert.deepEqual(parseSchedule(text), { schedule: [], random: false });
+  });
+});
+
+test('malformed entries are rejected', () => {
+  assert.throws(() => parseSchedule('SC12'), /Invalid track event "SC12" - expected SC:<lap>\[-<lap>\], VSC:<lap>\[-<lap>\] or random/);
+  assert.throws(() => parseSchedule('RED:10'), /Invalid track event "RED:10"/);
+  assert.throws(() => parseSchedule('SC:15-12'), /the period ends before it starts/);
+});
+
+test('a parsed schedule drives race control', () => {
+  const status = new TrackStatus(parseSchedule('SC:3-4'));
+  assert.equal(status.update(2).status, 'GREEN');
+  assert.equal(status.update(3).status, 'SC');
+  assert.equal(status.update(4).lapsRemaining, 0);
+  assert.equal(status.update(5).status, 'GREEN');
+});
+
+test('random deployments need a seeded RNG', () => {
+  assert.throws(() => new TrackStatus(parseSchedule('random')), /need an rng/);
+  assert.doesNotThrow(() => new TrackStatus({ ...parseSchedule('random'), rng: new SeededRandom(1) }));
+});
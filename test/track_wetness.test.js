@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TrackWetness, compoundPace, wetnessCondition, CROSSOVERS } = require('../track_wetness');
+
+const COMPOUNDS = ['SOFT', 'MEDIUM', 'HARD', 'INTERMEDIATE', 'WET', 'EXTREME_WET'];
+const fastest = wetness => [...COMPOUNDS].sort((a, b) => compoundPace(a, wetness) - compoundPace(b, wetness))[0];
+
+test('the crossovers run from slicks to intermediates to wets to extreme wets', () => {
+  assert.ok(CROSSOVERS.SLICK_TO_INTERMEDIATE > 0);
+  assert.ok(CROSSOVERS.SLICK_TO_INTERMEDIATE < CROSSOVERS.INTERMEDIATE_TO_WET);
+  assert.ok(CROSSOVERS.INTERMEDIATE_TO_WET < CROSSOVERS.WET_TO_EXTREME_WET);
+  assert.ok(CROSSOVERS.WET_TO_EXTREME_WET < 1);
+});
+
+test('the declared condition is the category of the fastest tyre', () => {
+  const expected = { SOFT: 'DRY', MEDIUM: 'DRY', HARD: 'DRY', INTERMEDIATE: 'INTERMEDIATE', WET: 'WET', EXTREME_WET: 'EXTREME_WET' };
+  for (let w = 0; w <= 1; w += 0.05) {
+    // Skip samples right on a crossover, where two curves are level
+    if (Object.values(CROSSOVERS).some(c => Math.abs(c - w) < 0.01)) continue;
+    assert.equal(wetnessCondition(w), expected[fastest(w)], `wetness ${w.toFixed(2)}`);
+  }
+});
+
+test('at wetness 0 the pace curves are the dry compound deltas', () => {
+  assert.equal(compoundPace('SOFT', 0), -0.8);
+  assert.equal(compoundPace('MEDIUM', 0), 0);
+  assert.equal(compoundPace('HARD', 0), 0.6);
+  assert.equal(fastest(0), 'SOFT');
+  assert.equal(compoundPace('UNKNOWN', 0.5), 0);
+  assert.equal(compoundPace('MEDIUM', 2), compoundPace('MEDIUM', 1));
+});
+
+test('rain wets the track towards a level set by how hard it falls', () => {
+  const track = new TrackWetness();
+  const light = [1, 2, 3, 4, 5, 6].map(() => track.update(0.5, 25));
+  assert.ok(light.every((w, i) => i === 0 || w > light[i - 1]));
+  assert.ok(light[light.length - 1] < Math.pow(0.5 / 2.5, 0.6));
+
+  const downpour = new TrackWetness();
+  for (let lap = 0; lap < 20; lap++) downpour.update(5, 20);
+  assert.ok(downpour.wetness > 0.99);
+  assert.equal(wetnessCondition(downpour.wetness), 'EXTREME_WET');
+});
+
+test('a track dries once the rain stops, faster when it is warm', () => {
+  const cool = new TrackWetness(0.5);
+  const warm = new TrackWetness(0.5);
+  cool.update(0, 15);
+  warm.update(0, 40);
+  assert.ok(warm.wetness < cool.wetness);
+  assert.ok(cool.wetness < 0.5);
+
+  const drying = new TrackWetness(0.2);
+  for (let lap = 0; lap < 30; lap++) drying.update(0, 30);
+  assert.equal(drying.wetness, 0);
+});
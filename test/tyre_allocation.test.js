@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TyreAllocation } = require('../tyre_allocation');
+
+const noLimit = () => Infinity;
+
+test('each stint gets its own set, new sets before used ones', () => {
+  const allocation = new TyreAllocation({ sets: { SOFT: 3, MEDIUM: 2, HARD: 1 }, usedLaps: { SOFT: [4, 2], MEDIUM: [5] } });
+  assert.deepEqual(allocation.planSets(['SOFT', 'MEDIUM', 'SOFT', 'SOFT'], noLimit), [0, 0, 2, 4]);
+  assert.deepEqual(allocation.planSets(['HARD', 'MEDIUM', 'MEDIUM'], noLimit), [0, 0, 5]);
+});
+
+test('a sequence that needs more sets than the allocation has is not possible', () => {
+  const allocation = new TyreAllocation({ sets: { SOFT: 1, MEDIUM: 1, HARD: 1 }, usedLaps: {} });
+  assert.equal(allocation.planSets(['HARD', 'HARD'], noLimit), null);
+  assert.equal(allocation.planSets(['SOFT', 'INTERMEDIATE'], noLimit), null);
+});
+
+test('sets with too many laps on them are left out of the plan', () => {
+  const allocation = new TyreAllocation({ sets: { SOFT: 2 }, usedLaps: { SOFT: [3, 12] } });
+  assert.deepEqual(allocation.planSets(['SOFT', 'SOFT'], () => 15), [3, 12]);
+  assert.equal(allocation.planSets(['SOFT', 'SOFT'], () => 10), null);
+});
+
+test('planning does not fit any sets', () => {
+  const allocation = new TyreAllocation({ sets: { MEDIUM: 1 }, usedLaps: {} });
+  allocation.planSets(['MEDIUM'], noLimit);
+  assert.equal(allocation.getAvailableSets('MEDIUM').length, 1);
+
+  allocation.fitSet('MEDIUM');
+  assert.equal(allocation.planSets(['MEDIUM'], noLimit), null);
+});
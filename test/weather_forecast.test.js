@@ -0,0 +1,79 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WeatherForecast } = require('../weather_forecast');
+const SeededRandom = require('../seeded_random');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forecast-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const entry = (lap, rainProbability = 0, intensity = 0) => ({ lap, rainProbability, intensity, trackTemp: 30, airTemp: 20, humidity: 60 });
+
+test('a generated forecast has one entry per lap and replays from the seed', () => {
+  const generate = seed => WeatherForecast.generate({ raceLength: 44, rng: new SeededRandom(seed) });
+  const forecast = generate(42);
+
+  assert.equal(forecast.source, 'generated');
+  assert.deepEqual(forecast.laps.map(e => e.lap), Array.from({ length: 44 }, (_, i) => i + 1));
+  assert.deepEqual(generate(42).laps, forecast.laps);
+  assert.notDeepEqual(generate(7).laps, forecast.laps);
+});
+
+test('a dry climate forecasts no rain at all', () => {
+  const forecast = WeatherForecast.generate({ raceLength: 30, climate: { rainCellChance: 0 }, rng: new SeededRandom(1) });
+  assert.ok(forecast.laps.every(e => e.rainProbability === 0 && e.intensity === 0));
+});
+
+test('rain comes in showers that build, hold and clear over several laps', () => {
+  const forecast = WeatherForecast.generate({ raceLength: 30, climate: { rainCellChance: 1 }, rng: new SeededRandom(3) });
+  const wet = forecast.laps.map(e => e.rainProbability > 0);
+
+  // The first shower starts on lap 1 and lasts at least 2 build-up + 3 hold + 2 clearing laps
+  assert.ok(wet.slice(0, 7).every(Boolean));
+  const peak = Math.max(...forecast.laps.slice(0, 7).map(e => e.rainProbability));
+  assert.ok(forecast.laps[0].rainProbability < peak);
+  assert.ok(peak >= 0.6 && peak <= 0.95);
+});
+
+test('a lap without its own entry keeps the last forecast before it', () => {
+  const forecast = new WeatherForecast([entry(10, 0.8, 1.5), entry(1)], 'test');
+
+  assert.equal(forecast.at(1).rainProbability, 0);
+  assert.equal(forecast.at(9).rainProbability, 0);
+  assert.equal(forecast.at(10).rainProbability, 0.8);
+  assert.equal(forecast.at(40).rainProbability, 0.8);
+  assert.deepEqual(forecast.range(9, 11).map(e => [e.lap, e.rainProbability]), [[9, 0], [10, 0.8], [11, 0.8]]);
+});
+
+test('a forecast file is loaded from an array or a { laps } object', () => {
+  const arrayFile = path.join(dir, 'array.json');
+  const objectFile = path.join(dir, 'object.json');
+  fs.writeFileSync(arrayFile, JSON.stringify([entry(1), entry(20, 0.5, 1)]));
+  fs.writeFileSync(objectFile, JSON.stringify({ laps: [entry(1), entry(20, 0.5, 1)] }));
+
+  assert.equal(WeatherForecast.load(arrayFile).at(25).rainProbability, 0.5);
+  assert.equal(WeatherForecast.load(objectFile).source, path.resolve(objectFile));
+});
+
+test('a forecast with bad entries lists every problem', () => {
+  assert.throws(() => new WeatherForecast([], 'empty.json'), /Weather forecast empty.json needs a non-empty array of laps/);
+  assert.throws(
+    () => new WeatherForecast([entry(1, 1.5), { ...entry(2, 0.2, -1), humidity: 'high' }], 'bad.json'),
+    (err) => {
+      assert.match(err.message, /entry 1: rainProbability must be between 0 and 1, got 1.5/);
+      assert.match(err.message, /entry 2: humidity \(relative humidity \(%\)\) must be a number/);
+      assert.match(err.message, /entry 2: intensity can't be negative, got -1/);
+      return true;
+    }
+  );
+  assert.throws(() => WeatherForecast.load(path.join(dir, 'nope.json')), /Weather forecast file not found/);
+});
+
+test('it rains on a lap when the latent draw lands under the forecast probability', () => {
+  assert.equal(WeatherForecast.rainfallFor(entry(1, 0.5, 2), -1), 2);
+  assert.equal(WeatherForecast.rainfallFor(entry(1, 0.5, 2), 1), 0);
+  assert.equal(WeatherForecast.rainfallFor(entry(1, 0, 2), -5), 0);
+});
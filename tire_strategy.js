@@ -3,13 +3,24 @@
  * Tracks tire compounds, pit stops, and stint management
  */
 
+const cliffModel = require('./cliff_model.json');
+const { loadCircuit, DEFAULT_CIRCUIT } = require('./circuit_registry');
+const { compoundPace } = require('./track_wetness');
+
 class TireStrategy {
-  constructor(driverName, startingCompound = null, startingPosition = 1) {
+  constructor(driverName, startingCompound = null, startingPosition = 1, rng = null, circuit = DEFAULT_CIRCUIT, allocation = null) {
+    if (!startingCompound && !rng) {
+      throw new Error(`TireStrategy ${driverName} needs an rng (a SeededRandom) to draw its starting compound`);
+    }
     this.driverName = driverName;
     this.stints = [];
+    this.rng = rng; // Anything with random() - a SeededRandom for reproducible races; only used to draw the starting compound
+    this.circuit = loadCircuit(circuit); // Tyre severity and cliff overrides
+    this.allocation = allocation; // TyreAllocation - null means an unlimited supply of new sets
 
     // Randomize starting tire if not specified (50% SOFT, 30% MEDIUM, 20% HARD in DRY)
     const startCompound = startingCompound || this.getRandomStartingCompound();
+    const set = this.fitSet(startCompound);
 
     this.currentStint = {
       stintNumber: 1,
@@ -19,24 +30,47 @@ class TireStrategy {
       weatherAtStart: 'DRY',
       lapsCompleted: 0,
       maxExpectedLaps: this.getMaxLaps(startCompound),
+      cliffModel: this.getCliffModel(startCompound),
+      setId: set.id,
+      startAge: set.laps, // Laps already on the set when it was fitted
       degradationAtStart: 0,
       ageRelativeToPeak: 0
     };
   }
 
+  /**
+   * Take the freshest usable set of `compound` from the allocation: { id, compound, laps }
+   */
+  fitSet(compound) {
+    if (!this.allocation) return { id: null, compound, laps: 0 };
+    return this.allocation.fitSet(compound, this.getMaxLaps(compound));
+  }
+
+  hasAvailableSet(compound) {
+    return !this.allocation || this.allocation.getAvailableSets(compound, this.getMaxLaps(compound)).length > 0;
+  }
+
+  /**
+   * Sets that could still be fitted, per compound (null without an allocation)
+   */
+  getTyreSetSummary() {
+    return this.allocation ? this.allocation.getSummary(compound => this.getMaxLaps(compound)) : null;
+  }
+
   /**
    * Randomly select starting tire (realistic F1 strategy)
-   * Returns: 50% SOFT, 30% MEDIUM, 20% HARD
+   * Returns: 50% SOFT, 30% MEDIUM, 20% HARD - or the first dry compound with a set left
+   * when the allocation has none of the one drawn
    */
   getRandomStartingCompound() {
-    const roll = Math.random();
-    if (roll < 0.50) return 'SOFT';
-    if (roll < 0.80) return 'MEDIUM';
-    return 'HARD';
+    const roll = this.rng.random();
+    const drawn = roll < 0.50 ? 'SOFT' : roll < 0.80 ? 'MEDIUM' : 'HARD';
+    if (this.hasAvailableSet(drawn)) return drawn;
+    return ['MEDIUM', 'HARD', 'SOFT'].find(c => this.hasAvailableSet(c)) || drawn;
   }
 
   getMaxLaps(compound) {
-    // Realistic tire lifetimes based on actual F1 compound characteristics
+    // Realistic tire lifetimes based on actual F1 compound characteristics (at Spa, severity 1.0)
     const maxLapsMap = {
       SOFT: 18,      // Softest, least durable - 15-20 laps
       MEDIUM: 28,    // Mid compound - 25-30 laps
@@ -45,7 +79,20 @@ class TireStrategy {
       INTERMEDIATE: 30, // Between wet and dry
       EXTREME_WET: 25   // Heavy rain - aggressive wear
     };
-    return maxLapsMap[compound] || 20;
+    return Math.round((maxLapsMap[compound] || 20) / this.circuit.tyreSeverity);
+  }
+
+  /**
+   * Cliff sigmoid parameters for the Kalman engine: { threshold, steepness }
+   * Softer compounds fall off at a lower smoothed delta and more abruptly.
+   * The circuit profile's cliff overrides win over the compound defaults in cliff_model.json.
+   */
+  getCliffModel(compound) {
+    return {
+      ...cliffModel.default,
+      ...cliffModel.compounds[compound],
+      ...(this.circuit.cliff || {})[compound]
+    };
   }
 
   /**
@@ -65,19 +112,12 @@ class TireStrategy {
   }
 
   /**
-   * Get the inherent pace advantage of a tire compound
-   * Returns: Time delta in seconds per lap (negative means faster)
+   * Get the inherent pace advantage of a tire compound on a track this wet (0 = dry, 1 = standing water)
+   * Returns: Time delta in seconds per lap against Mediums on a dry track (negative means faster)
+   * See track_wetness.js for the per-compound curves
    */
-  getCompoundPaceAdvantage(compound) {
-    const paceMap = {
-      SOFT: -0.8,     // Softs are ~0.8s faster than Mediums
-      MEDIUM: 0.0,    // Mediums are the baseline pace
-      HARD: 0.6,      // Hards are ~0.6s slower than Mediums
-      WET: 12.0,      // Massive pace deficit to slicks in dry
-      INTERMEDIATE: 8.0,
-      EXTREME_WET: 18.0
-    };
-    return paceMap[compound] || 0.0;
+  getCompoundPaceAdvantage(compound, wetness = 0) {
+    return compoundPace(compound, wetness);
   }
 
   /**
@@ -107,6 +147,7 @@ class TireStrategy {
 
   updateCurrentStint(currentLap, currentDegradation, currentPosition, weatherCondition) {
     const lapsInCurrentStint = currentLap - this.currentStint.startLap + 1;
+    const tyreAge = this.currentStint.startAge + lapsInCurrentStint;
     this.currentStint.lapsCompleted = lapsInCurrentStint;
     this.currentStint.currentDegradation = currentDegradation;
     this.currentStint.currentPosition = currentPosition;
@@ -114,22 +155,25 @@ class TireStrategy {
 
     // Calculate age relative to peak performance
     const maxLaps = this.getMaxLaps(this.currentStint.tireCompound);
-    this.currentStint.ageRelativeToPeak = Math.min(lapsInCurrentStint / maxLaps, 1.0);
+    this.currentStint.ageRelativeToPeak = Math.min(tyreAge / maxLaps, 1.0);
 
     // Calculate effective degradation with tire age multiplier
-    const curveMult = this.getDegradationCurveMultiplier(lapsInCurrentStint, this.currentStint.tireCompound);
+    const curveMult = this.getDegradationCurveMultiplier(tyreAge, this.currentStint.tireCompound);
     this.currentStint.effectiveDegradation = currentDegradation * curveMult;
 
     // Track wear status for pit decision
-    this.currentStint.wearStatus = this.getTireWearStatus(lapsInCurrentStint, this.currentStint.tireCompound);
+    this.currentStint.wearStatus = this.getTireWearStatus(tyreAge, this.currentStint.tireCompound);
   }
 
   pitAndChangeCompound(lap, newCompound, newPosition, currentDegradation, weatherCondition) {
-    // Save current stint
+    // Save current stint and hand its set back as a used set
     this.currentStint.lapsCompleted = lap - this.currentStint.startLap;
     this.currentStint.endDegradation = currentDegradation;
     this.currentStint.endPosition = newPosition;
     this.stints.push({ ...this.currentStint });
+    if (this.allocation) this.allocation.releaseSet(this.currentStint.setId, this.currentStint.lapsCompleted);
+
+    const set = this.fitSet(newCompound);
 
     // Start new stint
     this.currentStint = {
@@ -140,6 +184,9 @@ class TireStrategy {
       weatherAtStart: weatherCondition,
       lapsCompleted: 0,
       maxExpectedLaps: this.getMaxLaps(newCompound),
+      cliffModel: this.getCliffModel(newCompound),
+      setId: set.id,
+      startAge: set.laps,
       degradationAtStart: 0
     };
 
@@ -149,6 +196,13 @@ class TireStrategy {
     };
   }
 
+  /**
+   * Compound of every stint so far, including the set currently fitted
+   */
+  getCompoundsUsed() {
+    return [...this.stints, this.currentStint].map(stint => stint.tireCompound);
+  }
+
   getStrategyAnalysis() {
     return {
       driverName: this.driverName,
@@ -0,0 +1,114 @@
+/**
+ * Track Status Module
+ * Race control: green flag, virtual safety car (VSC) and safety car (SC) periods, deployed
+ * from a fixed schedule or at random, and how each one neutralises the race.
+ */
+
+const TRACK_STATUS_EFFECTS = {
+  GREEN: { label: 'GREEN', lapTimeFactor: 1.0, pitLossFactor: 1.0, wearFactor: 1.0 },
+  VSC: { label: 'VIRTUAL SAFETY CAR', lapTimeFactor: 1.35, pitLossFactor: 0.6, wearFactor: 0.5 },
+  SC: { label: 'SAFETY CAR', lapTimeFactor: 1.45, pitLossFactor: 0.45, wearFactor: 0.3 }
+};
+
+// Chance per green lap that race control neutralises the race, and how long the period lasts (laps)
+const RANDOM_DEPLOYMENT = {
+  SC: { chancePerLap: 0.015, minLaps: 3, maxLaps: 5 },
+  VSC: { chancePerLap: 0.02, minLaps: 1, maxLaps: 3 }
+};
+
+/**
+ * Parse a schedule like "SC:12-15,VSC:30" into [{ type, startLap, endLap }].
+ * A "random" entry switches on random deployments as well: { schedule, random }
+ */
+function parseSchedule(text) {
+  const result = { schedule: [], random: false };
+  String(text || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    if (entry.toLowerCase() === 'random') {
+      result.random = true;
+      return;
+    }
+    const match = entry.toUpperCase().match(/^(SC|VSC):(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid track event "${entry}" - expected SC:<lap>[-<lap>], VSC:<lap>[-<lap>] or random`);
+    }
+    const startLap = parseInt(match[2], 10);
+    const endLap = match[3] ? parseInt(match[3], 10) : startLap;
+    if (endLap < startLap) {
+      throw new Error(`Invalid track event "${entry}" - the period ends before it starts`);
+    }
+    result.schedule.push({ type: match[1], startLap, endLap });
+  });
+  return result;
+}
+
+class TrackStatus {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.schedule] - [{ type: 'SC' | 'VSC', startLap, endLap }]
+   * @param {boolean} [options.random] - also deploy SC/VSC at random on green laps
+   * @param {Object} [options.rng] - anything with random() (a SeededRandom); required for random deployments
+   * @param {number} [options.raceLength] - no random deployment in the last two laps
+   */
+  constructor({ schedule = [], random = false, rng = null, raceLength = Infinity } = {}) {
+    if (random && !rng) {
+      throw new Error('Random SC/VSC deployments need an rng (a SeededRandom)');
+    }
+    this.schedule = schedule;
+    this.random = random;
+    this.rng = rng;
+    this.raceLength = raceLength;
+    this.period = null; // { type, startLap, endLap } while the race is neutralised
+    this.lap = 0;
+  }
+
+  /**
+   * Move race control on to `lap`. Returns the status for that lap (see getStatus)
+   */
+  update(lap) {
+    this.lap = lap;
+    if (this.period && lap > this.period.endLap) {
+      this.period = null;
+    }
+
+    if (!this.period) {
+      const scheduled = this.schedule.find(p => p.startLap <= lap && lap <= p.endLap);
+      if (scheduled) {
+        this.period = { ...scheduled };
+      } else if (this.random && lap < this.raceLength - 2) {
+        this.period = this.rollDeployment(lap);
+      }
+    }
+    return this.getStatus();
+  }
+
+  rollDeployment(lap) {
+    const roll = this.rng.random();
+    const { SC, VSC } = RANDOM_DEPLOYMENT;
+    const type = roll < SC.chancePerLap ? 'SC' : roll < SC.chancePerLap + VSC.chancePerLap ? 'VSC' : null;
+    if (!type) return null;
+
+    const { minLaps, maxLaps } = RANDOM_DEPLOYMENT[type];
+    const laps = minLaps + Math.floor(this.rng.random() * (maxLaps - minLaps + 1));
+    return { type, startLap: lap, endLap: lap + laps - 1 };
+  }
+
+  isNeutralised() {
+    return this.period !== null;
+  }
+
+  /**
+   * { status: 'GREEN' | 'VSC' | 'SC', label, startLap, endLap, lapsRemaining, lapTimeFactor, pitLossFactor, wearFactor }
+   */
+  getStatus() {
+    const status = this.period ? this.period.type : 'GREEN';
+    return {
+      status,
+      ...TRACK_STATUS_EFFECTS[status],
+      startLap: this.period ? this.period.startLap : null,
+      endLap: this.period ? this.period.endLap : null,
+      lapsRemaining: this.period ? this.period.endLap - this.lap : 0
+    };
+  }
+}
+
+module.exports = { TrackStatus, parseSchedule, TRACK_STATUS_EFFECTS };
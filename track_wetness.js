@@ -0,0 +1,96 @@
+/**
+ * Track Wetness Module
+ * How much water is on the track (0 = dry line, 1 = standing water) and what it does to each compound.
+ * Rain pushes the wetness towards a level set by how hard it is raining; once it eases the track
+ * dries a little every lap, faster on a warm track. Each compound's lap time is a curve over wetness,
+ * and where two curves cross is where switching between slicks, intermediates and wets pays off.
+ */
+
+const SATURATING_RAINFALL = 2.5; // mm/lap that puts standing water on the whole lap
+const WETTING_RATE = 0.5;        // share of the gap to the rain's wetness level closed each lap
+const DRYING_RATE = 0.04;        // wetness lost per lap on a 25°C track with no rain
+
+// Lap time against a dry-track Medium (s/lap). Slicks lose grip fast as water builds up; the
+// intermediate and wet curves have a sweet spot and overheat on a drying track.
+// At wetness 0 the values are the dry-track compound deltas.
+const COMPOUND_PACE = {
+  SOFT: w => -0.8 + 45 * Math.pow(w, 1.3),
+  MEDIUM: w => 0.0 + 45 * Math.pow(w, 1.3),
+  HARD: w => 0.6 + 45 * Math.pow(w, 1.3),
+  INTERMEDIATE: w => 4 + 4 * Math.pow((w - 0.35) / 0.35, 2),
+  WET: w => 7 + 5 * Math.pow((w - 0.8) / 0.8, 2),
+  EXTREME_WET: w => 7 + 11 * Math.pow(1 - w, 2)
+};
+
+const CATEGORY = {
+  SOFT: 'SLICK',
+  MEDIUM: 'SLICK',
+  HARD: 'SLICK',
+  INTERMEDIATE: 'INTERMEDIATE',
+  WET: 'WET',
+  EXTREME_WET: 'EXTREME_WET'
+};
+
+/**
+ * Lap-time delta of `compound` on a track this wet (s/lap, against a dry-track Medium)
+ */
+function compoundPace(compound, wetness = 0) {
+  const curve = COMPOUND_PACE[compound];
+  return curve ? curve(Math.min(1, Math.max(0, wetness))) : 0.0;
+}
+
+/**
+ * Wetness at which `to` becomes faster than `from` (null if it never does on 0-1)
+ */
+function findCrossover(from, to, step = 0.005) {
+  let previous = compoundPace(to, 0) - compoundPace(from, 0);
+  if (previous < 0) return 0;
+  for (let w = step; w <= 1 + 1e-9; w += step) {
+    const delta = compoundPace(to, w) - compoundPace(from, w);
+    if (delta < 0) {
+      // Interpolate between the two samples either side of the crossing
+      return Number((w - step + step * previous / (previous - delta)).toFixed(3));
+    }
+    previous = delta;
+  }
+  return null;
+}
+
+// Wetness thresholds between the tyre categories, from the pace curves
+const CROSSOVERS = {
+  SLICK_TO_INTERMEDIATE: findCrossover('MEDIUM', 'INTERMEDIATE'),
+  INTERMEDIATE_TO_WET: findCrossover('INTERMEDIATE', 'WET'),
+  WET_TO_EXTREME_WET: findCrossover('WET', 'EXTREME_WET')
+};
+
+/**
+ * Track condition race control declares for this wetness - the category of the fastest tyre
+ */
+function wetnessCondition(wetness) {
+  if (wetness >= CROSSOVERS.WET_TO_EXTREME_WET) return 'EXTREME_WET';
+  if (wetness >= CROSSOVERS.INTERMEDIATE_TO_WET) return 'WET';
+  if (wetness >= CROSSOVERS.SLICK_TO_INTERMEDIATE) return 'INTERMEDIATE';
+  return 'DRY';
+}
+
+class TrackWetness {
+  constructor(wetness = 0) {
+    this.wetness = wetness;
+  }
+
+  /**
+   * Move the track on one lap of `rainfall` (mm) at `trackTemp` (°C). Returns the new wetness.
+   */
+  update(rainfall, trackTemp) {
+    const rainLevel = Math.pow(Math.min(1, rainfall / SATURATING_RAINFALL), 0.6);
+    if (rainLevel > this.wetness) {
+      this.wetness += (rainLevel - this.wetness) * WETTING_RATE;
+    } else {
+      const dryingRate = DRYING_RATE * Math.min(2, Math.max(0.3, trackTemp / 25));
+      this.wetness = Math.max(rainLevel, this.wetness - dryingRate);
+    }
+    return this.wetness;
+  }
+}
+
+module.exports = { TrackWetness, compoundPace, findCrossover, wetnessCondition, CROSSOVERS, CATEGORY };
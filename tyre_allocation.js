@@ -0,0 +1,100 @@
+/**
+ * Tyre Allocation Module
+ * A driver's weekend tyre sets: every set is tracked by compound and the laps already on it.
+ * Fitting a set takes it out of the pool; the laps it ran are added when it comes back off,
+ * so a used set starts its next stint with that age already on it.
+ */
+
+const { DEFAULT_RULESET } = require('./sporting_regulations');
+
+// Laps already run in practice and qualifying, one entry per used set
+const DEFAULT_WEEKEND_LAPS = {
+  SOFT: [3, 3, 4, 4, 6, 6],
+  MEDIUM: [5],
+  HARD: []
+};
+
+class TyreAllocation {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.sets] - number of sets per compound
+   * @param {Object} [options.usedLaps] - laps already on the used sets of each compound
+   */
+  constructor({ sets = DEFAULT_RULESET.tyreAllocation, usedLaps = DEFAULT_WEEKEND_LAPS } = {}) {
+    this.sets = [];
+    Object.entries(sets).forEach(([compound, count]) => {
+      const used = usedLaps[compound] || [];
+      for (let i = 0; i < count; i++) {
+        this.sets.push({ id: `${compound}-${i + 1}`, compound, laps: used[i] || 0, fitted: false });
+      }
+    });
+  }
+
+  /**
+   * Sets of `compound` that can be fitted: not on the car and with fewer than maxLaps on them, freshest first
+   */
+  getAvailableSets(compound, maxLaps = Infinity) {
+    return this.sets
+      .filter(set => set.compound === compound && !set.fitted && set.laps < maxLaps)
+      .sort((a, b) => a.laps - b.laps);
+  }
+
+  /**
+   * Fit the freshest available set of `compound`
+   */
+  fitSet(compound, maxLaps = Infinity) {
+    const [set] = this.getAvailableSets(compound, maxLaps);
+    if (!set) {
+      throw new Error(`No usable ${compound} sets left in the allocation`);
+    }
+    set.fitted = true;
+    return set;
+  }
+
+  /**
+   * Take a set off the car after `lapsRun` laps - it goes back in the pool as a used set
+   */
+  releaseSet(setId, lapsRun) {
+    const set = this.sets.find(s => s.id === setId);
+    if (set) {
+      set.laps += lapsRun;
+      set.fitted = false;
+    }
+  }
+
+  /**
+   * Start age of each stint if every stint in `compounds` gets its own set, freshest first.
+   * Null when there aren't enough usable sets for the sequence.
+   */
+  planSets(compounds, maxLapsFor) {
+    const taken = {};
+    const startAges = [];
+    for (const compound of compounds) {
+      const index = taken[compound] || 0;
+      const set = this.getAvailableSets(compound, maxLapsFor(compound))[index];
+      if (!set) return null;
+      taken[compound] = index + 1;
+      startAges.push(set.laps);
+    }
+    return startAges;
+  }
+
+  /**
+   * Available sets per compound: { SOFT: { new, used, freshestUsedLaps }, ... }
+   */
+  getSummary(maxLapsFor = () => Infinity) {
+    const summary = {};
+    [...new Set(this.sets.map(set => set.compound))].forEach(compound => {
+      const available = this.getAvailableSets(compound, maxLapsFor(compound));
+      const used = available.filter(set => set.laps > 0);
+      summary[compound] = {
+        new: available.length - used.length,
+        used: used.length,
+        freshestUsedLaps: used.length > 0 ? used[0].laps : null
+      };
+    });
+    return summary;
+  }
+}
+
+module.exports = { TyreAllocation, DEFAULT_WEEKEND_LAPS };
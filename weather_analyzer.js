@@ -1,8 +1,16 @@
 /**
  * Weather Analyzer Module
- * Analyzes weather conditions and their impact on tire degradation
+ * Analyzes weather conditions and their impact on tire degradation,
+ * and reads the per-lap forecast (see weather_forecast.js) into rain arrival / stop estimates
  */
 
+const { wetnessCondition } = require('./track_wetness');
+
+const FORECAST_HORIZON = 15;   // laps of forecast the strategist gets to see
+const RAIN_LIKELY = 0.5;       // forecast probability from which a lap counts as wet
+const FORECAST_DECAY = 0.04;   // forecast skill lost per lap of lead time
+const MIN_FORECAST_SKILL = 0.3;
+
 class WeatherAnalyzer {
   constructor() {
     this.weatherFactors = {
@@ -13,20 +21,19 @@ class WeatherAnalyzer {
     };
   }
 
-  analyzeWeatherImpact(trackTemp, airTemp, humidity, rainfall) {
+  /**
+   * `wetness` (0-1, see track_wetness.js) decides the condition when known: the track stays wet
+   * after the rain stops and needs a few laps of rain before it is wet at all.
+   * Without it the condition falls back to the rainfall on the lap.
+   */
+  analyzeWeatherImpact(trackTemp, airTemp, humidity, rainfall, wetness = null) {
     let condition = 'DRY';
     let riskFactors = [];
 
     // Determine weather condition STRICTLY
-    if (rainfall > 0.5) {
-      // Significant rain detected
-      condition = rainfall > 2 ? 'EXTREME_WET' : 'WET';
-    } else if (rainfall > 0.1 && rainfall <= 0.5) {
-      // Light rain/sprinkles = INTERMEDIATE conditions
-      condition = 'INTERMEDIATE';
-    }
     // Only DRY if no rain, even if humidity is high and track temp is low
     // High humidity + cool track in dry weather is normal for European circuits
+    condition = wetness === null ? this.classifyRainfall(rainfall) : wetnessCondition(wetness);
 
     const factors = this.weatherFactors[condition];
     
@@ -52,6 +59,7 @@ class WeatherAnalyzer {
       airTemp: airTemp.toFixed(1),
       humidity: humidity.toFixed(1),
       rainfall: rainfall.toFixed(2),
+      wetness: wetness === null ? null : Number(wetness.toFixed(2)),
       degradationMultiplier: factors.degradationMultiplier,
       gripLevel: factors.gripLevel,
       blisteringRisk: factors.blisteringRisk,
@@ -61,6 +69,76 @@ class WeatherAnalyzer {
     };
   }
 
+  classifyRainfall(rainfall) {
+    if (rainfall > 0.5) {
+      // Significant rain detected
+      return rainfall > 2 ? 'EXTREME_WET' : 'WET';
+    }
+    if (rainfall > 0.1) {
+      // Light rain/sprinkles = INTERMEDIATE conditions
+      return 'INTERMEDIATE';
+    }
+    return 'DRY';
+  }
+
+  /**
+   * When the rain is expected to arrive (on a dry track) or stop (on a wet one), from the forecast
+   * for the laps after `lap`. Confidence is the forecast probability scaled by the forecast skill,
+   * which fades the further ahead the estimate is.
+   * @param {WeatherForecast} forecast
+   * @param {number} lap - current lap
+   * @param {string} currentCondition - condition on track right now
+   * @returns {{ raining, rainArrival, rainStop, maxRainProbability, horizon, timeline, summary }}
+   *          rainArrival / rainStop: { lap, inLaps, probability, confidence, condition } or null
+   */
+  analyzeForecast(forecast, lap, currentCondition, horizon = FORECAST_HORIZON) {
+    const timeline = forecast.range(lap + 1, lap + horizon).map(entry => ({
+      lap: entry.lap,
+      rainProbability: entry.rainProbability,
+      intensity: entry.intensity,
+      condition: this.classifyRainfall(entry.intensity)
+    }));
+    const isWet = entry => entry.rainProbability >= RAIN_LIKELY && entry.condition !== 'DRY';
+    const skill = inLaps => Math.max(MIN_FORECAST_SKILL, 1 - FORECAST_DECAY * inLaps);
+    const estimate = (entry, probability) => entry && {
+      lap: entry.lap,
+      inLaps: entry.lap - lap,
+      probability,
+      confidence: Number((probability * skill(entry.lap - lap)).toFixed(2)),
+      condition: entry.condition
+    };
+
+    const raining = currentCondition !== 'DRY';
+    const arrival = raining ? null : timeline.find(isWet);
+    const stop = raining ? timeline.find(entry => !isWet(entry)) : null;
+    const outlook = {
+      raining,
+      rainArrival: estimate(arrival, arrival && arrival.rainProbability),
+      rainStop: estimate(stop, stop && Number((1 - stop.rainProbability).toFixed(2))),
+      maxRainProbability: Math.max(0, ...timeline.map(entry => entry.rainProbability)),
+      horizon,
+      timeline
+    };
+    return { ...outlook, summary: this.describeForecast(outlook) };
+  }
+
+  /**
+   * One-line forecast for the strategist and the dashboard, e.g. "Rain expected in 4 laps (lap 23, WET, 62% confidence)"
+   */
+  describeForecast({ raining, rainArrival, rainStop, maxRainProbability, horizon }) {
+    const laps = n => `${n} lap${n === 1 ? '' : 's'}`;
+    const confidence = e => `${Math.round(e.confidence * 100)}% confidence`;
+    if (rainArrival) {
+      return `Rain expected in ${laps(rainArrival.inLaps)} (lap ${rainArrival.lap}, ${rainArrival.condition}, ${confidence(rainArrival)})`;
+    }
+    if (rainStop) {
+      return `Rain expected to stop in ${laps(rainStop.inLaps)} (lap ${rainStop.lap}, ${confidence(rainStop)})`;
+    }
+    return raining
+      ? `Rain expected to continue for the next ${laps(horizon)}`
+      : `No rain expected in the next ${laps(horizon)} (max ${Math.round(maxRainProbability * 100)}% chance)`;
+  }
+
   getTireRecommendation(condition) {
     const tireMap = {
       DRY: 'SOFT/MEDIUM',
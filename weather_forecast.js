@@ -0,0 +1,187 @@
+/**
+ * Weather Forecast Module
+ * Per-lap forecast timeline for the race: rain probability, rain intensity (mm) and temperatures.
+ * Loaded from a local JSON file or generated with correlated rain cells from the circuit's climate.
+ *
+ * Forecast file: a JSON array (or { "laps": [...] }) of
+ *   { "lap": 12, "rainProbability": 0.6, "intensity": 0.8, "trackTemp": 24, "airTemp": 17, "humidity": 88 }
+ * Laps missing from the file keep the last forecast before them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Fallback climate for circuit profiles without a "climate" block
+const DEFAULT_CLIMATE = {
+  trackTemp: 32,        // °C, dry-track average
+  airTemp: 21,          // °C
+  humidity: 60,         // %
+  rainCellChance: 0.03, // chance per lap that a shower starts building
+  maxIntensity: 3       // mm at the peak of the heaviest shower
+};
+
+const TEMP_PERSISTENCE = 0.9;  // lap-to-lap correlation of the temperature drift
+const RAIN_PERSISTENCE = 0.85; // lap-to-lap correlation of the latent draw that decides whether it rains
+
+const FIELDS = {
+  lap: 'lap number',
+  rainProbability: 'chance of rain on the lap (0-1)',
+  intensity: 'rainfall if it rains (mm)',
+  trackTemp: 'track temperature (°C)',
+  airTemp: 'air temperature (°C)',
+  humidity: 'relative humidity (%)'
+};
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function validateForecast(laps, source) {
+  if (!Array.isArray(laps) || laps.length === 0) {
+    throw new Error(`Weather forecast ${source} needs a non-empty array of laps`);
+  }
+
+  const problems = [];
+  laps.forEach((entry, index) => {
+    Object.entries(FIELDS).forEach(([field, description]) => {
+      if (!entry || typeof entry[field] !== 'number' || !Number.isFinite(entry[field])) {
+        problems.push(`entry ${index + 1}: ${field} (${description}) must be a number`);
+      }
+    });
+    if (entry && (entry.rainProbability < 0 || entry.rainProbability > 1)) {
+      problems.push(`entry ${index + 1}: rainProbability must be between 0 and 1, got ${entry.rainProbability}`);
+    }
+    if (entry && entry.intensity < 0) {
+      problems.push(`entry ${index + 1}: intensity can't be negative, got ${entry.intensity}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid weather forecast ${source}:\n  ${problems.slice(0, 10).join('\n  ')}`);
+  }
+  return [...laps].sort((a, b) => a.lap - b.lap);
+}
+
+class WeatherForecast {
+  /**
+   * @param {Object[]} laps - per-lap forecast entries (see the module header)
+   * @param {string} [source] - file the forecast came from, or 'generated'
+   */
+  constructor(laps, source = 'generated') {
+    this.laps = validateForecast(laps, source);
+    this.source = source;
+  }
+
+  /**
+   * Read a forecast file from disk
+   */
+  static load(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Weather forecast file not found: ${file}`);
+    }
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new WeatherForecast(Array.isArray(raw) ? raw : raw.laps, path.resolve(file));
+  }
+
+  /**
+   * Correlated forecast for a race: temperatures drift lap to lap around the circuit's climate,
+   * and rain comes in showers that build up, hold and clear over several laps.
+   * @param {Object} options
+   * @param {number} options.raceLength
+   * @param {Object} [options.climate] - overrides for DEFAULT_CLIMATE (circuit profile "climate")
+   * @param {Object} options.rng - anything with random() and gaussian()
+   */
+  static generate({ raceLength, climate = {}, rng }) {
+    const c = { ...DEFAULT_CLIMATE, ...climate };
+    const laps = [];
+    let tempDrift = rng.gaussian(0, 3);
+    let shower = null; // { start, buildUp, hold, clear, peakProbability, peakIntensity }
+
+    for (let lap = 1; lap <= raceLength; lap++) {
+      tempDrift = TEMP_PERSISTENCE * tempDrift + rng.gaussian(0, 0.8);
+
+      if (!shower && rng.random() < c.rainCellChance) {
+        shower = {
+          start: lap,
+          buildUp: 2 + Math.floor(rng.random() * 3),
+          hold: 3 + Math.floor(rng.random() * 8),
+          clear: 2 + Math.floor(rng.random() * 3),
+          peakProbability: 0.6 + rng.random() * 0.35,
+          peakIntensity: 0.2 + rng.random() * (c.maxIntensity - 0.2)
+        };
+      }
+
+      // 0 -> 1 while the shower builds, 1 while it holds, back to 0 as it clears
+      let strength = 0;
+      if (shower) {
+        const age = lap - shower.start;
+        if (age < shower.buildUp) {
+          strength = (age + 1) / (shower.buildUp + 1);
+        } else if (age < shower.buildUp + shower.hold) {
+          strength = 1;
+        } else if (age < shower.buildUp + shower.hold + shower.clear) {
+          strength = 1 - (age - shower.buildUp - shower.hold + 1) / (shower.clear + 1);
+        } else {
+          shower = null;
+        }
+      }
+
+      const rainProbability = shower ? shower.peakProbability * strength : 0;
+      laps.push({
+        lap,
+        rainProbability: Number(rainProbability.toFixed(2)),
+        intensity: Number((shower ? shower.peakIntensity * strength : 0).toFixed(2)),
+        // Cloud and rain cool the track far more than the air
+        trackTemp: Number((c.trackTemp + tempDrift - 12 * rainProbability).toFixed(1)),
+        airTemp: Number((c.airTemp + tempDrift * 0.4 - 4 * rainProbability).toFixed(1)),
+        humidity: Number(Math.min(100, Math.max(20, c.humidity + tempDrift * -1.5 + 35 * rainProbability)).toFixed(1))
+      });
+    }
+
+    return new WeatherForecast(laps, 'generated');
+  }
+
+  /**
+   * Forecast for `lap` - the last entry at or before it (the first entry before the forecast starts)
+   */
+  at(lap) {
+    let entry = this.laps[0];
+    for (const candidate of this.laps) {
+      if (candidate.lap > lap) break;
+      entry = candidate;
+    }
+    return entry;
+  }
+
+  /**
+   * Forecast entries for laps from..to (inclusive), one per lap
+   */
+  range(from, to) {
+    const entries = [];
+    for (let lap = from; lap <= to; lap++) {
+      entries.push({ ...this.at(lap), lap });
+    }
+    return entries;
+  }
+
+  /**
+   * Move the latent rain draw on one lap. It is correlated lap to lap, so a shower that
+   * arrives keeps falling for several laps instead of flickering on and off.
+   */
+  static nextRainLatent(latent, rng) {
+    return RAIN_PERSISTENCE * latent + Math.sqrt(1 - RAIN_PERSISTENCE * RAIN_PERSISTENCE) * rng.gaussian();
+  }
+
+  /**
+   * Rainfall that actually falls on a lap: it rains when the latent draw lands under the forecast probability
+   */
+  static rainfallFor(entry, latent) {
+    return normalCdf(latent) < entry.rainProbability ? entry.intensity : 0;
+  }
+}
+
+module.exports = { WeatherForecast, DEFAULT_CLIMATE };